@@ -203,7 +203,7 @@ function showSavingsByBidder(biddersMap, currencySymbol = '£', baselineValue =
 
   updateChart(datasets);
 
-  // Update baseline annotation
+  // Update baseline and reserve annotations
   if (chart.options.plugins?.annotation?.annotations) {
     if (baselineValue !== null) {
       currentBaselineValue = baselineValue;
@@ -221,6 +221,24 @@ function showSavingsByBidder(biddersMap, currencySymbol = '£', baselineValue =
         borderDash: []
       };
     }
+
+    // Total reserve: a dashed line the leading totals need to get under
+    if (reserveValue !== null) {
+      chart.options.plugins.annotation.annotations.reserveLine = {
+        type: 'line',
+        yMin: reserveValue,
+        yMax: reserveValue,
+        xMin: 0,
+        xMax: (context) => {
+          return context.chart.scales.x.max;
+        },
+        borderColor: 'rgba(239, 68, 68, 0.6)',
+        borderWidth: 2,
+        borderDash: [6, 4]
+      };
+    } else {
+      delete chart.options.plugins.annotation.annotations.reserveLine;
+    }
   }
 
   // ticks show prices
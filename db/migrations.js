@@ -99,6 +99,118 @@ async function runMigrations() {
       ADD COLUMN IF NOT EXISTS elapsed_seconds INTEGER DEFAULT 0;
     `);
 
+    // Lifecycle status lives in its own column; `type` is only the auction format
+    await pool.query(`
+      ALTER TABLE events
+      ADD COLUMN IF NOT EXISTS status TEXT CHECK (status IN (
+        'draft','rfq_published','scheduled','live','paused','closed','awarded','archived','cancelled'
+      ));
+    `);
+    // Backfill status for existing events from the old mix of type/is_paused/times
+    await pool.query(`
+      UPDATE events SET status = CASE
+        WHEN type = 'paused' OR is_paused THEN 'paused'
+        WHEN COALESCE(auction_end_time, auction_time + auction_duration) <= NOW() THEN 'closed'
+        WHEN auction_time <= NOW() THEN 'live'
+        WHEN auction_time IS NOT NULL THEN 'scheduled'
+        ELSE 'draft'
+      END
+      WHERE status IS NULL;
+    `);
+    await pool.query(`UPDATE events SET type = 'open' WHERE type = 'paused'`);
+    await pool.query(`
+      ALTER TABLE events
+      ALTER COLUMN status SET DEFAULT 'draft',
+      ALTER COLUMN status SET NOT NULL;
+    `);
+
+    // Dutch (price clock) format: the server moves one offered price per line item
+    // from start to limit, a step every dutch_step_interval; percentages are of the baseline
+    await pool.query(`
+      ALTER TABLE events
+      ADD COLUMN IF NOT EXISTS dutch_direction TEXT DEFAULT 'ascending' CHECK (dutch_direction IN ('ascending','descending')),
+      ADD COLUMN IF NOT EXISTS dutch_start_percent NUMERIC DEFAULT 70,
+      ADD COLUMN IF NOT EXISTS dutch_step_percent NUMERIC DEFAULT 1,
+      ADD COLUMN IF NOT EXISTS dutch_limit_percent NUMERIC DEFAULT 100,
+      ADD COLUMN IF NOT EXISTS dutch_step_interval INTERVAL DEFAULT '30 seconds';
+    `);
+
+    // Japanese (round) format: the price drops by a step each round and suppliers
+    // must confirm they stay in before the round ends; percentages are of the baseline
+    await pool.query(`
+      ALTER TABLE events
+      ADD COLUMN IF NOT EXISTS japanese_start_percent NUMERIC DEFAULT 100,
+      ADD COLUMN IF NOT EXISTS japanese_step_percent NUMERIC DEFAULT 2,
+      ADD COLUMN IF NOT EXISTS japanese_round_duration INTERVAL DEFAULT '60 seconds';
+    `);
+
+    // Sealed tenders: bids stay hidden until this time (default: when the round closes)
+    await pool.query(`
+      ALTER TABLE events
+      ADD COLUMN IF NOT EXISTS tender_opening_time TIMESTAMP;
+    `);
+
+    // Staggered closing: lot N closes this long after lot N-1 (null: every lot shares the event end)
+    await pool.query(`
+      ALTER TABLE events
+      ADD COLUMN IF NOT EXISTS lot_stagger_interval INTERVAL;
+    `);
+
+    // Soft close rules (see services/soft-close.js): which bids extend, what they extend,
+    // and the limits (extensions per event, lot or line item, and a time nothing extends past)
+    await pool.query(`
+      ALTER TABLE events
+      ADD COLUMN IF NOT EXISTS extension_trigger TEXT NOT NULL DEFAULT 'any_bid'
+        CHECK (extension_trigger IN ('any_bid','new_leader','rank_change')),
+      ADD COLUMN IF NOT EXISTS extension_rank_depth INTEGER NOT NULL DEFAULT 3 CHECK (extension_rank_depth > 0),
+      ADD COLUMN IF NOT EXISTS extension_scope TEXT NOT NULL DEFAULT 'event'
+        CHECK (extension_scope IN ('event','lot','line_item')),
+      ADD COLUMN IF NOT EXISTS max_extensions INTEGER CHECK (max_extensions >= 0),
+      ADD COLUMN IF NOT EXISTS extension_hard_stop TIMESTAMP;
+    `);
+
+    // Whether bidders are ranked per line item or on their weighted total per lot (see services/lot-bidding.js)
+    await pool.query(`
+      ALTER TABLE events
+      ADD COLUMN IF NOT EXISTS bidding_mode TEXT NOT NULL DEFAULT 'line_item'
+        CHECK (bidding_mode IN ('line_item','lot_total'));
+    `);
+
+    // What bidders are told about their position (see services/bidder-feedback.js)
+    await pool.query(`
+      ALTER TABLE events
+      ADD COLUMN IF NOT EXISTS feedback_mode TEXT NOT NULL DEFAULT 'rank'
+        CHECK (feedback_mode IN ('rank','leading','gap_absolute','gap_percent','best_price','blind'));
+    `);
+
+    // Timer state is derived from timestamps: elapsed = now - start - total paused time.
+    // paused_time_remaining and elapsed_seconds are no longer written.
+    await pool.query(`
+      ALTER TABLE events
+      ADD COLUMN IF NOT EXISTS paused_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS total_paused_seconds INTEGER NOT NULL DEFAULT 0;
+    `);
+    // Events paused under the old scheme keep the same time remaining when resumed
+    await pool.query(`
+      UPDATE events
+      SET paused_at = auction_end_time - paused_time_remaining * INTERVAL '1 second'
+      WHERE status = 'paused' AND paused_at IS NULL
+        AND auction_end_time IS NOT NULL AND paused_time_remaining IS NOT NULL;
+    `);
+
+    // === EVENT STATUS HISTORY ===
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS event_status_history (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
     // === INVITATIONS ===
     await pool.query(`
       CREATE TABLE IF NOT EXISTS invitations (
@@ -135,6 +247,13 @@ async function runMigrations() {
       );
     `);
 
+    // Each lot's own bidding window, set when a staggered (or lot soft close) event goes live and moved by soft close
+    await pool.query(`
+      ALTER TABLE lots
+      ADD COLUMN IF NOT EXISTS start_time TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS end_time TIMESTAMP;
+    `);
+
     // === LINE ITEMS ===
     await pool.query(`
       CREATE TABLE IF NOT EXISTS line_items (
@@ -164,6 +283,18 @@ async function runMigrations() {
       );
     `);
 
+    // Decrement can be an absolute amount or a percentage of the bidder's previous bid
+    await pool.query(`
+      ALTER TABLE line_items
+      ADD COLUMN IF NOT EXISTS decrement_type TEXT CHECK (decrement_type IN ('absolute','percent')) DEFAULT 'absolute';
+    `);
+
+    // Line item soft close: each line item's own end, set when the event goes live
+    await pool.query(`
+      ALTER TABLE line_items
+      ADD COLUMN IF NOT EXISTS end_time TIMESTAMP;
+    `);
+
     // === EVENT MEMBERS ===
     await pool.query(`
       CREATE TABLE IF NOT EXISTS event_members (
@@ -274,6 +405,176 @@ async function runMigrations() {
       ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
     `);
 
+    // Where a bid came from: typed by the bidder or created by an auction format
+    await pool.query(`
+      ALTER TABLE bids
+      ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'manual';
+    `);
+
+    // === DUTCH AUCTION STATE ===
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS dutch_line_item_state (
+        event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+        line_item_id INTEGER REFERENCES line_items(id) ON DELETE CASCADE,
+        current_price NUMERIC(12,2) NOT NULL,
+        step_amount NUMERIC(12,2) NOT NULL,
+        limit_price NUMERIC(12,2) NOT NULL,
+        step_count INTEGER NOT NULL DEFAULT 0,
+        last_step_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running','accepted','no_award')),
+        winner_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        winning_bid_id INTEGER REFERENCES bids(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMP,
+        PRIMARY KEY (event_id, line_item_id)
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS dutch_dropouts (
+        event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+        line_item_id INTEGER REFERENCES line_items(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (event_id, line_item_id, user_id)
+      );
+    `);
+
+    // === JAPANESE AUCTION ROUNDS ===
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS japanese_line_item_state (
+        event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+        line_item_id INTEGER REFERENCES line_items(id) ON DELETE CASCADE,
+        round INTEGER NOT NULL DEFAULT 1,
+        current_price NUMERIC(12,2) NOT NULL,
+        step_amount NUMERIC(12,2) NOT NULL,
+        round_ends_at TIMESTAMP NOT NULL,
+        round_remaining INTERVAL,
+        status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running','accepted','no_award')),
+        winner_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        winning_bid_id INTEGER REFERENCES bids(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMP,
+        PRIMARY KEY (event_id, line_item_id)
+      );
+    `);
+    // Every supplier's decision in every round; 'timeout' is recorded when a round ends without one
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS japanese_round_decisions (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+        line_item_id INTEGER REFERENCES line_items(id) ON DELETE CASCADE,
+        round INTEGER NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        price NUMERIC(12,2) NOT NULL,
+        decision TEXT NOT NULL CHECK (decision IN ('stay','drop','timeout')),
+        bid_id INTEGER REFERENCES bids(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (event_id, line_item_id, round, user_id)
+      );
+    `);
+
+    // === SEALED TENDER ROUNDS ===
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tender_rounds (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+        round_number INTEGER NOT NULL,
+        opening_time TIMESTAMP,
+        closed_at TIMESTAMP,
+        opened_at TIMESTAMP,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (event_id, round_number)
+      );
+    `);
+    // Round membership is a subset of the event's bidders (event_members)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tender_round_members (
+        round_id INTEGER REFERENCES tender_rounds(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        PRIMARY KEY (round_id, user_id)
+      );
+    `);
+    // Line items in scope for a round; quantities override the line item's for that round
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tender_round_line_items (
+        round_id INTEGER REFERENCES tender_rounds(id) ON DELETE CASCADE,
+        line_item_id INTEGER REFERENCES line_items(id) ON DELETE CASCADE,
+        quantity NUMERIC,
+        ext_quantity NUMERIC,
+        PRIMARY KEY (round_id, line_item_id)
+      );
+    `);
+    // Opening a round is irreversible: once opened_at is set it can never change
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION tender_rounds_opening_is_final() RETURNS trigger AS $$
+      BEGIN
+        IF OLD.opened_at IS NOT NULL AND NEW.opened_at IS DISTINCT FROM OLD.opened_at THEN
+          RAISE EXCEPTION 'Tender round % of event % has already been opened', OLD.round_number, OLD.event_id;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await pool.query(`DROP TRIGGER IF EXISTS tender_rounds_opening_is_final ON tender_rounds`);
+    await pool.query(`
+      CREATE TRIGGER tender_rounds_opening_is_final
+      BEFORE UPDATE ON tender_rounds
+      FOR EACH ROW EXECUTE FUNCTION tender_rounds_opening_is_final();
+    `);
+    await pool.query(`
+      ALTER TABLE bids
+      ADD COLUMN IF NOT EXISTS tender_round_id INTEGER REFERENCES tender_rounds(id) ON DELETE SET NULL;
+    `);
+
+    // === PROXY BIDS ===
+    // A bidder's confidential floor per line item; the bid service bids down to it for them
+    // (bids.source = 'proxy'). Managers only see floors once the event has finished.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS proxy_bids (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+        line_item_id INTEGER REFERENCES line_items(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        floor_amount NUMERIC(12,2) NOT NULL CHECK (floor_amount > 0),
+        status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active','exhausted','cancelled')),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (event_id, line_item_id, user_id)
+      );
+    `);
+
+    // === AUCTION EXTENSIONS ===
+    // One row per soft-close extension, with the bid that triggered it
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS auction_extensions (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+        scope TEXT NOT NULL CHECK (scope IN ('event','lot','line_item')),
+        lot_id INTEGER REFERENCES lots(id) ON DELETE CASCADE,
+        line_item_id INTEGER REFERENCES line_items(id) ON DELETE CASCADE,
+        bid_id INTEGER REFERENCES bids(id) ON DELETE SET NULL,
+        trigger TEXT NOT NULL,
+        previous_end_time TIMESTAMP NOT NULL,
+        new_end_time TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS auction_extensions_event_idx ON auction_extensions(event_id)`);
+
+    // === BID IDEMPOTENCY KEYS ===
+    // A retried submission with the same Idempotency-Key gets the stored response instead of new bids
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS bid_idempotency_keys (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+        idempotency_key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        response JSONB,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (user_id, idempotency_key)
+      );
+    `);
+
     // === SUPPLIER LINE ITEM SETTINGS ===
     await pool.query(`
       CREATE TABLE IF NOT EXISTS supplier_line_item_settings (
@@ -289,6 +590,291 @@ async function runMigrations() {
       );
     `);
 
+    // === BID TRANSFORMATION ===
+    // Buyer-side adjustments turning a supplier's raw price into the evaluated price used for
+    // ranking and savings (see services/bid-transform.js): a per unit amount (freight etc.) and
+    // a percentage uplift per supplier and line item, a switching cost per line item paid by
+    // everyone but the incumbent, and a cost factor per supplier on the event.
+    await pool.query(`
+      ALTER TABLE supplier_line_item_settings
+      ADD COLUMN IF NOT EXISTS adjustment_amount NUMERIC NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS adjustment_percent NUMERIC NOT NULL DEFAULT 0;
+    `);
+    await pool.query(`
+      ALTER TABLE line_items
+      ADD COLUMN IF NOT EXISTS switching_cost NUMERIC;
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS supplier_cost_factors (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+        supplier_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        cost_factor NUMERIC NOT NULL DEFAULT 1.0 CHECK (cost_factor > 0),
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (event_id, supplier_id)
+      );
+    `);
+    // evaluated = (raw × (1 + uplift%) + adjustment + switching cost) × weighting × cost factor
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION evaluated_price(p_amount NUMERIC, p_event_id INTEGER, p_line_item_id INTEGER, p_supplier_id INTEGER)
+      RETURNS NUMERIC LANGUAGE sql STABLE AS $$
+        SELECT (p_amount * (1 + COALESCE(s.adjustment_percent, 0) / 100)
+                + COALESCE(s.adjustment_amount, 0)
+                + CASE
+                    WHEN li.switching_cost IS NOT NULL
+                     AND NULLIF(TRIM(li.incumbent), '') IS NOT NULL
+                     AND LOWER(TRIM(li.incumbent)) IS DISTINCT FROM LOWER(TRIM(o.name))
+                    THEN li.switching_cost ELSE 0
+                  END)
+               * COALESCE(s.weighting, 1.0) * COALESCE(f.cost_factor, 1.0)
+        FROM line_items li
+        LEFT JOIN users u ON u.id = p_supplier_id
+        LEFT JOIN organisations o ON o.id = u.organisation_id
+        LEFT JOIN supplier_line_item_settings s
+          ON s.event_id = p_event_id AND s.line_item_id = li.id AND s.supplier_id = p_supplier_id
+        LEFT JOIN supplier_cost_factors f ON f.event_id = p_event_id AND f.supplier_id = p_supplier_id
+        WHERE li.id = p_line_item_id
+      $$;
+    `);
+
+    // === BID ATTRIBUTES ===
+    // Multi-attribute scoring (see services/bid-attributes.js): a line item with attributes
+    // ranks bids by a weighted score out of 100 instead of by price. Bidders submit a value for
+    // each attribute with their bid (bids.attributes, keyed by attribute id).
+    await pool.query(`
+      ALTER TABLE bids
+      ADD COLUMN IF NOT EXISTS attributes JSONB;
+    `);
+    await pool.query(`
+      ALTER TABLE line_items
+      ADD COLUMN IF NOT EXISTS price_weight NUMERIC NOT NULL DEFAULT 100 CHECK (price_weight >= 0),
+      ADD COLUMN IF NOT EXISTS price_min NUMERIC,
+      ADD COLUMN IF NOT EXISTS price_max NUMERIC;
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS line_item_attributes (
+        id SERIAL PRIMARY KEY,
+        line_item_id INTEGER REFERENCES line_items(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        unit TEXT,
+        weight NUMERIC NOT NULL DEFAULT 0 CHECK (weight >= 0),
+        direction TEXT NOT NULL DEFAULT 'lower' CHECK (direction IN ('lower', 'higher')),
+        min_value NUMERIC NOT NULL,
+        max_value NUMERIC NOT NULL,
+        required BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        CHECK (max_value > min_value)
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_line_item_attributes_line_item
+      ON line_item_attributes(line_item_id);
+    `);
+    // 0-100 for a value between min and max, clamped; 'lower' means lower is better.
+    // Without a usable range everyone scores 100; a missing value scores 0.
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION normalise_score(p_value NUMERIC, p_min NUMERIC, p_max NUMERIC, p_direction TEXT)
+      RETURNS NUMERIC LANGUAGE sql IMMUTABLE AS $$
+        SELECT CASE
+          WHEN p_value IS NULL THEN 0
+          WHEN p_min IS NULL OR p_max IS NULL OR p_max <= p_min THEN 100
+          WHEN p_direction = 'higher' THEN 100 * LEAST(GREATEST((p_value - p_min) / (p_max - p_min), 0), 1)
+          ELSE 100 * LEAST(GREATEST((p_max - p_value) / (p_max - p_min), 0), 1)
+        END
+      $$;
+    `);
+    // Weighted average of the price score and the attribute scores, NULL when the line item has
+    // no attributes (it ranks on price). Price is normalised against the buyer's price_min and
+    // price_max, or against the range the caller passes (the spread of the latest bids).
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION bid_score(p_line_item_id INTEGER, p_price NUMERIC, p_attributes JSONB, p_price_low NUMERIC, p_price_high NUMERIC)
+      RETURNS NUMERIC LANGUAGE sql STABLE AS $$
+        SELECT CASE WHEN COUNT(a.id) = 0 THEN NULL ELSE
+          (li.price_weight * normalise_score(p_price, COALESCE(li.price_min, p_price_low), COALESCE(li.price_max, p_price_high), 'lower')
+           + SUM(a.weight * normalise_score((p_attributes ->> a.id::text)::numeric, a.min_value, a.max_value, a.direction)))
+          / NULLIF(li.price_weight + SUM(a.weight), 0)
+        END
+        FROM line_items li
+        LEFT JOIN line_item_attributes a ON a.line_item_id = li.id
+        WHERE li.id = p_line_item_id
+        GROUP BY li.id
+      $$;
+    `);
+
+    // === RESERVE ===
+    // A line item meets reserve once its leading bid, at its evaluated price, is at or below
+    // reserve_value (see services/reserve.js). reserve_met_at records the first time it did.
+    // reserve_broadcast tells bidders when a line item meets reserve; reserve_enforced stops
+    // managers closing or awarding while any line item is still above reserve.
+    await pool.query(`
+      ALTER TABLE events
+      ADD COLUMN IF NOT EXISTS reserve_broadcast BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS reserve_enforced BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+    await pool.query(`
+      ALTER TABLE line_items
+      ADD COLUMN IF NOT EXISTS reserve_met_at TIMESTAMP;
+    `);
+
+    // === AWARDS ===
+    // One award decision per event (see services/awards.js): drafted by a manager once the event
+    // has closed, sent for approval, and approved by another team member, which awards the event.
+    // award_lines split each line item between one or more suppliers; awarded_value is the
+    // supplier's price × ext_quantity × share, frozen when the line is awarded.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS awards (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER UNIQUE REFERENCES events(id) ON DELETE CASCADE,
+        status TEXT NOT NULL DEFAULT 'draft'
+          CHECK (status IN ('draft', 'pending_approval', 'rejected', 'approved')),
+        justification TEXT,
+        created_by INTEGER REFERENCES users(id),
+        submitted_by INTEGER REFERENCES users(id),
+        submitted_at TIMESTAMP,
+        decided_by INTEGER REFERENCES users(id),
+        decided_at TIMESTAMP,
+        decision_note TEXT,
+        notified_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS award_lines (
+        id SERIAL PRIMARY KEY,
+        award_id INTEGER REFERENCES awards(id) ON DELETE CASCADE,
+        line_item_id INTEGER REFERENCES line_items(id) ON DELETE CASCADE,
+        supplier_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        share_percent NUMERIC NOT NULL CHECK (share_percent > 0 AND share_percent <= 100),
+        amount NUMERIC NOT NULL,
+        awarded_value NUMERIC NOT NULL,
+        bid_id INTEGER REFERENCES bids(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (award_id, line_item_id, supplier_id)
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_award_lines_line_item
+      ON award_lines(line_item_id);
+    `);
+    // What each line item was awarded for, once the decision is approved (used by the stats routes)
+    await pool.query(`
+      CREATE OR REPLACE VIEW awarded_line_items AS
+      SELECT a.event_id, al.line_item_id, SUM(al.awarded_value) AS awarded_value
+      FROM awards a
+      JOIN award_lines al ON al.award_id = a.id
+      WHERE a.status = 'approved'
+      GROUP BY a.event_id, al.line_item_id;
+    `);
+
+    // === EVENT CERTIFICATES ===
+    // Each PDF certificate issued (see services/certificate.js). The hash printed on it is the
+    // SHA-256 of the record it was drawn from; `masked` says whether suppliers appeared as aliases,
+    // so the record can be rebuilt the same way when the certificate is verified.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS event_certificates (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+        content_hash CHAR(64) NOT NULL,
+        masked BOOLEAN NOT NULL DEFAULT FALSE,
+        generated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        generated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_event_certificates_hash
+      ON event_certificates(event_id, content_hash);
+    `);
+
+    // === AUDIT LOG ===
+    // Append-only record of manager actions on an event (see services/audit-log.js). Rows outlive
+    // the event, the users and the bids they describe, so nothing here references them. Each
+    // event's entries form a hash chain: an entry's hash covers its content and the previous
+    // entry's hash, so editing, removing or reordering entries breaks the chain.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL,
+        actor_id INTEGER,
+        actor_role TEXT,
+        action TEXT NOT NULL,
+        entity_type TEXT NOT NULL,
+        entity_id TEXT,
+        before_state JSONB,
+        after_state JSONB,
+        ip TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        prev_hash CHAR(64),
+        hash CHAR(64) NOT NULL
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_audit_log_event
+      ON audit_log(event_id, id);
+    `);
+    // The hash of an entry given the hash before it (also used to verify the chain)
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION audit_entry_hash(p_prev_hash TEXT, p_entry audit_log)
+      RETURNS TEXT LANGUAGE sql STABLE AS $$
+        SELECT encode(sha256(convert_to(concat_ws('|',
+          COALESCE(p_prev_hash, ''),
+          p_entry.id,
+          p_entry.event_id,
+          COALESCE(p_entry.actor_id::text, ''),
+          COALESCE(p_entry.actor_role, ''),
+          p_entry.action,
+          p_entry.entity_type,
+          COALESCE(p_entry.entity_id, ''),
+          COALESCE(p_entry.before_state::text, ''),
+          COALESCE(p_entry.after_state::text, ''),
+          COALESCE(p_entry.ip, ''),
+          to_char(p_entry.created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US')
+        ), 'UTF8')), 'hex')
+      $$;
+    `);
+    // Entries are chained as they are written: one writer per event at a time, and the ID is
+    // taken under the lock so ID order is chain order
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION audit_log_chain() RETURNS trigger AS $$
+      BEGIN
+        PERFORM pg_advisory_xact_lock(hashtext('audit_log'), NEW.event_id);
+        NEW.id := nextval(pg_get_serial_sequence('audit_log', 'id'));
+        NEW.created_at := COALESCE(NEW.created_at, NOW());
+        SELECT hash INTO NEW.prev_hash FROM audit_log
+        WHERE event_id = NEW.event_id
+        ORDER BY id DESC
+        LIMIT 1;
+        NEW.hash := audit_entry_hash(NEW.prev_hash, NEW);
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await pool.query(`DROP TRIGGER IF EXISTS audit_log_chain ON audit_log`);
+    await pool.query(`
+      CREATE TRIGGER audit_log_chain
+      BEFORE INSERT ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_chain();
+    `);
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION audit_log_is_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only: entries cannot be changed or removed';
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await pool.query(`DROP TRIGGER IF EXISTS audit_log_is_append_only ON audit_log`);
+    await pool.query(`
+      CREATE TRIGGER audit_log_is_append_only
+      BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_is_append_only();
+    `);
+    await pool.query(`DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log`);
+    await pool.query(`
+      CREATE TRIGGER audit_log_no_truncate
+      BEFORE TRUNCATE ON audit_log
+      FOR EACH STATEMENT EXECUTE FUNCTION audit_log_is_append_only();
+    `);
+
     // === RFQ RESPONSES ===
     await pool.query(`
       CREATE TABLE IF NOT EXISTS rfq_responses (
@@ -328,6 +914,8 @@ async function runMigrations() {
       CREATE INDEX IF NOT EXISTS slis_event_line_idx ON supplier_line_item_settings(event_id, line_item_id);
       CREATE INDEX IF NOT EXISTS rfq_responses_event_idx ON rfq_responses(event_id);
       CREATE INDEX IF NOT EXISTS rfq_responses_status_idx ON rfq_responses(status);
+      CREATE INDEX IF NOT EXISTS events_status_idx ON events(status);
+      CREATE INDEX IF NOT EXISTS event_status_history_event_idx ON event_status_history(event_id);
     `);
 
     console.log("✅ Startup migrations complete.");
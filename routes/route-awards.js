@@ -0,0 +1,277 @@
+// routes/route-awards.js
+const express = require("express");
+const pool = require("../db/pool");
+const { ensureAuthenticated } = require("../middleware/auth");
+const { checkTeamMembership } = require("../middleware/team-access");
+const { checkEventBidder } = require("../services/bid-eligibility");
+const { shouldMaskBidders, getBidderAliases, maskBid } = require("../services/bidder-masking");
+const { getAward, getSupplierAward } = require("../services/awards");
+const { SCENARIOS, parseScenarioOptions, getScenarios } = require("../services/award-scenarios");
+const { hasSealedBids } = require("../services/sealed-tender");
+
+module.exports = (io) => {
+  const router = express.Router();
+  const awards = require("../services/awards")(io);
+
+  // Managers see aliases on sealed events until the bidders are revealed, and no offers at all
+  // while a tender round is unopened
+  async function maskAward(eventId, award) {
+    if (await hasSealedBids(eventId)) {
+      award = {
+        ...award,
+        line_items: award.line_items.map(li => ({ ...li, leader: null, offers: [] })),
+      };
+    }
+    const eventRes = await pool.query(`SELECT type, reveal_bidders FROM events WHERE id = $1`, [eventId]);
+    if (!shouldMaskBidders(eventRes.rows[0])) return award;
+
+    const aliases = await getBidderAliases(eventId);
+    const mask = (row, userId) => maskBid(row, aliases.get(userId) || "Company");
+    return {
+      ...award,
+      line_items: award.line_items.map(li => ({
+        ...li,
+        leader: li.leader && mask(li.leader, li.leader.user_id),
+        offers: li.offers.map(o => mask(o, o.user_id)),
+        splits: li.splits.map(s => mask(s, s.supplier_id)),
+      })),
+    };
+  }
+
+  // Scenario suppliers are masked the same way
+  async function maskScenarios(eventId, result) {
+    const eventRes = await pool.query(`SELECT type, reveal_bidders FROM events WHERE id = $1`, [eventId]);
+    if (!shouldMaskBidders(eventRes.rows[0])) return result;
+
+    const aliases = await getBidderAliases(eventId);
+    return {
+      ...result,
+      scenarios: result.scenarios.map(scenario => ({
+        ...scenario,
+        suppliers: scenario.suppliers.map(s => maskBid(s, aliases.get(s.supplier_id) || "Company")),
+      })),
+    };
+  }
+
+  // Send a service result: the rejection with its status, or the award as managers see it
+  async function respond(res, eventId, result) {
+    if (result.rejection) {
+      const { status, ...body } = result.rejection;
+      return res.status(status).json(body);
+    }
+    res.json(await maskAward(eventId, result.award));
+  }
+
+  // === Award decision (managers: the whole decision; bidders: their own outcome once approved) ===
+  router.get("/events/:id/award", ensureAuthenticated, async (req, res) => {
+    try {
+      const eventId = req.params.id;
+
+      if (req.user.role !== "manager") {
+        const notInvited = await checkEventBidder(eventId, req.user.id);
+        if (notInvited) {
+          const { status, ...body } = notInvited;
+          return res.status(status).json(body);
+        }
+        return res.json(await getSupplierAward(eventId, req.user.id));
+      }
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      if (await hasSealedBids(eventId)) {
+        return res.status(409).json({ error: "Bids are sealed until the tender opening", code: "BIDS_SEALED" });
+      }
+
+      res.json(await maskAward(eventId, await getAward(eventId)));
+    } catch (err) {
+      console.error("Error fetching award:", err);
+      res.status(500).json({ error: "Failed to fetch award" });
+    }
+  });
+
+  // === Award a line item or a whole lot, split between suppliers ===
+  router.put("/events/:id/award/line-items", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can make awards" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      const { line_item_id, lot_id, splits } = req.body;
+      await respond(res, eventId, await awards.awardLineItems(eventId, req.user.id, { line_item_id, lot_id, splits }));
+    } catch (err) {
+      console.error("Error awarding line items:", err);
+      res.status(500).json({ error: "Failed to award line items" });
+    }
+  });
+
+  // === Award scenarios: cheapest per line item, whole lots, capped suppliers, incumbent share ===
+  router.get("/events/:id/award/scenarios", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can view award scenarios" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      const parsed = parseScenarioOptions(req.query);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error, code: "INVALID_SCENARIO" });
+      }
+      if (await hasSealedBids(eventId)) {
+        return res.status(409).json({ error: "Bids are sealed until the tender opening", code: "BIDS_SEALED" });
+      }
+
+      res.json(await maskScenarios(eventId, await getScenarios(eventId, parsed.options)));
+    } catch (err) {
+      console.error("Error working out award scenarios:", err);
+      res.status(500).json({ error: "Failed to work out award scenarios" });
+    }
+  });
+
+  // === Turn a scenario into the award decision (replacing it) ===
+  router.post("/events/:id/award/scenarios/:scenario", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can make awards" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      if (!SCENARIOS.includes(req.params.scenario)) {
+        return res.status(404).json({ error: `Unknown scenario; use one of ${SCENARIOS.join(", ")}`, code: "SCENARIO_NOT_FOUND" });
+      }
+      const parsed = parseScenarioOptions(req.body || {});
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error, code: "INVALID_SCENARIO" });
+      }
+      if (await hasSealedBids(eventId)) {
+        return res.status(409).json({ error: "Bids are sealed until the tender opening", code: "BIDS_SEALED" });
+      }
+
+      const { scenarios } = await getScenarios(eventId, parsed.options);
+      const scenario = scenarios.find(s => s.scenario === req.params.scenario);
+      const assignment = scenario.line_items.map(l => ({ line_item_id: l.line_item_id, supplier_id: l.supplier_id }));
+      await respond(res, eventId, await awards.applyScenario(eventId, req.user.id, assignment));
+    } catch (err) {
+      console.error("Error applying award scenario:", err);
+      res.status(500).json({ error: "Failed to apply award scenario" });
+    }
+  });
+
+  // === Take a line item out of the award ===
+  router.delete("/events/:id/award/line-items/:lineItemId", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can make awards" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      await respond(res, eventId, await awards.clearLineItem(eventId, req.user.id, Number(req.params.lineItemId)));
+    } catch (err) {
+      console.error("Error clearing award line:", err);
+      res.status(500).json({ error: "Failed to clear award line" });
+    }
+  });
+
+  // === Submit the award for approval ===
+  router.post("/events/:id/award/submit", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can submit awards" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      await respond(res, eventId, await awards.submitAward(eventId, req.user.id, req.body?.justification));
+    } catch (err) {
+      console.error("Error submitting award:", err);
+      res.status(500).json({ error: "Failed to submit award" });
+    }
+  });
+
+  // === Approve the award (another team member), awarding the event ===
+  router.post("/events/:id/award/approve", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can approve awards" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      await respond(res, eventId, await awards.approveAward(eventId, req.user.id, req.body?.note));
+    } catch (err) {
+      if (err.code && err.status) {
+        return res.status(err.status).json({ error: err.message, code: err.code });
+      }
+      console.error("Error approving award:", err);
+      res.status(500).json({ error: "Failed to approve award" });
+    }
+  });
+
+  // === Send the award back for changes ===
+  router.post("/events/:id/award/reject", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can reject awards" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      await respond(res, eventId, await awards.rejectAward(eventId, req.user.id, req.body?.note));
+    } catch (err) {
+      console.error("Error rejecting award:", err);
+      res.status(500).json({ error: "Failed to reject award" });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,71 @@
+// routes/route-dutch.js
+const express = require("express");
+const { ensureAuthenticated } = require("../middleware/auth");
+const { checkTeamMembership } = require("../middleware/team-access");
+const { checkEventBidder } = require("../services/bid-eligibility");
+
+module.exports = (io) => {
+  const router = express.Router();
+  const dutchAuction = require("../services/dutch-auction")(io);
+
+  // === Current price clocks ===
+  router.get("/events/:id/dutch", ensureAuthenticated, async (req, res) => {
+    try {
+      const eventId = req.params.id;
+
+      if (req.user.role === "manager") {
+        const isMember = await checkTeamMembership(eventId, req.user.id);
+        if (!isMember) {
+          return res.status(403).json({ error: "You are not a team member of this event" });
+        }
+      } else {
+        const notInvited = await checkEventBidder(eventId, req.user.id);
+        if (notInvited) {
+          const { status, ...body } = notInvited;
+          return res.status(status).json(body);
+        }
+      }
+
+      res.json(await dutchAuction.getState(eventId, req.user));
+    } catch (err) {
+      console.error("Error fetching Dutch auction state:", err);
+      res.status(500).json({ error: "Failed to fetch Dutch auction state" });
+    }
+  });
+
+  // === Accept the offered price ===
+  router.post("/events/:id/dutch/:lineItemId/accept", ensureAuthenticated, async (req, res) => {
+    try {
+      const { id, lineItemId } = req.params;
+      const result = await dutchAuction.accept(id, req.user.id, lineItemId, req.body?.expected_price);
+      if (result.rejection) {
+        const { status, ...body } = result.rejection;
+        return res.status(status).json(body);
+      }
+
+      res.json({ success: true, bid: result.bid, state: result.state });
+    } catch (err) {
+      console.error("Error accepting Dutch price:", err);
+      res.status(500).json({ error: "Failed to accept price" });
+    }
+  });
+
+  // === Drop out of a line item ===
+  router.post("/events/:id/dutch/:lineItemId/drop-out", ensureAuthenticated, async (req, res) => {
+    try {
+      const { id, lineItemId } = req.params;
+      const result = await dutchAuction.dropOut(id, req.user.id, lineItemId);
+      if (result.rejection) {
+        const { status, ...body } = result.rejection;
+        return res.status(status).json(body);
+      }
+
+      res.json({ success: true, state: result.state });
+    } catch (err) {
+      console.error("Error dropping out of Dutch line item:", err);
+      res.status(500).json({ error: "Failed to drop out" });
+    }
+  });
+
+  return router;
+};
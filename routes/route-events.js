@@ -2,9 +2,44 @@
 const express = require("express");
 const { ensureAuthenticated } = require("../middleware/auth");
 const { checkTeamMembership } = require("../middleware/team-access");
+const {
+  checkEventBidder,
+  checkLineItemAssignments,
+} = require("../services/bid-eligibility");
+const {
+  recordStatusHistory,
+  FINISHED_STATUSES,
+  transitionEvent,
+  announceTransition,
+  getStatusHistory,
+} = require("../services/event-lifecycle");
+const {
+  FEEDBACK_MODES,
+  DEFAULT_FEEDBACK_MODE,
+  effectiveFeedbackMode,
+  getBidderFeedback,
+  applyBidderVisibility,
+} = require("../services/bidder-feedback");
+const { shouldMaskBidders, getBidderAliases, maskBid } = require("../services/bidder-masking");
+const { parseDutchConfig } = require("../services/dutch-auction");
+const { parseJapaneseConfig } = require("../services/japanese-auction");
+const { getCurrentRound, hasSealedBids } = require("../services/sealed-tender");
+const { scheduleLots, shiftLots } = require("../services/lot-schedule");
+const { parseExtensionRules, getExtensions } = require("../services/soft-close");
+const { parseBiddingMode, getLotRankings } = require("../services/lot-bidding");
+const { rankBidAgainstLatest } = require("../services/bid-ranking");
+const { getLineItemAttributes } = require("../services/bid-attributes");
+const { markReserveMet, checkReserveEnforced } = require("../services/reserve");
+const { getEventSummary } = require("../services/event-summary");
+const { getEventDetails, getEventBids, getManagerBids } = require("../services/event-record");
+const { auditActor, changedFields, recordAudit } = require("../services/audit-log");
 const pool = require("../db/pool");
 const jwt = require("jsonwebtoken");
 
+// Auction formats an event can take (events.type); the format only changes before the event runs
+const EVENT_TYPES = ["open", "sealed", "dutch", "japanese"];
+const TYPE_EDITABLE_STATUSES = ["draft", "scheduled"];
+
 const router = express.Router();
 
   // === Get all events a bidder is assigned to ===
@@ -37,6 +72,9 @@ const router = express.Router();
   });
 
 module.exports = (io) => {
+  const bidService = require("../services/bid-service")(io);
+  const broadcast = require("../services/bid-broadcast")(io);
+
   // Helper to normalize interval fields (returns interval string for Postgres)
   function normalizeInterval(value, unit) {
     if (value === null || typeof value === "undefined" || value === "") return null;
@@ -49,81 +87,16 @@ module.exports = (io) => {
   // === Submit a new bid ===
   router.post("/events/:id/bids", ensureAuthenticated, async (req, res) => {
     try {
-      const { amount, line_item_id } = req.body;
-      const eventId = req.params.id;
-      const userId = req.user.id;
-
-      if (!amount || isNaN(amount)) {
-        return res.status(400).json({ error: "Invalid bid amount" });
-      }
-
-      // Get event details to check for extension
-      const eventRes = await pool.query(
-        `SELECT auction_end_time, 
-                EXTRACT(EPOCH FROM extension_time)::int AS extension_time,
-                EXTRACT(EPOCH FROM extension_threshold)::int AS extension_threshold,
-                type
-         FROM events WHERE id = $1`,
-        [eventId]
-      );
-      const event = eventRes.rows[0];
-
-      const result = await pool.query(
-        `INSERT INTO bids (event_id, user_id, line_item_id, amount)
-         VALUES ($1, $2, $3, $4)
-         RETURNING *`,
-        [eventId, userId, line_item_id || null, amount]
-      );
-
-      const bid = result.rows[0];
-      const ures = await pool.query(
-        `SELECT u.first_name, u.last_name, u.email, o.name AS organisation_name 
-         FROM users u
-         LEFT JOIN organisations o ON u.organisation_id = o.id
-         WHERE u.id=$1`,
-        [userId]
-      );
-      const u = ures.rows[0] || {};
-      const display_name =
-        `${(u.first_name || "").trim()} ${(u.last_name || "").trim()}`.trim() ||
-        u.email ||
-        `User ${userId}`;
-      const enriched = { 
-        ...bid, 
-        display_name,
-        user_name: u.organisation_name || `[NO ORG] ${u.email || userId}`,
-        organisation_name: u.organisation_name,
-        first_name: u.first_name,
-        last_name: u.last_name,
-        email: u.email
-      };
-
-      // Check if extension should be triggered
-      let extensionTriggered = false;
-      if (event && event.auction_end_time && event.type !== 'paused') {
-        const now = new Date();
-        const endTime = new Date(event.auction_end_time);
-        const timeRemaining = (endTime - now) / 1000; // in seconds
-        const extensionThreshold = event.extension_threshold || 60;
-        const extensionTime = event.extension_time || 120;
-
-        if (timeRemaining > 0 && timeRemaining <= extensionThreshold) {
-          // Trigger extension - reset end time to now + extension_time
-          const newEndTime = new Date(now.getTime() + (extensionTime * 1000));
-          await pool.query(
-            `UPDATE events SET auction_end_time = $1 WHERE id = $2`,
-            [newEndTime, eventId]
-          );
-          extensionTriggered = true;
-          io.to(`event_${eventId}`).emit("auction_extended", {
-            newEndTime: newEndTime.toISOString(),
-            extensionTime
-          });
-        }
+      const { amount, line_item_id, attributes } = req.body;
+      const result = await bidService.placeBid(req.params.id, req.user.id, { line_item_id, amount, attributes }, {
+        idempotencyKey: req.get("Idempotency-Key"),
+      });
+      if (result.rejection) {
+        const { status, ...body } = result.rejection;
+        return res.status(status).json(body);
       }
 
-      io.to(`event_${eventId}`).emit("bid_update", enriched);
-      res.json({ ...enriched, extensionTriggered });
+      res.json({ ...result.bid, extensionTriggered: result.extensionTriggered, replayed: result.replayed });
     } catch (err) {
       console.error("Error submitting bid:", err);
       res.status(500).json({ error: "Failed to submit bid" });
@@ -133,130 +106,21 @@ module.exports = (io) => {
   // === Bulk Bid Submission ===
   router.post("/events/:id/bids/bulk", ensureAuthenticated, async (req, res) => {
     try {
-      const eventId = req.params.id;
-      const userId = req.user.id;
-      const { bids } = req.body;
-
-      if (!Array.isArray(bids) || bids.length === 0) {
-        return res.status(400).json({ error: "No bids provided" });
-      }
-
-      // Get event details to check for extension
-      const eventRes = await pool.query(
-        `SELECT auction_end_time, 
-                EXTRACT(EPOCH FROM extension_time)::int AS extension_time,
-                EXTRACT(EPOCH FROM extension_threshold)::int AS extension_threshold,
-                type
-         FROM events WHERE id = $1`,
-        [eventId]
-      );
-      const event = eventRes.rows[0];
-
-      const ures = await pool.query(
-        `SELECT u.first_name, u.last_name, u.email, o.name AS organisation_name 
-         FROM users u
-         LEFT JOIN organisations o ON u.organisation_id = o.id
-         WHERE u.id=$1`,
-        [userId]
-      );
-      const u = ures.rows[0] || {};
-      const display_name =
-        `${(u.first_name || "").trim()} ${(u.last_name || "").trim()}`.trim() ||
-        u.email ||
-        `User ${userId}`;
-
-      const insertedBids = [];
-      let extensionTriggered = false;
-
-      for (const bid of bids) {
-        const { line_item_id, amount } = bid;
-        if (!line_item_id || isNaN(amount)) continue;
-
-        const result = await pool.query(
-          `INSERT INTO bids (event_id, user_id, line_item_id, amount)
-           VALUES ($1, $2, $3, $4)
-           RETURNING *`,
-          [eventId, userId, line_item_id, amount]
-        );
-        const enriched = { 
-          ...result.rows[0], 
-          display_name,
-          user_name: u.organisation_name || `[NO ORG] ${u.email || userId}`,
-          organisation_name: u.organisation_name,
-          first_name: u.first_name,
-          last_name: u.last_name,
-          email: u.email
-        };
-        insertedBids.push(enriched);
-        io.to(`event_${eventId}`).emit("bid_update", enriched);
-      }
-
-      // Calculate and emit the bidder's total after all bids are submitted
-      if (insertedBids.length > 0) {
-        // Query the LATEST bid for each line item for this user
-        // This gives us their current total position across all line items
-        const totalRes = await pool.query(
-          `SELECT 
-             b.amount,
-             b.line_item_id,
-             li.ext_quantity,
-             COALESCE(s.weighting, 1.0) AS weighting
-           FROM bids b
-           JOIN line_items li ON li.id = b.line_item_id
-           LEFT JOIN supplier_line_item_settings s ON s.event_id = b.event_id 
-             AND s.line_item_id = b.line_item_id 
-             AND s.supplier_id = b.user_id
-           WHERE b.event_id = $1 
-             AND b.user_id = $2
-             AND b.id IN (
-               SELECT MAX(id) 
-               FROM bids 
-               WHERE event_id = $1 AND user_id = $2 
-               GROUP BY line_item_id
-             )`,
-          [eventId, userId]
-        );
-
-        let total = 0;
-        for (const row of totalRes.rows) {
-          const extendedBid = row.amount * row.weighting * row.ext_quantity;
-          total += extendedBid;
-        }
-
-        console.log(`Bidder total calculated for user ${userId}: ${total} (from ${totalRes.rows.length} line items)`);
-
-        // Emit the total to the auction room
-        io.to(`event_${eventId}`).emit("bidder_total_update", {
-          user_id: userId,
-          user_name: u.organisation_name || `[NO ORG] ${u.email || userId}`,
-          total: total
-        });
-      }
-
-      // Check if extension should be triggered (check once after all bids)
-      if (event && event.auction_end_time && event.type !== 'paused' && !extensionTriggered) {
-        const now = new Date();
-        const endTime = new Date(event.auction_end_time);
-        const timeRemaining = (endTime - now) / 1000; // in seconds
-        const extensionThreshold = event.extension_threshold || 60;
-        const extensionTime = event.extension_time || 120;
-
-        if (timeRemaining > 0 && timeRemaining <= extensionThreshold) {
-          // Trigger extension - reset end time to now + extension_time
-          const newEndTime = new Date(now.getTime() + (extensionTime * 1000));
-          await pool.query(
-            `UPDATE events SET auction_end_time = $1 WHERE id = $2`,
-            [newEndTime, eventId]
-          );
-          extensionTriggered = true;
-          io.to(`event_${eventId}`).emit("auction_extended", {
-            newEndTime: newEndTime.toISOString(),
-            extensionTime
-          });
-        }
+      const result = await bidService.placeBids(req.params.id, req.user.id, req.body.bids, {
+        idempotencyKey: req.get("Idempotency-Key"),
+      });
+      if (result.rejection) {
+        const { status, ...body } = result.rejection;
+        return res.status(status).json(body);
       }
 
-      res.json({ success: true, inserted: insertedBids.length, extensionTriggered });
+      res.json({
+        success: true,
+        inserted: result.bids.length,
+        bids: result.bids.map(b => ({ id: b.id, line_item_id: b.line_item_id, amount: b.amount, feedback: b.feedback })),
+        extensionTriggered: result.extensionTriggered,
+        replayed: Boolean(result.replayed),
+      });
     } catch (err) {
       console.error("Error submitting bulk bids:", err);
       res.status(500).json({ error: "Failed to submit bulk bids" });
@@ -279,36 +143,45 @@ module.exports = (io) => {
         return res.status(403).json({ error: "You are not a team member of this event" });
       }
 
-      // Get current auction end time to calculate time remaining
-      const eventRes = await pool.query(
-        `SELECT auction_end_time, elapsed_seconds FROM events WHERE id = $1`,
-        [eventId]
-      );
-      const event = eventRes.rows[0];
-      
-      // Calculate and store time remaining when pausing
-      if (event && event.auction_end_time) {
-        const now = new Date();
-        const endTime = new Date(event.auction_end_time);
-        const secondsRemaining = Math.max(0, Math.floor((endTime - now) / 1000));
-        
-        // Store the time remaining AND current elapsed seconds
-        await pool.query(
-          `UPDATE events 
-           SET type = 'paused',
-               paused_time_remaining = $2,
-               elapsed_seconds = $3
-           WHERE id = $1`,
-          [eventId, secondsRemaining, event.elapsed_seconds || 0]
-        );
-      } else {
-        // No end time set, just pause
-        await pool.query("UPDATE events SET type = 'paused' WHERE id=$1", [eventId]);
+      // Freeze the clock; time remaining and elapsed time are derived from paused_at
+      const fields = { paused_at: new Date() };
+
+      const reason = req.body?.reason || "Paused by manager";
+      const client = await pool.connect();
+      let change;
+      try {
+        await client.query("BEGIN");
+        change = await transitionEvent(eventId, "paused", {
+          io,
+          userId,
+          reason,
+          fields,
+          db: client,
+        });
+        await recordAudit(client, {
+          eventId,
+          actor: auditActor(req),
+          action: "event.paused",
+          entityType: "event",
+          entityId: eventId,
+          before: { status: change.from },
+          after: { status: change.to, paused_at: fields.paused_at, reason },
+        });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
       }
+      announceTransition(change, io);
 
       io.to(`event_${eventId}`).emit("auction_paused");
       res.json({ success: true });
     } catch (err) {
+      if (err.code === "INVALID_TRANSITION" || err.code === "EVENT_NOT_FOUND") {
+        return res.status(err.status).json({ error: err.message, code: err.code });
+      }
       console.error("Error pausing auction:", err);
       res.status(500).json({ error: "Failed to pause auction" });
     }
@@ -329,60 +202,276 @@ module.exports = (io) => {
         return res.status(403).json({ error: "You are not a team member of this event" });
       }
 
-      // Get the stored time remaining from when it was paused
       const eventRes = await pool.query(
-        `SELECT paused_time_remaining FROM events WHERE id = $1`,
+        `SELECT auction_end_time, paused_at, total_paused_seconds FROM events WHERE id = $1`,
         [eventId]
       );
       const event = eventRes.rows[0];
-      
-      // Calculate new end time based on time remaining
-      if (event && event.paused_time_remaining !== null) {
+
+      // Push the end time back by however long the auction was paused
+      const fields = { paused_at: null };
+      let pausedMs = 0;
+      if (event && event.paused_at) {
         const now = new Date();
-        const newEndTime = new Date(now.getTime() + (event.paused_time_remaining * 1000));
-        
-        await pool.query(
-          `UPDATE events 
-           SET type = 'open',
-               auction_end_time = $2,
-               paused_time_remaining = NULL
-           WHERE id = $1`,
-          [eventId, newEndTime]
-        );
-      } else {
-        // No stored time, just resume
-        await pool.query("UPDATE events SET type = 'open' WHERE id=$1", [eventId]);
+        pausedMs = now - new Date(event.paused_at);
+        fields.total_paused_seconds = (event.total_paused_seconds || 0) + Math.round(pausedMs / 1000);
+        if (event.auction_end_time) {
+          fields.auction_end_time = new Date(new Date(event.auction_end_time).getTime() + pausedMs);
+        }
+      }
+
+      // Staggered lots still open at the pause move with the event end
+      const client = await pool.connect();
+      let change;
+      try {
+        await client.query("BEGIN");
+        const reason = req.body?.reason || "Resumed by manager";
+        change = await transitionEvent(eventId, "live", {
+          io,
+          userId,
+          reason,
+          from: ["paused"],
+          fields,
+          db: client,
+        });
+        if (pausedMs > 0) await shiftLots(eventId, event.paused_at, pausedMs, client);
+        await recordAudit(client, {
+          eventId,
+          actor: auditActor(req),
+          action: "event.resumed",
+          entityType: "event",
+          entityId: eventId,
+          before: { status: change.from, paused_at: event.paused_at, auction_end_time: event.auction_end_time },
+          after: { status: change.to, auction_end_time: fields.auction_end_time ?? event.auction_end_time, reason },
+        });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
       }
+      announceTransition(change, io);
+      await global.auctionTimer.refreshEvent(eventId);
 
       io.to(`event_${eventId}`).emit("auction_resumed");
       res.json({ success: true });
     } catch (err) {
+      if (err.code === "INVALID_TRANSITION" || err.code === "EVENT_NOT_FOUND") {
+        return res.status(err.status).json({ error: err.message, code: err.code });
+      }
       console.error("Error resuming auction:", err);
       res.status(500).json({ error: "Failed to resume auction" });
     }
   });
 
-  // === Initialize Auction End Time ===
-  router.patch("/events/:id/initialize-end-time", ensureAuthenticated, async (req, res) => {
+  // === Soft close extension log (Manager only) ===
+  router.get("/events/:id/extensions", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can view extensions" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      res.json(await getExtensions(eventId));
+    } catch (err) {
+      console.error("Error fetching extensions:", err);
+      res.status(500).json({ error: "Failed to fetch extensions" });
+    }
+  });
+
+  // === Lot Rankings (lot total bidding, Manager only) ===
+  router.get("/events/:id/lot-rankings", ensureAuthenticated, async (req, res) => {
     try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can view lot rankings" });
+      }
+
       const eventId = req.params.id;
-      const { auction_end_time } = req.body;
 
-      if (!auction_end_time) {
-        return res.status(400).json({ error: "auction_end_time is required" });
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
       }
 
-      await pool.query(
-        "UPDATE events SET auction_end_time = $1 WHERE id = $2 AND auction_end_time IS NULL",
-        [auction_end_time, eventId]
+      const eventResult = await pool.query(
+        "SELECT type, reveal_bidders, bidding_mode FROM events WHERE id=$1",
+        [eventId]
       );
-      
-      res.json({ success: true });
+      const event = eventResult.rows[0];
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+      if (event.bidding_mode !== "lot_total") {
+        return res.status(409).json({ error: "This event is bid per line item", code: "NOT_LOT_TOTAL" });
+      }
+      // A ranking would reveal sealed bids before the opening
+      if (await hasSealedBids(eventId)) {
+        return res.status(409).json({ error: "Bids are sealed until the tender opening", code: "BIDS_SEALED" });
+      }
+
+      const rankings = await getLotRankings(eventId);
+      if (!shouldMaskBidders(event)) {
+        return res.json(rankings);
+      }
+      const aliases = await getBidderAliases(eventId);
+      res.json(rankings.map(lot => ({
+        ...lot,
+        ranking: lot.ranking.map(r => maskBid(r, aliases.get(r.user_id) || "Company")),
+      })));
+    } catch (err) {
+      console.error("Error fetching lot rankings:", err);
+      res.status(500).json({ error: "Failed to fetch lot rankings" });
+    }
+  });
+
+  // === Event Summary: best bids against baseline and reserve (Manager only) ===
+  router.get("/events/:id/summary", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can view the event summary" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      const eventResult = await pool.query(
+        "SELECT type, reveal_bidders, status, currency FROM events WHERE id=$1",
+        [eventId]
+      );
+      const event = eventResult.rows[0];
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+      // Best bids would reveal sealed bids before the opening
+      if (await hasSealedBids(eventId)) {
+        return res.status(409).json({ error: "Bids are sealed until the tender opening", code: "BIDS_SEALED" });
+      }
+
+      const summary = await getEventSummary(eventId);
+      if (shouldMaskBidders(event)) {
+        const aliases = await getBidderAliases(eventId);
+        summary.line_items = summary.line_items.map(li => ({
+          ...li,
+          leader: li.leader && maskBid(li.leader, aliases.get(li.leader.user_id) || "Company"),
+        }));
+      }
+      res.json({ event_id: Number(eventId), status: event.status, currency: event.currency, ...summary });
     } catch (err) {
-      console.error("Error initializing auction end time:", err);
-      res.status(500).json({ error: "Failed to initialize auction end time" });
+      console.error("Error fetching event summary:", err);
+      res.status(500).json({ error: "Failed to fetch event summary" });
     }
   });
+
+  // === Change Event Lifecycle Status (Manager only) ===
+  router.patch("/events/:id/status", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can change event status" });
+      }
+
+      const eventId = req.params.id;
+      const userId = req.user.id;
+      const { status, reason } = req.body;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, userId);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      if (!status) {
+        return res.status(400).json({ error: "status is required" });
+      }
+
+      // Events are awarded by approving their award decision (routes/route-awards.js)
+      if (status === "awarded") {
+        return res.status(409).json({
+          error: "Approve the event's award decision to award it",
+          code: "AWARD_REQUIRED",
+        });
+      }
+
+      const reserveRejection = await checkReserveEnforced(eventId, status);
+      if (reserveRejection) {
+        const { status: httpStatus, ...body } = reserveRejection;
+        return res.status(httpStatus).json(body);
+      }
+
+      const client = await pool.connect();
+      let change;
+      try {
+        await client.query("BEGIN");
+        change = await transitionEvent(eventId, status, { io, userId, reason, db: client });
+        // A new run (not a resume) gets its lot windows with the status
+        if (change.to === "live" && change.from !== "paused") await scheduleLots(change.event, client);
+        await recordAudit(client, {
+          eventId,
+          actor: auditActor(req),
+          action: "event.status_changed",
+          entityType: "event",
+          entityId: eventId,
+          before: { status: change.from },
+          after: { status: change.to, reason: reason || null },
+        });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+      announceTransition(change, io);
+      res.json({ success: true, from: change.from, to: change.to, event: change.event });
+    } catch (err) {
+      if (err.code && err.status) {
+        return res.status(err.status).json({ error: err.message, code: err.code });
+      }
+      console.error("Error changing event status:", err);
+      res.status(500).json({ error: "Failed to change event status" });
+    }
+  });
+
+  // === Get Event Status History ===
+  router.get("/events/:id/status-history", ensureAuthenticated, async (req, res) => {
+    try {
+      const eventId = req.params.id;
+
+      // Managers on the event's team and its invited bidders only
+      if (req.user.role === "manager") {
+        const isMember = await checkTeamMembership(eventId, req.user.id);
+        if (!isMember) {
+          return res.status(403).json({ error: "You are not a team member of this event" });
+        }
+      } else {
+        const notInvited = await checkEventBidder(eventId, req.user.id);
+        if (notInvited) {
+          const { status, ...body } = notInvited;
+          return res.status(status).json(body);
+        }
+      }
+
+      const history = await getStatusHistory(eventId);
+      res.json(history);
+    } catch (err) {
+      console.error("Error fetching status history:", err);
+      res.status(500).json({ error: "Failed to fetch status history" });
+    }
+  });
+
   // === Edit a Bid (Manager only) ===
   router.patch("/events/:eventId/bids/:bidId", ensureAuthenticated, async (req, res) => {
     try {
@@ -404,9 +493,13 @@ module.exports = (io) => {
         return res.status(403).json({ error: "You are not a team member of this event" });
       }
 
-      // Verify bid belongs to this event
+      // Verify bid belongs to this event (bids in an unopened tender round don't exist for managers)
       const bidCheck = await pool.query(
-        `SELECT id FROM bids WHERE id = $1 AND event_id = $2`,
+        `SELECT b.id, b.user_id, b.line_item_id
+         FROM bids b
+         LEFT JOIN tender_rounds tr ON tr.id = b.tender_round_id
+         WHERE b.id = $1 AND b.event_id = $2
+           AND (b.tender_round_id IS NULL OR tr.opened_at IS NOT NULL)`,
         [bidId, eventId]
       );
 
@@ -414,14 +507,35 @@ module.exports = (io) => {
         return res.status(404).json({ error: "Bid not found" });
       }
 
-      // Update the bid
-      await pool.query(
-        `UPDATE bids SET amount = $1 WHERE id = $2`,
-        [amount, bidId]
-      );
+      // Update the bid, with the change on the audit trail
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const before = await client.query(`SELECT amount FROM bids WHERE id = $1 FOR UPDATE`, [bidId]);
+        const updated = await client.query(
+          `UPDATE bids SET amount = $1 WHERE id = $2 RETURNING amount`,
+          [amount, bidId]
+        );
+        await recordAudit(client, {
+          eventId,
+          actor: auditActor(req),
+          action: "bid.updated",
+          entityType: "bid",
+          entityId: bidId,
+          before: { amount: before.rows[0].amount, user_id: bidCheck.rows[0].user_id, line_item_id: bidCheck.rows[0].line_item_id },
+          after: { amount: updated.rows[0].amount },
+        });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
 
-      // Emit socket event
-      io.to(`event_${eventId}`).emit("bid_updated", { bidId, amount });
+      // Emit socket event to managers and the bid's owner only
+      broadcast.emitBidChanged(eventId, "bid_updated", bidCheck.rows[0], { bidId, amount });
+      await broadcast.emitReserveMet(eventId, await markReserveMet(eventId, [bidCheck.rows[0].line_item_id]));
 
       res.json({ success: true, bidId, amount });
     } catch (err) {
@@ -446,9 +560,13 @@ module.exports = (io) => {
         return res.status(403).json({ error: "You are not a team member of this event" });
       }
 
-      // Verify bid belongs to this event
+      // Verify bid belongs to this event (bids in an unopened tender round don't exist for managers)
       const bidCheck = await pool.query(
-        `SELECT id FROM bids WHERE id = $1 AND event_id = $2`,
+        `SELECT b.id, b.user_id, b.line_item_id
+         FROM bids b
+         LEFT JOIN tender_rounds tr ON tr.id = b.tender_round_id
+         WHERE b.id = $1 AND b.event_id = $2
+           AND (b.tender_round_id IS NULL OR tr.opened_at IS NOT NULL)`,
         [bidId, eventId]
       );
 
@@ -456,11 +574,29 @@ module.exports = (io) => {
         return res.status(404).json({ error: "Bid not found" });
       }
 
-      // Delete the bid
-      await pool.query(`DELETE FROM bids WHERE id = $1`, [bidId]);
+      // Delete the bid, keeping what it was on the audit trail
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const deleted = await client.query(`DELETE FROM bids WHERE id = $1 RETURNING *`, [bidId]);
+        await recordAudit(client, {
+          eventId,
+          actor: auditActor(req),
+          action: "bid.deleted",
+          entityType: "bid",
+          entityId: bidId,
+          before: deleted.rows[0],
+        });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
 
-      // Emit socket event
-      io.to(`event_${eventId}`).emit("bid_deleted", { bidId });
+      // Emit socket event to managers and the bid's owner only
+      broadcast.emitBidChanged(eventId, "bid_deleted", bidCheck.rows[0], { bidId });
 
       res.json({ success: true, bidId });
     } catch (err) {
@@ -490,8 +626,36 @@ module.exports = (io) => {
         auction_duration,
         extension_time,
         extension_threshold,
+        feedback_mode,
       } = req.body;
       const created_by = req.user.id;
+
+      if (type && !EVENT_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of ${EVENT_TYPES.join(", ")}` });
+      }
+      if (feedback_mode && !FEEDBACK_MODES.includes(feedback_mode)) {
+        return res.status(400).json({ error: `feedback_mode must be one of ${FEEDBACK_MODES.join(", ")}` });
+      }
+      const dutch = parseDutchConfig(req.body);
+      if (dutch.error) {
+        return res.status(400).json({ error: dutch.error });
+      }
+      const japanese = parseJapaneseConfig(req.body);
+      if (japanese.error) {
+        return res.status(400).json({ error: japanese.error });
+      }
+      const tenderOpeningTime = req.body.tender_opening_time || null;
+      if (tenderOpeningTime && isNaN(new Date(tenderOpeningTime))) {
+        return res.status(400).json({ error: "tender_opening_time must be a valid date" });
+      }
+      const softClose = parseExtensionRules(req.body);
+      if (softClose.error) {
+        return res.status(400).json({ error: softClose.error });
+      }
+      const biddingMode = parseBiddingMode(req.body);
+      if (biddingMode.error) {
+        return res.status(400).json({ error: biddingMode.error });
+      }
       const auctionDurationInterval = normalizeInterval(auction_duration, "minutes");
       const extensionTimeInterval = normalizeInterval(extension_time, "seconds");
       const extensionThresholdInterval = normalizeInterval(extension_threshold, "seconds");
@@ -502,8 +666,12 @@ module.exports = (io) => {
         await client.query("BEGIN");
 
         const result = await client.query(
-          `INSERT INTO events (title, description, organisation_id, category_id, currency, support_contact, support_contact_country_code, support_contact_phone, bid_manager_name, bid_manager, bid_manager_country_code, bid_manager_phone, created_by, auction_time, type, auction_duration, extension_time, extension_threshold)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+          `INSERT INTO events (title, description, organisation_id, category_id, currency, support_contact, support_contact_country_code, support_contact_phone, bid_manager_name, bid_manager, bid_manager_country_code, bid_manager_phone, created_by, auction_time, type, auction_duration, extension_time, extension_threshold, status, feedback_mode, dutch_direction, dutch_start_percent, dutch_step_percent, dutch_limit_percent, dutch_step_interval, japanese_start_percent, japanese_step_percent, japanese_round_duration, tender_opening_time, lot_stagger_interval, extension_trigger, extension_rank_depth, extension_scope, max_extensions, extension_hard_stop, bidding_mode, reserve_broadcast, reserve_enforced)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20,
+                   COALESCE($21, 'ascending'), COALESCE($22, 70), COALESCE($23, 1), COALESCE($24, 100), COALESCE($25::interval, '30 seconds'),
+                   COALESCE($26, 100), COALESCE($27, 2), COALESCE($28::interval, '60 seconds'), $29, $30,
+                   COALESCE($31, 'any_bid'), COALESCE($32, 3), COALESCE($33, 'event'), $34, $35,
+                   COALESCE($36, 'line_item'), $37, $38)
            RETURNING *`,
           [
             title,
@@ -524,10 +692,37 @@ module.exports = (io) => {
             auctionDurationInterval,
             extensionTimeInterval,
             extensionThresholdInterval,
+            auction_time ? "scheduled" : "draft",
+            feedback_mode || DEFAULT_FEEDBACK_MODE,
+            dutch.config.dutch_direction,
+            dutch.config.dutch_start_percent,
+            dutch.config.dutch_step_percent,
+            dutch.config.dutch_limit_percent,
+            dutch.config.dutch_step_interval,
+            japanese.config.japanese_start_percent,
+            japanese.config.japanese_step_percent,
+            japanese.config.japanese_round_duration,
+            tenderOpeningTime,
+            normalizeInterval(req.body.lot_stagger_interval, "seconds"),
+            softClose.config.extension_trigger,
+            softClose.config.extension_rank_depth,
+            softClose.config.extension_scope,
+            softClose.config.max_extensions,
+            softClose.config.extension_hard_stop,
+            biddingMode.mode,
+            req.body.reserve_broadcast === true,
+            req.body.reserve_enforced === true,
           ]
         );
 
         const event = result.rows[0];
+        await recordStatusHistory(client, {
+          eventId: event.id,
+          from: null,
+          to: event.status,
+          userId: created_by,
+          reason: "Event created",
+        });
 
         // Add creator as team member with 'creator' role
         await client.query(
@@ -535,6 +730,15 @@ module.exports = (io) => {
           [event.id, created_by, "creator"]
         );
 
+        await recordAudit(client, {
+          eventId: event.id,
+          actor: auditActor(req),
+          action: "event.created",
+          entityType: "event",
+          entityId: event.id,
+          after: event,
+        });
+
         await client.query("COMMIT");
         res.json(event);
       } catch (err) {
@@ -583,60 +787,183 @@ module.exports = (io) => {
         auction_duration,
         extension_time,
         extension_threshold,
+        feedback_mode,
       } = req.body;
 
+      if (type && !EVENT_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of ${EVENT_TYPES.join(", ")}` });
+      }
+      if (feedback_mode && !FEEDBACK_MODES.includes(feedback_mode)) {
+        return res.status(400).json({ error: `feedback_mode must be one of ${FEEDBACK_MODES.join(", ")}` });
+      }
+      const dutch = parseDutchConfig(req.body);
+      if (dutch.error) {
+        return res.status(400).json({ error: dutch.error });
+      }
+      const japanese = parseJapaneseConfig(req.body);
+      if (japanese.error) {
+        return res.status(400).json({ error: japanese.error });
+      }
+      const tenderOpeningTime = req.body.tender_opening_time || null;
+      if (tenderOpeningTime && isNaN(new Date(tenderOpeningTime))) {
+        return res.status(400).json({ error: "tender_opening_time must be a valid date" });
+      }
+      const softClose = parseExtensionRules(req.body);
+      if (softClose.error) {
+        return res.status(400).json({ error: softClose.error });
+      }
+      const biddingMode = parseBiddingMode(req.body);
+      if (biddingMode.error) {
+        return res.status(400).json({ error: biddingMode.error });
+      }
+
       const auctionDurationInterval = normalizeInterval(auction_duration, "minutes");
       const extensionTimeInterval = normalizeInterval(extension_time, "seconds");
       const extensionThresholdInterval = normalizeInterval(extension_threshold, "seconds");
 
-      const result = await pool.query(
-        `UPDATE events 
-         SET title = $1, 
-             description = $2, 
-             organisation_id = $3, 
-             category_id = $4, 
-             currency = $5, 
-             support_contact = $6, 
-             support_contact_country_code = $7,
-             support_contact_phone = $8,
-             bid_manager_name = $9,
-             bid_manager = $10, 
-             bid_manager_country_code = $11,
-             bid_manager_phone = $12,
-             auction_time = $13, 
-             type = $14,
-             auction_duration = $15,
-             extension_time = $16,
-             extension_threshold = $17
-         WHERE id = $18
-         RETURNING *`,
-        [
-          title,
-          description,
-          organisation_id,
-          category_id,
-          currency,
-          support_contact,
-          support_contact_country_code,
-          support_contact_phone,
-          bid_manager_name,
-          bid_manager,
-          bid_manager_country_code,
-          bid_manager_phone,
-          auction_time,
-          type || "open",
-          auctionDurationInterval,
-          extensionTimeInterval,
-          extensionThresholdInterval,
-          eventId,
-        ]
-      );
+      // The edit and its audit entry are one transaction
+      const client = await pool.connect();
+      let updated;
+      let change = null;
+      try {
+        await client.query("BEGIN");
+        const beforeRes = await client.query(`SELECT * FROM events WHERE id = $1 FOR UPDATE`, [eventId]);
+        const before = beforeRes.rows[0];
+        if (before && type && type !== before.type && !TYPE_EDITABLE_STATUSES.includes(before.status)) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            error: `The auction format can only change while the event is draft or scheduled (it is ${before.status})`,
+            code: "TYPE_LOCKED",
+          });
+        }
 
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: "Event not found" });
+        const result = await client.query(
+          `UPDATE events 
+           SET title = $1, 
+               description = $2, 
+               organisation_id = $3, 
+               category_id = $4, 
+               currency = $5, 
+               support_contact = $6, 
+               support_contact_country_code = $7,
+               support_contact_phone = $8,
+               bid_manager_name = $9,
+               bid_manager = $10, 
+               bid_manager_country_code = $11,
+               bid_manager_phone = $12,
+               auction_time = $13, 
+               type = COALESCE($14, type),
+               auction_duration = $15,
+               extension_time = $16,
+               extension_threshold = $17,
+               feedback_mode = $18,
+               dutch_direction = COALESCE($19, dutch_direction),
+               dutch_start_percent = COALESCE($20, dutch_start_percent),
+               dutch_step_percent = COALESCE($21, dutch_step_percent),
+               dutch_limit_percent = COALESCE($22, dutch_limit_percent),
+               dutch_step_interval = COALESCE($23::interval, dutch_step_interval),
+               japanese_start_percent = COALESCE($24, japanese_start_percent),
+               japanese_step_percent = COALESCE($25, japanese_step_percent),
+               japanese_round_duration = COALESCE($26::interval, japanese_round_duration),
+               tender_opening_time = $27,
+               lot_stagger_interval = $28,
+               extension_trigger = COALESCE($29, extension_trigger),
+               extension_rank_depth = COALESCE($30, extension_rank_depth),
+               extension_scope = COALESCE($31, extension_scope),
+               max_extensions = $32,
+               extension_hard_stop = $33,
+               bidding_mode = COALESCE($34, bidding_mode),
+               reserve_broadcast = COALESCE($35, reserve_broadcast),
+               reserve_enforced = COALESCE($36, reserve_enforced)
+           WHERE id = $37
+           RETURNING *`,
+          [
+            title,
+            description,
+            organisation_id,
+            category_id,
+            currency,
+            support_contact,
+            support_contact_country_code,
+            support_contact_phone,
+            bid_manager_name,
+            bid_manager,
+            bid_manager_country_code,
+            bid_manager_phone,
+            auction_time,
+            type || null,
+            auctionDurationInterval,
+            extensionTimeInterval,
+            extensionThresholdInterval,
+            feedback_mode || DEFAULT_FEEDBACK_MODE,
+            dutch.config.dutch_direction,
+            dutch.config.dutch_start_percent,
+            dutch.config.dutch_step_percent,
+            dutch.config.dutch_limit_percent,
+            dutch.config.dutch_step_interval,
+            japanese.config.japanese_start_percent,
+            japanese.config.japanese_step_percent,
+            japanese.config.japanese_round_duration,
+            tenderOpeningTime,
+            normalizeInterval(req.body.lot_stagger_interval, "seconds"),
+            softClose.config.extension_trigger,
+            softClose.config.extension_rank_depth,
+            softClose.config.extension_scope,
+            softClose.config.max_extensions,
+            softClose.config.extension_hard_stop,
+            biddingMode.mode,
+            typeof req.body.reserve_broadcast === "boolean" ? req.body.reserve_broadcast : null,
+            typeof req.body.reserve_enforced === "boolean" ? req.body.reserve_enforced : null,
+            eventId,
+          ]
+        );
+
+        if (result.rows.length === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ error: "Event not found" });
+        }
+
+        // Round 1 of a sealed tender follows the event's opening time until it is opened
+        await client.query(
+          `UPDATE tender_rounds SET opening_time = $1
+           WHERE event_id = $2 AND round_number = 1 AND opened_at IS NULL`,
+          [tenderOpeningTime, eventId]
+        );
+
+        updated = result.rows[0];
+        // Setting an auction time on a draft schedules it
+        if (updated.status === "draft" && updated.auction_time) {
+          change = await transitionEvent(eventId, "scheduled", {
+            io,
+            userId,
+            reason: "Auction time set",
+            from: ["draft"],
+            db: client,
+          });
+          updated = change.event;
+        }
+
+        const changes = changedFields(before, updated);
+        if (Object.keys(changes.after).length > 0) {
+          await recordAudit(client, {
+            eventId,
+            actor: auditActor(req),
+            action: "event.updated",
+            entityType: "event",
+            entityId: eventId,
+            ...changes,
+          });
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
       }
+      if (change) announceTransition(change, io);
 
-      res.json(result.rows[0]);
+      res.json(updated);
     } catch (err) {
       console.error("Error updating event:", err);
       res.status(500).json({ error: err.message });
@@ -697,66 +1024,26 @@ module.exports = (io) => {
   // === Get Event by ID ===
   router.get("/events/:id", ensureAuthenticated, async (req, res) => {
     try {
-      const eventResult = await pool.query(
-        `
-        SELECT e.*, 
-               o.name AS organisation_name, 
-               c.name AS category_name,
-               ROUND(EXTRACT(EPOCH FROM e.auction_duration) / 60)::int AS auction_duration,
-               ROUND(EXTRACT(EPOCH FROM e.extension_time))::int AS extension_time,
-               ROUND(EXTRACT(EPOCH FROM e.extension_threshold))::int AS extension_threshold
-        FROM events e
-        LEFT JOIN organisations o ON e.organisation_id = o.id
-        LEFT JOIN categories c ON e.category_id = c.id
-        WHERE e.id = $1
-        `,
-        [req.params.id]
-      );
-
-      if (eventResult.rows.length === 0) {
+      const event = await getEventDetails(req.params.id);
+      if (!event) {
         return res.status(404).json({ error: "Event not found" });
       }
 
-      const event = eventResult.rows[0];
-
-      // Load line items for this event
-      const lineItemsResult = await pool.query(
-        `SELECT li.*, l.title AS lot_title
-         FROM lots l
-         JOIN line_items li ON li.lot_id = l.id
-         WHERE l.event_id = $1
-         ORDER BY l.id, li.id`,
-        [req.params.id]
-      );
-      event.line_items = lineItemsResult.rows;
-
-      // Load supplier assignments (with opening bids and weightings)
-      const supplierAssignmentsResult = await pool.query(
-        `SELECT 
-           s.supplier_id,
-           s.line_item_id,
-           s.weighting,
-           s.opening_bid,
-           u.first_name,
-           u.last_name,
-           u.email,
-           o.name AS organisation_name
-         FROM supplier_line_item_settings s
-         JOIN users u ON s.supplier_id = u.id
-         LEFT JOIN organisations o ON u.organisation_id = o.id
-         WHERE s.event_id = $1
-         ORDER BY s.supplier_id, s.line_item_id`,
-        [req.params.id]
-      );
-      event.supplier_assignments = supplierAssignmentsResult.rows.map(s => {
-        if (!s.organisation_name) {
-          console.error(`ERROR: Supplier assignment for user ${s.supplier_id} (${s.email}) has no organisation_name. This user must be assigned to an organisation.`);
+      // Bidders get the invited bidder's view: line items as /bidder-lineitems shows them and
+      // only their own assignments, without adjustments (they only ever see their own raw price)
+      if (req.user.role !== "manager") {
+        const notInvited = await checkEventBidder(event.id, req.user.id);
+        if (notInvited) {
+          const { status, ...body } = notInvited;
+          return res.status(status).json(body);
         }
-        return {
-          ...s,
-          supplier_name: s.organisation_name || `[NO ORG] ${s.email || s.supplier_id}`
-        };
-      });
+        const weightingVisible = new Set(event.line_items.filter(li => li.weighting_visible === true).map(li => li.id));
+        event.line_items = event.line_items.map(applyBidderVisibility);
+        event.supplier_assignments = event.supplier_assignments
+          .filter(a => a.supplier_id === req.user.id)
+          .map(({ adjustment_amount, adjustment_percent, weighting, ...rest }) =>
+            weightingVisible.has(rest.line_item_id) ? { ...rest, weighting } : rest);
+      }
 
       res.json(event);
     } catch (err) {
@@ -781,7 +1068,31 @@ module.exports = (io) => {
         return res.status(403).json({ error: "You are not a team member of this event" });
       }
 
-      await pool.query("UPDATE events SET reveal_bidders = TRUE WHERE id=$1", [eventId]);
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const revealed = await client.query(
+          "UPDATE events SET reveal_bidders = TRUE WHERE id=$1 AND reveal_bidders IS NOT TRUE RETURNING id",
+          [eventId]
+        );
+        if (revealed.rows.length > 0) {
+          await recordAudit(client, {
+            eventId,
+            actor: auditActor(req),
+            action: "event.bidders_revealed",
+            entityType: "event",
+            entityId: eventId,
+            before: { reveal_bidders: false },
+            after: { reveal_bidders: true },
+          });
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
       res.json({ success: true, message: "Bidders revealed for this event." });
     } catch (err) {
       console.error("Error revealing bidders:", err);
@@ -797,84 +1108,32 @@ module.exports = (io) => {
       const role = req.user.role;
 
       const eventResult = await pool.query(
-        "SELECT type, reveal_bidders FROM events WHERE id=$1",
+        "SELECT type, reveal_bidders, feedback_mode FROM events WHERE id=$1",
         [eventId]
       );
       if (eventResult.rows.length === 0)
         return res.status(404).json({ error: "Event not found" });
       const event = eventResult.rows[0];
 
-      let bidsQuery = `
-        SELECT 
-          b.id, 
-          b.amount, 
-          b.created_at,
-          b.line_item_id,
-          b.user_id, 
-          u.first_name, 
-          u.last_name, 
-          u.email,
-          o.name AS organisation_name,
-          COALESCE(s.weighting, 1.0) AS weighting
-        FROM bids b
-        LEFT JOIN users u ON b.user_id = u.id
-        LEFT JOIN organisations o ON u.organisation_id = o.id
-        LEFT JOIN supplier_line_item_settings s ON s.event_id = b.event_id 
-          AND s.line_item_id = b.line_item_id 
-          AND s.supplier_id = b.user_id
-        WHERE b.event_id = $1
-        ORDER BY b.created_at DESC
-      `;
-      const bidsResult = await pool.query(bidsQuery, [eventId]);
-      let bids = bidsResult.rows.map(b => {
-        if (!b.organisation_name) {
-          console.error(`ERROR: Bid from user ${b.user_id} (${b.email}) has no organisation_name. This user must be assigned to an organisation.`);
-        }
-        return {
-          ...b,
-          bidder_id: b.user_id,
-          user_name: b.organisation_name || `[NO ORG] ${b.email || b.user_id}`
-        };
-      });
-
       if (role === "bidder") {
-        bids = bids.filter((b) => b.bidder_id === userId);
+        // Bidders only ever see their own raw prices
+        const bids = (await getEventBids(eventId, event))
+          .filter((b) => b.bidder_id === userId)
+          .map(({ evaluated_amount, ...b }) => b);
+        // Historical ranks are only shown when the event's feedback mode is rank
+        if (effectiveFeedbackMode(event) !== "rank") {
+          return res.json(bids);
+        }
         for (const b of bids) {
-          const rankResult = await pool.query(
-            `
-            SELECT COUNT(*) + 1 AS rank
-            FROM (
-              SELECT DISTINCT ON (user_id) user_id, amount
-              FROM bids
-              WHERE event_id = $1 AND line_item_id = $2
-              ORDER BY user_id, created_at DESC
-            ) AS latest_bids
-            WHERE latest_bids.amount < $3
-          `,
-            [eventId, b.line_item_id, b.amount]
-          );
-          b.rank = parseInt(rankResult.rows[0].rank, 10);
+          if (b.amount === null) continue; // a round decision, not a price
+          // Against everyone else's latest bid, on score where the line item is scored
+          b.rank = await rankBidAgainstLatest(eventId, b);
         }
         return res.json(bids);
       }
 
       if (role === "manager") {
-        if (event.type === "sealed" && !event.reveal_bidders) {
-          const nameMap = {};
-          let counter = 0;
-          for (const b of bids) {
-            if (!nameMap[b.bidder_id]) {
-              nameMap[b.bidder_id] = `Company ${String.fromCharCode(65 + counter++)}`;
-            }
-            b.display_name = nameMap[b.bidder_id];
-          }
-        } else {
-          for (const b of bids) {
-            b.display_name =
-              `${b.first_name || ""} ${b.last_name || ""}`.trim() || b.email;
-          }
-        }
-        return res.json(bids);
+        return res.json(await getManagerBids(eventId, event));
       }
 
       res.status(403).json({ error: "Unauthorized role" });
@@ -902,7 +1161,7 @@ module.exports = (io) => {
         [eventId]
       );
       const eventResult = await pool.query(
-        `SELECT e.auction_time, e.auction_end_time, e.type, e.title, o.name AS organisation_name, o.currency, c.name AS category_name
+        `SELECT e.auction_time, e.auction_end_time, e.type, e.status, e.title, e.bidding_mode, o.name AS organisation_name, o.currency, c.name AS category_name
          FROM events e
          LEFT JOIN organisations o ON e.organisation_id = o.id
          LEFT JOIN categories c ON e.category_id = c.id
@@ -919,6 +1178,8 @@ module.exports = (io) => {
         auction_time: event ? event.auction_time : null,
         auction_end_time: event ? event.auction_end_time : null,
         type: event ? event.type : null,
+        bidding_mode: event ? event.bidding_mode : null,
+        status: event ? event.status : null,
         title: event ? event.title : null,
         organisation_name: event ? event.organisation_name : null,
         category_name: event ? event.category_name : null,
@@ -936,15 +1197,35 @@ module.exports = (io) => {
       const eventId = req.params.id;
       const userId = req.user.id;
 
+      const notInvited = await checkEventBidder(eventId, userId);
+      if (notInvited) {
+        const { status, ...body } = notInvited;
+        return res.status(status).json(body);
+      }
+
+      // Sealed tenders show the current round's line items, quantities and bids only
+      const round = await getCurrentRound(eventId);
+      const roundId = round ? round.id : null;
+
       const result = await pool.query(`
         SELECT 
           li.id,
           li.item_number,
           li.item_name AS name,
-          li.quantity,
-          li.ext_quantity,
+          l.id AS lot_id,
+          l.title AS lot_title,
+          li.required,
+          COALESCE(trl.quantity, li.quantity) AS quantity,
+          COALESCE(trl.ext_quantity, li.ext_quantity) AS ext_quantity,
           li.baseline,
           li.ext_baseline,
+          li.opening_value,
+          li.reserve_value,
+          li.weighting_visible,
+          li.opening_visible,
+          li.reserve_visible,
+          CASE WHEN e.reserve_broadcast THEN li.reserve_met_at IS NOT NULL END AS reserve_met,
+          COALESCE(slis.weighting, 1.0) AS weighting,
           COALESCE(
             (
               SELECT amount 
@@ -952,38 +1233,48 @@ module.exports = (io) => {
               WHERE event_id = $1 
                 AND user_id = $2 
                 AND line_item_id = li.id 
+                AND ($3::int IS NULL OR tender_round_id = $3)
               ORDER BY created_at DESC 
               LIMIT 1
             ),
             slis.opening_bid
           ) AS current_bid,
           (
-            SELECT COUNT(*) + 1
-            FROM (
-              SELECT DISTINCT ON (user_id) user_id, amount
-              FROM bids
-              WHERE event_id = $1 AND line_item_id = li.id
-              ORDER BY user_id, created_at DESC
-            ) AS latest_bids
-            WHERE latest_bids.amount < COALESCE((
-                SELECT amount
-                FROM bids
-                WHERE event_id = $1
-                  AND user_id = $2
-                  AND line_item_id = li.id
-                ORDER BY created_at DESC
-                LIMIT 1
-              ), slis.opening_bid, 999999999)
-          ) AS rank
+            SELECT attributes
+            FROM bids
+            WHERE event_id = $1
+              AND user_id = $2
+              AND line_item_id = li.id
+              AND ($3::int IS NULL OR tender_round_id = $3)
+            ORDER BY created_at DESC
+            LIMIT 1
+          ) AS current_attributes
         FROM lots l
+        JOIN events e ON e.id = l.event_id
         JOIN line_items li ON li.lot_id = l.id
         INNER JOIN bidder_item_assignments bia ON bia.line_item_id = li.id AND bia.user_id = $2
         LEFT JOIN supplier_line_item_settings slis ON slis.line_item_id = li.id AND slis.supplier_id = $2 AND slis.event_id = $1
+        LEFT JOIN tender_round_line_items trl ON trl.line_item_id = li.id AND trl.round_id = $3
         WHERE l.event_id = $1
+          AND ($3::int IS NULL OR (
+            trl.line_item_id IS NOT NULL
+            AND EXISTS (SELECT 1 FROM tender_round_members m WHERE m.round_id = $3 AND m.user_id = $2)
+          ))
         ORDER BY li.id ASC
-      `, [eventId, userId]);
-
-      res.json(result.rows);
+      `, [eventId, userId, roundId]);
+
+      // Feedback follows the event's mode; weighting/opening/reserve only if made visible,
+      // and reserve_met only if the event announces it (null otherwise)
+      const feedback = await getBidderFeedback(eventId, userId, result.rows.map(r => r.id));
+      // Scored line items ask for their attributes with each bid; the formula itself stays with the buyer
+      const attributes = await getLineItemAttributes(result.rows.map(r => r.id));
+      res.json(result.rows.map(r => {
+        const item = applyBidderVisibility(r);
+        const fb = feedback.get(r.id) || { mode: DEFAULT_FEEDBACK_MODE };
+        const attrs = (attributes.get(r.id) || []).map(({ id, name, unit, direction, required }) =>
+          ({ id, name, unit, direction, required }));
+        return { ...item, attributes: attrs, feedback: fb, rank: fb.mode === "rank" ? fb.rank : null };
+      }));
     } catch (err) {
       console.error("Error fetching bidder line items:", err);
       res.status(500).json({ error: "Failed to fetch bidder line items" });
@@ -997,29 +1288,18 @@ module.exports = (io) => {
       const lineItemId = req.params.lineItemId;
       const userId = req.user.id;
 
-      const result = await pool.query(`
-        SELECT
-          (
-            SELECT COUNT(*) + 1
-            FROM (
-              SELECT DISTINCT ON (user_id) user_id, amount
-              FROM bids
-              WHERE event_id = $1 AND line_item_id = $2
-              ORDER BY user_id, created_at DESC
-            ) AS latest_bids
-            WHERE latest_bids.amount < COALESCE((
-                SELECT amount
-                FROM bids
-                WHERE event_id = $1
-                  AND user_id = $3
-                  AND line_item_id = $2
-                ORDER BY created_at DESC
-                LIMIT 1
-              ), (SELECT opening_bid FROM supplier_line_item_settings WHERE event_id = $1 AND line_item_id = $2 AND supplier_id = $3), 999999999)
-          ) AS rank
-      `, [eventId, lineItemId, userId]);
-
-      res.json({ rank: result.rows[0]?.rank || null });
+      // Same rules as bidding: invited bidder, assigned line item
+      const notAllowed = (await checkEventBidder(eventId, userId)) ||
+        (await checkLineItemAssignments(eventId, userId, [lineItemId]))[0];
+      if (notAllowed) {
+        const { status, ...body } = notAllowed;
+        return res.status(status).json(body);
+      }
+
+      const feedback = await getBidderFeedback(eventId, userId, [lineItemId]);
+      const fb = feedback.get(Number(lineItemId)) || { mode: DEFAULT_FEEDBACK_MODE };
+      // Rank is only given when the event's feedback mode allows it
+      res.json({ rank: fb.mode === "rank" ? fb.rank : null, feedback: fb });
     } catch (err) {
       console.error("Error fetching line item rank:", err);
       res.status(500).json({ error: "Failed to fetch line item rank" });
@@ -1073,6 +1353,10 @@ module.exports = (io) => {
         // Get the event creator to preserve them
         const eventRes = await client.query("SELECT created_by FROM events WHERE id = $1", [eventId]);
         const creatorId = eventRes.rows[0]?.created_by;
+        const beforeRes = await client.query(
+          `SELECT user_id, role FROM event_members WHERE event_id = $1 ORDER BY user_id`,
+          [eventId]
+        );
 
         // Delete existing members (except creator if they exist)
         await client.query("DELETE FROM event_members WHERE event_id = $1", [eventId]);
@@ -1103,6 +1387,20 @@ module.exports = (io) => {
           );
         }
 
+        const afterRes = await client.query(
+          `SELECT user_id, role FROM event_members WHERE event_id = $1 ORDER BY user_id`,
+          [eventId]
+        );
+        await recordAudit(client, {
+          eventId,
+          actor: auditActor(req),
+          action: "event.members_updated",
+          entityType: "event_members",
+          entityId: eventId,
+          before: beforeRes.rows,
+          after: afterRes.rows,
+        });
+
         await client.query("COMMIT");
         res.json({ success: true, message: "Members updated successfully" });
       } catch (err) {
@@ -1134,7 +1432,28 @@ module.exports = (io) => {
         return res.status(403).json({ error: "You are not a team member of this event" });
       }
 
-      await pool.query("DELETE FROM events WHERE id = $1", [eventId]);
+      // The audit trail outlives the event, so it keeps what was deleted
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const deleted = await client.query("DELETE FROM events WHERE id = $1 RETURNING *", [eventId]);
+        if (deleted.rows.length > 0) {
+          await recordAudit(client, {
+            eventId,
+            actor: auditActor(req),
+            action: "event.deleted",
+            entityType: "event",
+            entityId: eventId,
+            before: deleted.rows[0],
+          });
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
       res.json({ success: true, message: "Event deleted successfully" });
     } catch (err) {
       console.error("Error deleting event:", err);
@@ -1156,8 +1475,64 @@ module.exports = (io) => {
       try {
         await client.query('BEGIN');
 
+        // An approved award is final: suppliers have been told and certificates issued against it
+        const finished = await client.query(
+          `SELECT e.status, a.status AS award_status
+           FROM events e
+           LEFT JOIN awards a ON a.event_id = e.id
+           WHERE e.id = $1
+           FOR UPDATE OF e`,
+          [id]
+        );
+        const current = finished.rows[0];
+        if (current && ((FINISHED_STATUSES.includes(current.status) && current.status !== "closed") || current.award_status === "approved")) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            error: `The event is ${current.award_status === "approved" ? "awarded" : current.status} and can't be reset`,
+            code: "EVENT_FINISHED",
+          });
+        }
+
+        // Opening a tender round is irreversible, so a reset can't wipe one out
+        const openedRound = await client.query(
+          'SELECT 1 FROM tender_rounds WHERE event_id = $1 AND opened_at IS NOT NULL LIMIT 1',
+          [id]
+        );
+        if (openedRound.rows.length > 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            error: "A tender round of this event has been opened, so it can't be reset",
+            code: "TENDER_OPENED",
+          });
+        }
+        // Nor can it destroy sealed submissions before anyone may see them
+        const sealedBids = await client.query(
+          `SELECT 1 FROM bids b
+           JOIN tender_rounds tr ON tr.id = b.tender_round_id
+           WHERE b.event_id = $1 AND tr.opened_at IS NULL
+           LIMIT 1`,
+          [id]
+        );
+        if (sealedBids.rows.length > 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: "Bids are sealed until the tender opening", code: "BIDS_SEALED" });
+        }
+
         // Delete all bids for this event
-        await client.query('DELETE FROM bids WHERE event_id = $1', [id]);
+        const deletedBids = await client.query('DELETE FROM bids WHERE event_id = $1 RETURNING id', [id]);
+        // Dutch clocks, Japanese rounds and tender rounds start again from the beginning
+        await client.query('DELETE FROM dutch_dropouts WHERE event_id = $1', [id]);
+        await client.query('DELETE FROM dutch_line_item_state WHERE event_id = $1', [id]);
+        await client.query('DELETE FROM japanese_round_decisions WHERE event_id = $1', [id]);
+        await client.query('DELETE FROM japanese_line_item_state WHERE event_id = $1', [id]);
+        await client.query('DELETE FROM tender_rounds WHERE event_id = $1', [id]);
+        await client.query('DELETE FROM auction_extensions WHERE event_id = $1', [id]);
+        await client.query('DELETE FROM proxy_bids WHERE event_id = $1', [id]);
+        await client.query(
+          `UPDATE line_items SET reserve_met_at = NULL
+           WHERE lot_id IN (SELECT id FROM lots WHERE event_id = $1)`,
+          [id]
+        );
 
         // Get auction duration to calculate end time
         const eventRes = await client.query(
@@ -1170,18 +1545,34 @@ module.exports = (io) => {
         const now = new Date();
         const endTime = new Date(now.getTime() + (durationSeconds * 1000));
         
-        await client.query(`
-          UPDATE events 
-          SET auction_time = $1, 
-              auction_end_time = $2,
-              type = 'open',
-              is_paused = false,
-              paused_time_remaining = NULL,
-              elapsed_seconds = 0
-          WHERE id = $3
-        `, [now, endTime, id]);
+        const change = await transitionEvent(id, "live", {
+          io,
+          userId: req.user.id,
+          reason: "Debug reset",
+          force: true,
+          db: client,
+          fields: {
+            auction_time: now,
+            auction_start_time: now,
+            auction_end_time: endTime,
+            paused_at: null,
+            total_paused_seconds: 0,
+          },
+        });
+        await scheduleLots(change.event, client);
+        await recordAudit(client, {
+          eventId: id,
+          actor: auditActor(req),
+          action: "event.debug_reset",
+          entityType: "event",
+          entityId: id,
+          // Which bids went, never what they were: the audit trail is readable by the whole team
+          before: { status: change.from, bid_count: deletedBids.rows.length, bid_ids: deletedBids.rows.map(b => b.id) },
+          after: { status: change.to, auction_time: now, auction_end_time: change.event.auction_end_time },
+        });
 
         await client.query('COMMIT');
+        announceTransition(change, io);
 
         // Emit socket event to refresh all connected clients
         io.to(`event_${id}`).emit('auction_reset', { eventId: id });
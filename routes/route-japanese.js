@@ -0,0 +1,71 @@
+// routes/route-japanese.js
+const express = require("express");
+const { ensureAuthenticated } = require("../middleware/auth");
+const { checkTeamMembership } = require("../middleware/team-access");
+const { checkEventBidder } = require("../services/bid-eligibility");
+
+module.exports = (io) => {
+  const router = express.Router();
+  const japaneseAuction = require("../services/japanese-auction")(io);
+
+  // === Current rounds ===
+  router.get("/events/:id/japanese", ensureAuthenticated, async (req, res) => {
+    try {
+      const eventId = req.params.id;
+
+      if (req.user.role === "manager") {
+        const isMember = await checkTeamMembership(eventId, req.user.id);
+        if (!isMember) {
+          return res.status(403).json({ error: "You are not a team member of this event" });
+        }
+      } else {
+        const notInvited = await checkEventBidder(eventId, req.user.id);
+        if (notInvited) {
+          const { status, ...body } = notInvited;
+          return res.status(status).json(body);
+        }
+      }
+
+      res.json(await japaneseAuction.getState(eventId, req.user));
+    } catch (err) {
+      console.error("Error fetching Japanese auction state:", err);
+      res.status(500).json({ error: "Failed to fetch Japanese auction state" });
+    }
+  });
+
+  // === Confirm staying in for the current round ===
+  router.post("/events/:id/japanese/:lineItemId/stay", ensureAuthenticated, async (req, res) => {
+    try {
+      const { id, lineItemId } = req.params;
+      const result = await japaneseAuction.decide(id, req.user.id, lineItemId, "stay", req.body?.expected_round);
+      if (result.rejection) {
+        const { status, ...body } = result.rejection;
+        return res.status(status).json(body);
+      }
+
+      res.json({ success: true, bid: result.bid, state: result.state });
+    } catch (err) {
+      console.error("Error confirming Japanese round:", err);
+      res.status(500).json({ error: "Failed to confirm round" });
+    }
+  });
+
+  // === Drop out of a line item ===
+  router.post("/events/:id/japanese/:lineItemId/drop-out", ensureAuthenticated, async (req, res) => {
+    try {
+      const { id, lineItemId } = req.params;
+      const result = await japaneseAuction.decide(id, req.user.id, lineItemId, "drop", req.body?.expected_round);
+      if (result.rejection) {
+        const { status, ...body } = result.rejection;
+        return res.status(status).json(body);
+      }
+
+      res.json({ success: true, state: result.state });
+    } catch (err) {
+      console.error("Error dropping out of Japanese line item:", err);
+      res.status(500).json({ error: "Failed to drop out" });
+    }
+  });
+
+  return router;
+};
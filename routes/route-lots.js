@@ -5,6 +5,10 @@ const fs = require("fs");
 const ExcelJS = require("exceljs");
 const multer = require("multer");
 const { ensureAuthenticated } = require("../middleware/auth");
+const { checkTeamMembership, getEventIdFromLot, getEventIdFromLineItem } = require("../middleware/team-access");
+const { auditActor, changedFields, recordAudit } = require("../services/audit-log");
+const { setCostFactor, getCostFactors } = require("../services/bid-transform");
+const { parseScoring, getScoring, saveScoring } = require("../services/bid-attributes");
 
 module.exports = (pool) => {
   const router = express.Router();
@@ -23,6 +27,40 @@ module.exports = (pool) => {
 
   const upload = multer({ storage });
 
+  // A decrement written as "2%" is a percentage of the bidder's previous bid
+  function normalizeDecrement(body) {
+    if (typeof body.decrement === "string" && body.decrement.trim().endsWith("%")) {
+      body.decrement = parseFloat(body.decrement);
+      body.decrement_type = "percent";
+    }
+    if (body.decrement_type && !["absolute", "percent"].includes(body.decrement_type)) {
+      body.decrement_type = null;
+    }
+    return body;
+  }
+
+  // Weighting, opening bid and adjustments feed evaluated_price() and so ranking: numbers only,
+  // a positive weighting, and a percentage adjustment that can't take the price to zero or below
+  function parseSupplierSettings(body) {
+    const settings = {
+      weighting: body.weighting ?? 1.0,
+      opening_bid: body.opening_bid ?? null,
+      adjustment_amount: body.adjustment_amount ?? 0,
+      adjustment_percent: body.adjustment_percent ?? 0,
+    };
+    for (const key of Object.keys(settings)) {
+      if (settings[key] === null) continue;
+      const value = typeof settings[key] === "string" && settings[key].trim() !== "" ? Number(settings[key]) : settings[key];
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return { error: `${key} must be a number` };
+      }
+      settings[key] = value;
+    }
+    if (settings.weighting <= 0) return { error: "weighting must be greater than 0" };
+    if (settings.adjustment_percent <= -100) return { error: "adjustment_percent must be greater than -100" };
+    return { settings };
+  }
+
   // ---- LOT ROUTES ----
 
   // Get lots for an event
@@ -109,12 +147,13 @@ module.exports = (pool) => {
       Object.keys(body).forEach((k) => {
         if (body[k] === "") body[k] = null;
       });
+      normalizeDecrement(body);
 
       const fields = [
         "lot_id", "item_number", "item_name", "group_number", "description", "quantity", "uom",
         "input", "required", "ties", "decimals", "decrement", "opening_value", "baseline",
         "ext_quantity", "ext_baseline", "reserve_value", "incumbent",
-        "weighting_visible", "opening_visible", "reserve_visible",
+        "weighting_visible", "opening_visible", "reserve_visible", "decrement_type", "switching_cost",
       ];
 
       const values = [
@@ -122,14 +161,38 @@ module.exports = (pool) => {
         body.quantity, body.uom, body.input, body.required, body.ties, body.decimals, body.decrement,
         body.opening_value, body.baseline, body.ext_quantity, body.ext_baseline, body.reserve_value,
         body.incumbent, body.weighting_visible, body.opening_visible, body.reserve_visible,
+        body.decrement_type || "absolute", body.switching_cost,
       ];
 
-      const result = await pool.query(
-        `INSERT INTO line_items (${fields.join(",")})
-         VALUES (${fields.map((_, i) => `$${i + 1}`).join(",")})
-         RETURNING *`,
-        values
-      );
+      const eventId = await getEventIdFromLot(req.params.id);
+      if (!eventId)
+        return res.status(404).json({ error: "Lot not found" });
+
+      let result;
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        result = await client.query(
+          `INSERT INTO line_items (${fields.join(",")})
+           VALUES (${fields.map((_, i) => `$${i + 1}`).join(",")})
+           RETURNING *`,
+          values
+        );
+        await recordAudit(client, {
+          eventId,
+          actor: auditActor(req),
+          action: "line_item.created",
+          entityType: "line_item",
+          entityId: result.rows[0].id,
+          after: result.rows[0],
+        });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
 
       res.json(result.rows[0]);
     } catch (err) {
@@ -145,25 +208,54 @@ module.exports = (pool) => {
       Object.keys(body).forEach((k) => {
         if (body[k] === "") body[k] = null;
       });
+      normalizeDecrement(body);
 
-      const result = await pool.query(
-        `UPDATE line_items SET
-          item_number=$1, item_name=$2, group_number=$3, description=$4, quantity=$5, uom=$6,
-          input=$7, required=$8, ties=$9, decimals=$10, decrement=$11, opening_value=$12,
-          baseline=$13, ext_quantity=$14, ext_baseline=$15, reserve_value=$16, incumbent=$17,
-          weighting_visible=$18, opening_visible=$19, reserve_visible=$20
-         WHERE id=$21
-         RETURNING *`,
-        [
-          body.item_number, body.item_name, body.group_number, body.description, body.quantity, body.uom,
-          body.input, body.required, body.ties, body.decimals, body.decrement, body.opening_value,
-          body.baseline, body.ext_quantity, body.ext_baseline, body.reserve_value, body.incumbent,
-          body.weighting_visible, body.opening_visible, body.reserve_visible, req.params.id,
-        ]
-      );
-
-      if (result.rows.length === 0)
+      const eventId = await getEventIdFromLineItem(req.params.id);
+      if (!eventId)
         return res.status(404).json({ error: "Line item not found" });
+
+      let result;
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const before = await client.query("SELECT * FROM line_items WHERE id = $1 FOR UPDATE", [req.params.id]);
+        // decrement_type is only changed when explicitly sent (the lot grid doesn't edit it)
+        result = await client.query(
+          `UPDATE line_items SET
+            item_number=$1, item_name=$2, group_number=$3, description=$4, quantity=$5, uom=$6,
+            input=$7, required=$8, ties=$9, decimals=$10, decrement=$11, opening_value=$12,
+            baseline=$13, ext_quantity=$14, ext_baseline=$15, reserve_value=$16, incumbent=$17,
+            weighting_visible=$18, opening_visible=$19, reserve_visible=$20,
+            decrement_type=COALESCE($22, decrement_type), switching_cost=$23
+           WHERE id=$21
+           RETURNING *`,
+          [
+            body.item_number, body.item_name, body.group_number, body.description, body.quantity, body.uom,
+            body.input, body.required, body.ties, body.decimals, body.decrement, body.opening_value,
+            body.baseline, body.ext_quantity, body.ext_baseline, body.reserve_value, body.incumbent,
+            body.weighting_visible, body.opening_visible, body.reserve_visible, req.params.id,
+            body.decrement_type || null, body.switching_cost,
+          ]
+        );
+        const changes = changedFields(before.rows[0], result.rows[0]);
+        if (Object.keys(changes.after).length > 0) {
+          await recordAudit(client, {
+            eventId,
+            actor: auditActor(req),
+            action: "line_item.updated",
+            entityType: "line_item",
+            entityId: req.params.id,
+            ...changes,
+          });
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+
       res.json(result.rows[0]);
     } catch (err) {
       console.error("Error updating line item:", err);
@@ -174,12 +266,34 @@ module.exports = (pool) => {
   // Delete line item
   router.delete("/line-items/:id", ensureAuthenticated, async (req, res) => {
     try {
-      const result = await pool.query(
-        "DELETE FROM line_items WHERE id = $1 RETURNING *",
-        [req.params.id]
-      );
-      if (result.rowCount === 0)
+      const eventId = await getEventIdFromLineItem(req.params.id);
+      if (!eventId)
         return res.status(404).json({ error: "Line item not found" });
+
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const result = await client.query(
+          "DELETE FROM line_items WHERE id = $1 RETURNING *",
+          [req.params.id]
+        );
+        if (result.rowCount > 0) {
+          await recordAudit(client, {
+            eventId,
+            actor: auditActor(req),
+            action: "line_item.deleted",
+            entityType: "line_item",
+            entityId: req.params.id,
+            before: result.rows[0],
+          });
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
       res.json({ success: true });
     } catch (err) {
       console.error("Error deleting line item:", err);
@@ -187,6 +301,47 @@ module.exports = (pool) => {
     }
   });
 
+  // ---- SCORING (multi-attribute) ----
+
+  router.get("/line-items/:id/scoring", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager")
+        return res.status(403).json({ error: "Access denied" });
+
+      const scoring = await getScoring(req.params.id);
+      if (!scoring)
+        return res.status(404).json({ error: "Line item not found" });
+      res.json(scoring);
+    } catch (err) {
+      console.error("Error fetching line item scoring:", err);
+      res.status(500).json({ error: "Failed to fetch line item scoring" });
+    }
+  });
+
+  // Replaces the whole formula: price weight and bounds plus the list of attributes
+  router.put("/line-items/:id/scoring", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager")
+        return res.status(403).json({ error: "Access denied" });
+
+      const parsed = parseScoring(req.body || {});
+      if (parsed.error)
+        return res.status(400).json({ error: parsed.error, code: "INVALID_SCORING" });
+
+      const eventId = await getEventIdFromLineItem(req.params.id);
+      if (!eventId)
+        return res.status(404).json({ error: "Line item not found" });
+
+      const scoring = await saveScoring(req.params.id, parsed.scoring, { eventId, actor: auditActor(req) });
+      if (!scoring)
+        return res.status(404).json({ error: "Line item not found" });
+      res.json(scoring);
+    } catch (err) {
+      console.error("Error saving line item scoring:", err);
+      res.status(500).json({ error: "Failed to save line item scoring" });
+    }
+  });
+
   // ---- SUPPLIER SETTINGS ----
 
   // Get all line items for an event
@@ -211,18 +366,63 @@ module.exports = (pool) => {
   router.post("/events/:eventId/line-items/:lineItemId/supplier-settings", ensureAuthenticated, async (req, res) => {
     try {
       const { eventId, lineItemId } = req.params;
-      const { supplier_id, weighting = 1.0, opening_bid = null } = req.body;
+      if (req.user.role !== "manager")
+        return res.status(403).json({ error: "Access denied" });
+      if (!(await checkTeamMembership(eventId, req.user.id)))
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      if (String(await getEventIdFromLineItem(lineItemId)) !== String(eventId))
+        return res.status(404).json({ error: "Line item not found" });
 
-      const result = await pool.query(
-        `
-        INSERT INTO supplier_line_item_settings (event_id, line_item_id, supplier_id, weighting, opening_bid)
-        VALUES ($1, $2, $3, $4, $5)
-        ON CONFLICT (event_id, line_item_id, supplier_id)
-        DO UPDATE SET weighting=EXCLUDED.weighting, opening_bid=EXCLUDED.opening_bid
-        RETURNING *;
-        `,
-        [eventId, lineItemId, supplier_id, weighting, opening_bid]
-      );
+      const supplier_id = req.body?.supplier_id;
+      if (!supplier_id)
+        return res.status(400).json({ error: "supplier_id is required", code: "INVALID_SUPPLIER_SETTINGS" });
+      const parsed = parseSupplierSettings(req.body);
+      if (parsed.error)
+        return res.status(400).json({ error: parsed.error, code: "INVALID_SUPPLIER_SETTINGS" });
+      const { weighting, opening_bid, adjustment_amount, adjustment_percent } = parsed.settings;
+
+      let result;
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const before = await client.query(
+          `SELECT * FROM supplier_line_item_settings
+           WHERE event_id = $1 AND line_item_id = $2 AND supplier_id = $3
+           FOR UPDATE`,
+          [eventId, lineItemId, supplier_id]
+        );
+        result = await client.query(
+          `
+          INSERT INTO supplier_line_item_settings
+            (event_id, line_item_id, supplier_id, weighting, opening_bid, adjustment_amount, adjustment_percent)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ON CONFLICT (event_id, line_item_id, supplier_id)
+          DO UPDATE SET weighting=EXCLUDED.weighting, opening_bid=EXCLUDED.opening_bid,
+            adjustment_amount=EXCLUDED.adjustment_amount, adjustment_percent=EXCLUDED.adjustment_percent
+          RETURNING *;
+          `,
+          [eventId, lineItemId, supplier_id, weighting, opening_bid, adjustment_amount, adjustment_percent]
+        );
+        const changes = before.rows.length > 0
+          ? changedFields(before.rows[0], result.rows[0])
+          : { before: null, after: result.rows[0] };
+        if (changes.before === null || Object.keys(changes.after).length > 0) {
+          await recordAudit(client, {
+            eventId,
+            actor: auditActor(req),
+            action: "supplier_settings.updated",
+            entityType: "supplier_line_item_settings",
+            entityId: `${lineItemId}:${supplier_id}`,
+            ...changes,
+          });
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
       res.json(result.rows[0]);
     } catch (err) {
       console.error("Error upserting supplier settings:", err);
@@ -230,9 +430,15 @@ module.exports = (pool) => {
     }
   });
 
+  // Managers only: bidders see their own raw price, never weightings or adjustments
   router.get("/events/:eventId/line-items/:lineItemId/supplier-settings", ensureAuthenticated, async (req, res) => {
     try {
       const { eventId, lineItemId } = req.params;
+      if (req.user.role !== "manager")
+        return res.status(403).json({ error: "Access denied" });
+      if (!(await checkTeamMembership(eventId, req.user.id)))
+        return res.status(403).json({ error: "You are not a team member of this event" });
+
       const result = await pool.query(
         `
         SELECT s.*, u.first_name, u.last_name, u.email
@@ -250,6 +456,63 @@ module.exports = (pool) => {
     }
   });
 
+  // ---- SUPPLIER COST FACTORS ----
+
+  router.get("/events/:eventId/supplier-cost-factors", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager")
+        return res.status(403).json({ error: "Access denied" });
+
+      res.json(await getCostFactors(req.params.eventId));
+    } catch (err) {
+      console.error("Error fetching supplier cost factors:", err);
+      res.status(500).json({ error: "Failed to fetch supplier cost factors" });
+    }
+  });
+
+  // A supplier's cost factor multiplies every evaluated price they submit on the event
+  router.post("/events/:eventId/suppliers/:supplierId/cost-factor", ensureAuthenticated, async (req, res) => {
+    try {
+      const { eventId, supplierId } = req.params;
+      if (req.user.role !== "manager")
+        return res.status(403).json({ error: "Access denied" });
+
+      const costFactor = Number(req.body.cost_factor);
+      if (!Number.isFinite(costFactor) || costFactor <= 0)
+        return res.status(400).json({ error: "cost_factor must be a number greater than 0", code: "INVALID_COST_FACTOR" });
+
+      let saved;
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const before = await client.query(
+          `SELECT cost_factor FROM supplier_cost_factors WHERE event_id = $1 AND supplier_id = $2 FOR UPDATE`,
+          [eventId, supplierId]
+        );
+        saved = await setCostFactor(eventId, supplierId, costFactor, client);
+        await recordAudit(client, {
+          eventId,
+          actor: auditActor(req),
+          action: "cost_factor.updated",
+          entityType: "supplier_cost_factor",
+          entityId: supplierId,
+          before: before.rows.length > 0 ? { cost_factor: before.rows[0].cost_factor } : null,
+          after: { cost_factor: saved.cost_factor },
+        });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+      res.json(saved);
+    } catch (err) {
+      console.error("Error saving supplier cost factor:", err);
+      res.status(500).json({ error: "Failed to save supplier cost factor" });
+    }
+  });
+
   // ---- BIDDER ASSIGNMENTS ----
 
   router.get("/events/:eventId/bidders/:userId/line-items", ensureAuthenticated, async (req, res) => {
@@ -345,7 +608,9 @@ module.exports = (pool) => {
       result.rows.forEach((r) => {
         sheet.addRow([
           r.item_number, r.item_name, r.group_number, r.description, r.quantity, r.uom, null,
-          r.input, r.required, r.ties, r.decimals, r.decrement, r.opening_value,
+          r.input, r.required, r.ties, r.decimals,
+          r.decrement_type === "percent" && r.decrement !== null ? `${r.decrement}%` : r.decrement,
+          r.opening_value,
           r.baseline, r.ext_quantity, r.ext_baseline, r.reserve_value, r.incumbent,
           r.weighting_visible, r.opening_visible, r.reserve_visible,
         ]);
@@ -378,61 +643,92 @@ module.exports = (pool) => {
       }
       
       const startRow = 3;
-      let importedCount = 0;
-
-      for (let i = startRow; i <= sheet.rowCount; i++) {
-        const row = sheet.getRow(i);
-        if (!row || !row.getCell(1).value) continue;
-
-        // Extract values from Excel row (matching export format)
-        // Skip the "Extra" column at position 7
-        const item_number = row.getCell(1).value;
-        const item_name = row.getCell(2).value;
-        const group_number = row.getCell(3).value;
-        const description = row.getCell(4).value;
-        const quantity = row.getCell(5).value;
-        const uom = row.getCell(6).value;
-        // cell 7 is "Extra" - skip it
-        const input = row.getCell(8).value;
-        const required = row.getCell(9).value;
-        const ties = row.getCell(10).value;
-        const decimals = row.getCell(11).value;
-        const decrement = row.getCell(12).value;
-        const opening_value = row.getCell(13).value;
-        const baseline = row.getCell(14).value;
-        const ext_quantity = row.getCell(15).value;
-        const ext_baseline = row.getCell(16).value;
-        const reserve_value = row.getCell(17).value;
-        const incumbent = row.getCell(18).value;
-        const weighting_visible = row.getCell(19).value;
-        const opening_visible = row.getCell(20).value;
-        const reserve_visible = row.getCell(21).value;
+      const importedIds = [];
 
-        await pool.query(
-          `INSERT INTO line_items (
-            lot_id, item_number, item_name, group_number, description, quantity, uom,
-            input, required, ties, decimals, decrement, opening_value,
-            baseline, ext_quantity, ext_baseline, reserve_value, incumbent,
-            weighting_visible, opening_visible, reserve_visible
-          )
-          VALUES (
-            $1,$2,$3,$4,$5,$6,$7,
-            $8,$9,$10,$11,$12,$13,
-            $14,$15,$16,$17,$18,
-            $19,$20,$21
-          )`,
-          [
-            lotId, item_number, item_name, group_number, description, quantity, uom,
-            input, required, ties, decimals, decrement, opening_value,
-            baseline, ext_quantity, ext_baseline, reserve_value, incumbent,
-            weighting_visible, opening_visible, reserve_visible
-          ]
-        );
-        importedCount++;
+      const eventId = await getEventIdFromLot(lotId);
+      if (!eventId) {
+        fs.unlinkSync(req.file.path);
+        return res.status(404).json({ error: "Lot not found" });
+      }
+
+      // All rows or none, with the import on the event's audit trail
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        for (let i = startRow; i <= sheet.rowCount; i++) {
+          const row = sheet.getRow(i);
+          if (!row || !row.getCell(1).value) continue;
+
+          // Extract values from Excel row (matching export format)
+          // Skip the "Extra" column at position 7
+          const item_number = row.getCell(1).value;
+          const item_name = row.getCell(2).value;
+          const group_number = row.getCell(3).value;
+          const description = row.getCell(4).value;
+          const quantity = row.getCell(5).value;
+          const uom = row.getCell(6).value;
+          // cell 7 is "Extra" - skip it
+          const input = row.getCell(8).value;
+          const required = row.getCell(9).value;
+          const ties = row.getCell(10).value;
+          const decimals = row.getCell(11).value;
+          let decrement = row.getCell(12).value;
+          let decrement_type = "absolute";
+          if (typeof decrement === "string" && decrement.trim().endsWith("%")) {
+            decrement = parseFloat(decrement);
+            decrement_type = "percent";
+          }
+          const opening_value = row.getCell(13).value;
+          const baseline = row.getCell(14).value;
+          const ext_quantity = row.getCell(15).value;
+          const ext_baseline = row.getCell(16).value;
+          const reserve_value = row.getCell(17).value;
+          const incumbent = row.getCell(18).value;
+          const weighting_visible = row.getCell(19).value;
+          const opening_visible = row.getCell(20).value;
+          const reserve_visible = row.getCell(21).value;
+
+          const inserted = await client.query(
+            `INSERT INTO line_items (
+              lot_id, item_number, item_name, group_number, description, quantity, uom,
+              input, required, ties, decimals, decrement, opening_value,
+              baseline, ext_quantity, ext_baseline, reserve_value, incumbent,
+              weighting_visible, opening_visible, reserve_visible, decrement_type
+            )
+            VALUES (
+              $1,$2,$3,$4,$5,$6,$7,
+              $8,$9,$10,$11,$12,$13,
+              $14,$15,$16,$17,$18,
+              $19,$20,$21,$22
+            )
+            RETURNING id`,
+            [
+              lotId, item_number, item_name, group_number, description, quantity, uom,
+              input, required, ties, decimals, decrement, opening_value,
+              baseline, ext_quantity, ext_baseline, reserve_value, incumbent,
+              weighting_visible, opening_visible, reserve_visible, decrement_type
+            ]
+          );
+          importedIds.push(inserted.rows[0].id);
+        }
+        await recordAudit(client, {
+          eventId,
+          actor: auditActor(req),
+          action: "line_item.imported",
+          entityType: "lot",
+          entityId: lotId,
+          after: { line_item_ids: importedIds },
+        });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
       }
 
       fs.unlinkSync(req.file.path);
-      res.json({ success: true, message: `✅ Excel imported successfully (${importedCount} items)` });
+      res.json({ success: true, message: `✅ Excel imported successfully (${importedIds.length} items)` });
     } catch (err) {
       console.error("Error importing Excel:", err);
       if (req.file && fs.existsSync(req.file.path)) {
@@ -0,0 +1,79 @@
+// routes/route-proxy-bids.js
+const express = require("express");
+const { ensureAuthenticated } = require("../middleware/auth");
+const { checkTeamMembership } = require("../middleware/team-access");
+const { checkEventBidder } = require("../services/bid-eligibility");
+const { getProxyBids, cancelProxyBid } = require("../services/proxy-bids");
+
+module.exports = (io) => {
+  const router = express.Router();
+  const bidService = require("../services/bid-service")(io);
+
+  // === Proxy bids (own floors for bidders; managers see floors once the event has finished) ===
+  router.get("/events/:id/proxy-bids", ensureAuthenticated, async (req, res) => {
+    try {
+      const eventId = req.params.id;
+
+      if (req.user.role === "manager") {
+        const isMember = await checkTeamMembership(eventId, req.user.id);
+        if (!isMember) {
+          return res.status(403).json({ error: "You are not a team member of this event" });
+        }
+      } else {
+        const notInvited = await checkEventBidder(eventId, req.user.id);
+        if (notInvited) {
+          const { status, ...body } = notInvited;
+          return res.status(status).json(body);
+        }
+      }
+
+      res.json(await getProxyBids(eventId, req.user));
+    } catch (err) {
+      console.error("Error fetching proxy bids:", err);
+      res.status(500).json({ error: "Failed to fetch proxy bids" });
+    }
+  });
+
+  // === Set or change a floor ===
+  router.put("/events/:id/proxy-bids/:lineItemId", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role === "manager") {
+        return res.status(403).json({ error: "Only bidders can set auto-bid floors" });
+      }
+
+      const result = await bidService.setProxyBid(
+        req.params.id,
+        req.user.id,
+        Number(req.params.lineItemId),
+        req.body.floor_amount
+      );
+      if (result.rejection) {
+        const { status, ...body } = result.rejection;
+        return res.status(status).json(body);
+      }
+
+      res.json({ success: true, ...result });
+    } catch (err) {
+      console.error("Error setting proxy bid:", err);
+      res.status(500).json({ error: "Failed to set proxy bid" });
+    }
+  });
+
+  // === Stop auto-bidding on a line item ===
+  router.delete("/events/:id/proxy-bids/:lineItemId", ensureAuthenticated, async (req, res) => {
+    try {
+      const result = await cancelProxyBid(req.params.id, req.user.id, req.params.lineItemId);
+      if (result.rejection) {
+        const { status, ...body } = result.rejection;
+        return res.status(status).json(body);
+      }
+
+      res.json({ success: true, proxy_bid: result.proxy_bid });
+    } catch (err) {
+      console.error("Error cancelling proxy bid:", err);
+      res.status(500).json({ error: "Failed to cancel proxy bid" });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,207 @@
+// routes/route-reports.js
+const express = require("express");
+const { ensureAuthenticated } = require("../middleware/auth");
+const { checkTeamMembership } = require("../middleware/team-access");
+const { shouldMaskBidders, getBidderAliases } = require("../services/bidder-masking");
+const { hasSealedBids } = require("../services/sealed-tender");
+const { buildResultsWorkbook } = require("../services/results-report");
+const { issueCertificate, verifyCertificate, renderCertificate } = require("../services/certificate");
+const { getAuditLog, verifyAuditChain, buildAuditWorkbook } = require("../services/audit-log");
+
+const AUDIT_PAGE_SIZE = 200;
+const AUDIT_PAGE_MAX = 1000;
+
+module.exports = function (pool) {
+  const router = express.Router();
+
+  // ---- RESULTS WORKBOOK ----
+
+  router.get("/events/:id/results/export", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can export results" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      if (await hasSealedBids(eventId)) {
+        return res.status(409).json({ error: "Bids are sealed until the tender opening", code: "BIDS_SEALED" });
+      }
+
+      const eventRes = await pool.query(`SELECT type, reveal_bidders FROM events WHERE id = $1`, [eventId]);
+      if (eventRes.rows.length === 0) {
+        return res.status(404).json({ error: "Event not found", code: "EVENT_NOT_FOUND" });
+      }
+      const aliases = shouldMaskBidders(eventRes.rows[0]) ? await getBidderAliases(eventId) : null;
+
+      const { workbook } = await buildResultsWorkbook(eventId, { aliases });
+
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename="event_${eventId}_results.xlsx"`);
+      await workbook.xlsx.write(res);
+      res.end();
+    } catch (err) {
+      console.error("Error exporting results:", err);
+      res.status(500).json({ error: "Failed to export results" });
+    }
+  });
+
+  // ---- AUCTION CERTIFICATE ----
+
+  router.get("/events/:id/certificate", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can issue certificates" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      const result = await issueCertificate(eventId, req.user.id);
+      if (result.rejection) {
+        const { status, ...body } = result.rejection;
+        return res.status(status).json(body);
+      }
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="event_${eventId}_certificate.pdf"`);
+      res.setHeader("X-Content-Hash", result.hash);
+      renderCertificate(result.record, result.hash, result.certificate).pipe(res);
+    } catch (err) {
+      console.error("Error issuing certificate:", err);
+      res.status(500).json({ error: "Failed to issue certificate" });
+    }
+  });
+
+  // Was this hash issued for the event, and does the database still match it?
+  router.get("/events/:id/certificate/verify", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can verify certificates" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      if (!/^[0-9a-fA-F]{64}$/.test(String(req.query.hash || "").trim())) {
+        return res.status(400).json({ error: "hash must be the 64 character SHA-256 printed on the certificate", code: "INVALID_HASH" });
+      }
+
+      res.json(await verifyCertificate(eventId, req.query.hash));
+    } catch (err) {
+      console.error("Error verifying certificate:", err);
+      res.status(500).json({ error: "Failed to verify certificate" });
+    }
+  });
+
+  // ---- AUDIT LOG ----
+
+  // Page through the trail oldest first: pass the last entry's ID as after_id for the next page
+  router.get("/events/:id/audit-log", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can view the audit log" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      if (await hasSealedBids(eventId)) {
+        return res.status(409).json({ error: "Bids are sealed until the tender opening", code: "BIDS_SEALED" });
+      }
+
+      const afterId = req.query.after_id === undefined ? null : Number(req.query.after_id);
+      const limit = req.query.limit === undefined ? AUDIT_PAGE_SIZE : Number(req.query.limit);
+      if (afterId !== null && !(Number.isInteger(afterId) && afterId >= 0)) {
+        return res.status(400).json({ error: "after_id must be an audit entry ID", code: "INVALID_FILTER" });
+      }
+      if (!(Number.isInteger(limit) && limit > 0 && limit <= AUDIT_PAGE_MAX)) {
+        return res.status(400).json({ error: `limit must be between 1 and ${AUDIT_PAGE_MAX}`, code: "INVALID_FILTER" });
+      }
+
+      const entries = await getAuditLog(eventId, { action: req.query.action || null, after_id: afterId, limit });
+      res.json({
+        entries,
+        next_after_id: entries.length === limit ? entries[entries.length - 1].id : null,
+        verification: await verifyAuditChain(eventId),
+      });
+    } catch (err) {
+      console.error("Error fetching audit log:", err);
+      res.status(500).json({ error: "Failed to fetch audit log" });
+    }
+  });
+
+  router.get("/events/:id/audit-log/verify", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can verify the audit log" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      res.json(await verifyAuditChain(eventId));
+    } catch (err) {
+      console.error("Error verifying audit log:", err);
+      res.status(500).json({ error: "Failed to verify audit log" });
+    }
+  });
+
+  router.get("/events/:id/audit-log/export", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can export the audit log" });
+      }
+
+      const eventId = req.params.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, req.user.id);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      if (await hasSealedBids(eventId)) {
+        return res.status(409).json({ error: "Bids are sealed until the tender opening", code: "BIDS_SEALED" });
+      }
+
+      const workbook = await buildAuditWorkbook(eventId);
+
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename="event_${eventId}_audit_log.xlsx"`);
+      await workbook.xlsx.write(res);
+      res.end();
+    } catch (err) {
+      console.error("Error exporting audit log:", err);
+      res.status(500).json({ error: "Failed to export audit log" });
+    }
+  });
+
+  return router;
+};
@@ -5,8 +5,10 @@ const fs = require("fs");
 const multer = require("multer");
 const { ensureAuthenticated } = require("../middleware/auth");
 const { checkTeamMembership } = require("../middleware/team-access");
+const { canTransition, transitionEvent, announceTransition } = require("../services/event-lifecycle");
+const { auditActor, changedFields, recordAudit } = require("../services/audit-log");
 
-module.exports = (pool) => {
+module.exports = (pool, io) => {
   const router = express.Router();
 
   // ---- File Upload Setup ----
@@ -154,40 +156,79 @@ module.exports = (pool) => {
         return res.status(400).json({ error: "Publish time is required" });
       }
 
-      // Check if RFQ already exists
-      const existing = await pool.query(
-        "SELECT id FROM rfqs WHERE event_id = $1",
-        [eventId]
-      );
-
+      // The RFQ, the event's move into the RFQ stage and the audit entry are one transaction
+      const client = await pool.connect();
       let result;
-      // Set published to true and record when it was set to publish (not when it will actually publish)
-      if (existing.rows.length > 0) {
-        // Update and set to publish existing RFQ
-        result = await pool.query(
-          `UPDATE rfqs 
-           SET info = $1, 
-               rich_text_content = $2, 
-               publish_time = $3,
-               clarification_deadline = $4,
-               deadline_time = $5, 
-               reminder_time = $6,
-               published = TRUE,
-               published_date = NOW(),
-               updated_at = NOW()
-           WHERE event_id = $7
-           RETURNING *`,
-          [info, rich_text_content, publish_time, clarification_deadline, deadline_time, reminder_time, eventId]
-        );
-      } else {
-        // Create and set to publish new RFQ
-        result = await pool.query(
-          `INSERT INTO rfqs (event_id, info, rich_text_content, publish_time, clarification_deadline, deadline_time, reminder_time, published, published_date)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, TRUE, NOW())
-           RETURNING *`,
-          [eventId, info, rich_text_content, publish_time, clarification_deadline, deadline_time, reminder_time]
+      let transition = null;
+      try {
+        await client.query("BEGIN");
+
+        // Check if RFQ already exists
+        const existing = await client.query(
+          "SELECT * FROM rfqs WHERE event_id = $1 FOR UPDATE",
+          [eventId]
         );
+
+        // Set published to true and record when it was set to publish (not when it will actually publish)
+        if (existing.rows.length > 0) {
+          // Update and set to publish existing RFQ
+          result = await client.query(
+            `UPDATE rfqs 
+             SET info = $1, 
+                 rich_text_content = $2, 
+                 publish_time = $3,
+                 clarification_deadline = $4,
+                 deadline_time = $5, 
+                 reminder_time = $6,
+                 published = TRUE,
+                 published_date = NOW(),
+                 updated_at = NOW()
+             WHERE event_id = $7
+             RETURNING *`,
+            [info, rich_text_content, publish_time, clarification_deadline, deadline_time, reminder_time, eventId]
+          );
+        } else {
+          // Create and set to publish new RFQ
+          result = await client.query(
+            `INSERT INTO rfqs (event_id, info, rich_text_content, publish_time, clarification_deadline, deadline_time, reminder_time, published, published_date)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, TRUE, NOW())
+             RETURNING *`,
+            [eventId, info, rich_text_content, publish_time, clarification_deadline, deadline_time, reminder_time]
+          );
+        }
+
+        // Move the event into the RFQ stage if its lifecycle allows it
+        const statusRes = await client.query("SELECT status FROM events WHERE id = $1 FOR UPDATE", [eventId]);
+        const currentStatus = statusRes.rows[0]?.status;
+        if (canTransition(currentStatus, "rfq_published")) {
+          transition = await transitionEvent(eventId, "rfq_published", {
+            io,
+            userId,
+            reason: "RFQ published",
+            from: [currentStatus],
+            db: client,
+          });
+        }
+
+        const change = existing.rows.length > 0
+          ? changedFields(existing.rows[0], result.rows[0])
+          : { before: null, after: result.rows[0] };
+        await recordAudit(client, {
+          eventId,
+          actor: auditActor(req),
+          action: "rfq.published",
+          entityType: "rfq",
+          entityId: result.rows[0].id,
+          ...change,
+        });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
       }
+      if (transition) announceTransition(transition, io);
 
       // TODO: Schedule notification to bidders at publish_time
       // TODO: Schedule reminder at reminder_time
@@ -9,7 +9,7 @@ module.exports = function (pool) {
     try {
       const userId = req.user.id;
 
-      // Get organizations the user created events for, with savings calculated from line items
+      // Get organizations the user created events for, with savings on the line items they awarded
       const query = `
         WITH user_orgs AS (
           SELECT DISTINCT o.id, o.name, o.currency
@@ -22,20 +22,14 @@ module.exports = function (pool) {
             e.organisation_id,
             li.id as line_item_id,
             li.ext_baseline,
-            COALESCE(MIN(b.amount), li.ext_baseline) as winning_bid,
-            CASE 
-              WHEN MIN(b.amount) IS NOT NULL AND li.ext_baseline IS NOT NULL
-              THEN li.ext_baseline - MIN(b.amount)
-              ELSE 0
-            END as savings
+            ali.awarded_value as winning_bid,
+            li.ext_baseline - ali.awarded_value as savings
           FROM events e
-          INNER JOIN lots l ON l.event_id = e.id
-          INNER JOIN line_items li ON li.lot_id = l.id
-          LEFT JOIN bids b ON b.line_item_id = li.id AND b.event_id = e.id
+          INNER JOIN awarded_line_items ali ON ali.event_id = e.id
+          INNER JOIN line_items li ON li.id = ali.line_item_id
           WHERE e.created_by = $1 
             AND e.auction_time < NOW()
             AND li.ext_baseline IS NOT NULL
-          GROUP BY e.organisation_id, li.id, li.ext_baseline
         )
         SELECT 
           uo.id,
@@ -102,21 +96,15 @@ module.exports = function (pool) {
             e.category_id,
             li.id as line_item_id,
             li.ext_baseline,
-            COALESCE(MIN(b.amount), li.ext_baseline) as winning_bid,
-            CASE 
-              WHEN MIN(b.amount) IS NOT NULL AND li.ext_baseline IS NOT NULL
-              THEN li.ext_baseline - MIN(b.amount)
-              ELSE 0
-            END as savings
+            ali.awarded_value as winning_bid,
+            li.ext_baseline - ali.awarded_value as savings
           FROM events e
-          INNER JOIN lots l ON l.event_id = e.id
-          INNER JOIN line_items li ON li.lot_id = l.id
-          LEFT JOIN bids b ON b.line_item_id = li.id AND b.event_id = e.id
+          INNER JOIN awarded_line_items ali ON ali.event_id = e.id
+          INNER JOIN line_items li ON li.id = ali.line_item_id
           WHERE e.organisation_id = $1 
             AND e.created_by = $2 
             AND e.auction_time < NOW()
             AND li.ext_baseline IS NOT NULL
-          GROUP BY e.category_id, li.id, li.ext_baseline
         ),
         event_counts AS (
           SELECT 
@@ -156,7 +144,7 @@ module.exports = function (pool) {
     }
   });
 
-  // GET /stats/organizations/:orgId/categories/:categoryId/events - Get past events for org+category
+  // GET /stats/organizations/:orgId/categories/:categoryId/events - Get awarded past events for org+category
   router.get("/stats/organizations/:orgId/categories/:categoryId/events", ensureAuthenticated, async (req, res) => {
     try {
       const userId = req.user.id;
@@ -179,31 +167,17 @@ module.exports = function (pool) {
           SELECT 
             e.id,
             e.auction_time,
-            SUM(li.ext_baseline) as total_baseline,
-            SUM(
-              CASE 
-                WHEN MIN(b.amount) IS NOT NULL 
-                THEN MIN(b.amount)
-                ELSE li.ext_baseline
-              END
-            ) as total_winning_bids,
-            SUM(
-              CASE 
-                WHEN MIN(b.amount) IS NOT NULL AND li.ext_baseline IS NOT NULL
-                THEN li.ext_baseline - MIN(b.amount)
-                ELSE 0
-              END
-            ) as savings
+            li.ext_baseline as total_baseline,
+            ali.awarded_value as total_winning_bids,
+            li.ext_baseline - ali.awarded_value as savings
           FROM events e
-          INNER JOIN lots l ON l.event_id = e.id
-          INNER JOIN line_items li ON li.lot_id = l.id
-          LEFT JOIN bids b ON b.line_item_id = li.id AND b.event_id = e.id
+          INNER JOIN awarded_line_items ali ON ali.event_id = e.id
+          INNER JOIN line_items li ON li.id = ali.line_item_id
           WHERE e.organisation_id = $1 
             AND e.category_id = $2 
             AND e.auction_time < NOW()
             AND e.created_by = $3
             AND li.ext_baseline IS NOT NULL
-          GROUP BY e.id, e.auction_time, li.id, li.ext_baseline
         )
         SELECT 
           id,
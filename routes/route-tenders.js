@@ -0,0 +1,73 @@
+// routes/route-tenders.js
+const express = require("express");
+const { ensureAuthenticated } = require("../middleware/auth");
+const { checkTeamMembership } = require("../middleware/team-access");
+const { checkEventBidder } = require("../services/bid-eligibility");
+
+module.exports = (io) => {
+  const router = express.Router();
+  const sealedTender = require("../services/sealed-tender")(io);
+
+  // === Tender rounds (shortlists, line items, opening log) ===
+  router.get("/events/:id/tender/rounds", ensureAuthenticated, async (req, res) => {
+    try {
+      const eventId = req.params.id;
+
+      if (req.user.role === "manager") {
+        const isMember = await checkTeamMembership(eventId, req.user.id);
+        if (!isMember) {
+          return res.status(403).json({ error: "You are not a team member of this event" });
+        }
+      } else {
+        const notInvited = await checkEventBidder(eventId, req.user.id);
+        if (notInvited) {
+          const { status, ...body } = notInvited;
+          return res.status(status).json(body);
+        }
+      }
+
+      res.json(await sealedTender.getRounds(eventId, req.user));
+    } catch (err) {
+      console.error("Error fetching tender rounds:", err);
+      res.status(500).json({ error: "Failed to fetch tender rounds" });
+    }
+  });
+
+  // === Shortlist suppliers into the next round ===
+  router.post("/events/:id/tender/rounds", ensureAuthenticated, async (req, res) => {
+    try {
+      if (req.user.role !== "manager") {
+        return res.status(403).json({ error: "Only managers can create tender rounds" });
+      }
+
+      const eventId = req.params.id;
+      const userId = req.user.id;
+
+      // Check if the manager is a team member of this event
+      const isMember = await checkTeamMembership(eventId, userId);
+      if (!isMember) {
+        return res.status(403).json({ error: "You are not a team member of this event" });
+      }
+
+      const { shortlist, line_items, start_time, duration_minutes, opening_time } = req.body;
+      const result = await sealedTender.createNextRound(eventId, userId, {
+        shortlist,
+        lineItems: line_items,
+        startTime: start_time,
+        durationMinutes: duration_minutes,
+        openingTime: opening_time,
+      });
+      if (result.rejection) {
+        const { status, ...body } = result.rejection;
+        return res.status(status).json(body);
+      }
+
+      res.json({ success: true, round: result.round });
+    } catch (err) {
+      console.error("Error creating tender round:", err);
+      res.status(500).json({ error: "Failed to create tender round" });
+    }
+  });
+
+  return router;
+};
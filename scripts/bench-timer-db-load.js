@@ -0,0 +1,86 @@
+// scripts/bench-timer-db-load.js
+// Measures how many DB queries the auction timer and scheduler make with many concurrent auctions.
+// Runs against a stub pool (no database needed) with every interval sped up, so one real second
+// simulates one minute.
+//
+//   npm run bench:timer            # 200 auctions
+//   BENCH_EVENTS=500 npm run bench:timer
+
+const path = require("path");
+
+const EVENT_COUNT = Number(process.env.BENCH_EVENTS) || 200;
+const SPEEDUP = 60;
+const SIMULATED_SECONDS = 60;
+
+// Same defaults as the timer and scheduler, divided by the speedup
+process.env.AUCTION_TIMER_TICK_MS = String(1000 / SPEEDUP);
+process.env.AUCTION_TIMER_REFRESH_MS = String(30000 / SPEEDUP);
+process.env.AUCTION_TIMER_RESYNC_MS = String(15000 / SPEEDUP);
+process.env.AUCTION_SCHEDULER_INTERVAL_MS = String(1000 / SPEEDUP);
+
+// --- Stub pool: counts queries and serves EVENT_COUNT live events ---
+const now = Date.now();
+const events = Array.from({ length: EVENT_COUNT }, (_, i) => ({
+  id: i + 1,
+  title: `Bench event ${i + 1}`,
+  status: "live",
+  auction_time: new Date(now - 60 * 1000),
+  auction_start_time: new Date(now - 60 * 1000),
+  auction_end_time: new Date(now + 60 * 60 * 1000),
+  paused_at: null,
+  total_paused_seconds: 0,
+}));
+
+const queryCounts = {};
+const stubPool = {
+  async query(sql, params = []) {
+    const key = sql.replace(/\s+/g, " ").trim().slice(0, 60);
+    queryCounts[key] = (queryCounts[key] || 0) + 1;
+    if (/WHERE status IN \('live', 'paused'\)/.test(sql)) return { rows: events };
+    if (/WHERE id = \$1/.test(sql)) return { rows: events.filter(e => e.id === Number(params[0])) };
+    return { rows: [] };
+  },
+  async connect() {
+    throw new Error("Transactions are not used by this benchmark");
+  },
+};
+const poolPath = path.join(__dirname, "..", "db", "pool.js");
+require.cache[poolPath] = { id: poolPath, filename: poolPath, loaded: true, exports: stubPool };
+
+// --- Stub io: counts emits ---
+let emits = 0;
+const stubIo = {
+  to: () => ({ emit: () => { emits++; } }),
+  on: () => {},
+};
+
+const auctionTimer = require("../sockets/socket-auction-timer")(stubIo);
+const auctionScheduler = require("../services/auction-scheduler")(stubIo);
+
+(async () => {
+  await auctionTimer.start();
+  await auctionScheduler.start();
+
+  // A few bid extensions during the run, each re-reading one event
+  const extensions = 20;
+  for (let i = 0; i < extensions; i++) {
+    setTimeout(() => auctionTimer.refreshEvent(i + 1), (i * 1000) / extensions);
+  }
+
+  await new Promise(resolve => setTimeout(resolve, (SIMULATED_SECONDS * 1000) / SPEEDUP));
+  auctionTimer.stop();
+  auctionScheduler.stop();
+
+  const total = Object.values(queryCounts).reduce((a, b) => a + b, 0);
+  // Previous design: one SELECT and one UPDATE per event per second, plus the same scheduler load
+  const legacy = EVENT_COUNT * 2 * SIMULATED_SECONDS;
+
+  console.log(`\nAuction timer DB load: ${EVENT_COUNT} live auctions, ${SIMULATED_SECONDS}s simulated\n`);
+  for (const [sql, count] of Object.entries(queryCounts).sort((a, b) => b[1] - a[1])) {
+    console.log(`  ${String(count).padStart(6)}  ${sql}`);
+  }
+  console.log(`\n  Total queries:           ${total} (${(total / SIMULATED_SECONDS).toFixed(1)}/s)`);
+  console.log(`  time_sync broadcasts:    ${emits}`);
+  console.log(`  Per-second timer design: ${legacy} timer queries (${legacy / SIMULATED_SECONDS}/s)\n`);
+  process.exit(0);
+})();
@@ -48,6 +48,21 @@ app.use("/", messageRoutes);
 const eventRoutes = require("./routes/route-events")(io);
 app.use("/", eventRoutes);
 
+const dutchRoutes = require("./routes/route-dutch")(io);
+app.use("/", dutchRoutes);
+
+const japaneseRoutes = require("./routes/route-japanese")(io);
+app.use("/", japaneseRoutes);
+
+const tenderRoutes = require("./routes/route-tenders")(io);
+app.use("/", tenderRoutes);
+
+const proxyBidRoutes = require("./routes/route-proxy-bids")(io);
+app.use("/", proxyBidRoutes);
+
+const awardRoutes = require("./routes/route-awards")(io);
+app.use("/", awardRoutes);
+
 const organisationRoutes = require("./routes/route-organisations")(pool);
 app.use("/", organisationRoutes);
 
@@ -57,7 +72,7 @@ app.use("/", lotRoutes);
 const categoryRoutes = require("./routes/route-categories")(pool);
 app.use("/", categoryRoutes);
 
-const rfqRoutes = require("./routes/route-rfqs")(pool);
+const rfqRoutes = require("./routes/route-rfqs")(pool, io);
 app.use("/", rfqRoutes);
 
 const responseRoutes = require("./routes/route-responses")(pool);
@@ -75,6 +90,9 @@ app.use("/", invitationRoutes);
 const statsRoutes = require("./routes/route-stats")(pool);
 app.use("/", statsRoutes);
 
+const reportRoutes = require("./routes/route-reports")(pool);
+app.use("/", reportRoutes);
+
 const staticRoutes = require("./routes/route-static")();
 app.use("/", staticRoutes);
 
@@ -98,12 +116,34 @@ async function connectWithRetry(maxRetries = 5, delayMs = 3000) {
   return false;
 }
 
+// ---- Socket.IO Setup ----
+require("./sockets/socket-messaging")(io);
+const auctionTimer = require("./sockets/socket-auction-timer")(io);
+
+// Make timer available globally for routes to use
+global.auctionTimer = auctionTimer;
+
+// ---- Auction scheduler: opens and closes auctions without a browser ----
+const auctionScheduler = require("./services/auction-scheduler")(io);
+
+// ---- Dutch price clocks and Japanese rounds run on the timer's shared loop ----
+const dutchAuction = require("./services/dutch-auction")(io);
+dutchAuction.start(auctionTimer);
+const japaneseAuction = require("./services/japanese-auction")(io);
+japaneseAuction.start(auctionTimer);
+
+// ---- Staggered lot windows reach the timer whenever an event goes live ----
+require("./services/lot-schedule").start(auctionTimer);
+
 (async () => {
   const connected = await connectWithRetry();
   if (connected) {
     try {
       await runMigrations();
       console.log("✅ Migrations completed");
+      // Timer and scheduler need the lifecycle columns, so they start after migrations
+      await auctionTimer.start();
+      await auctionScheduler.start();
     } catch (err) {
       console.error("❌ Migration failed:", err.message);
     }
@@ -112,13 +152,6 @@ async function connectWithRetry(maxRetries = 5, delayMs = 3000) {
   }
 })();
 
-// ---- Socket.IO Setup ----
-require("./sockets/socket-messaging")(io);
-const auctionTimer = require("./sockets/socket-auction-timer")(io);
-
-// Make timer available globally for routes to use
-global.auctionTimer = auctionTimer;
-
 // ---- Start server ----
 server.listen(4000, () => {
   const url = "http://localhost:4000/start.html";
@@ -0,0 +1,122 @@
+// services/auction-scheduler.js
+const pool = require("../db/pool");
+const { transitionEvent, announceTransition } = require("./event-lifecycle");
+const { scheduleLots } = require("./lot-schedule");
+
+// How often the scheduler looks for auctions to open or close (and tender rounds to open)
+const SCHEDULER_INTERVAL_MS = Number(process.env.AUCTION_SCHEDULER_INTERVAL_MS) || 1000;
+
+module.exports = (io) => {
+  const sealedTender = require("./sealed-tender")(io);
+  let interval = null;
+  let running = false;
+
+  // A transition another request or instance already made is not an error here
+  async function safeTransition(eventId, to, options) {
+    try {
+      return await transitionEvent(eventId, to, { io, ...options });
+    } catch (err) {
+      if (err.code === "INVALID_TRANSITION" || err.code === "EVENT_NOT_FOUND") return null;
+      throw err;
+    }
+  }
+
+  // Open every scheduled auction whose start time has passed
+  async function openDueAuctions() {
+    const due = await pool.query(
+      `SELECT id, title, auction_time,
+              COALESCE(auction_end_time, auction_time + auction_duration) AS end_time
+       FROM events
+       WHERE status IN ('scheduled', 'rfq_published')
+         AND auction_time IS NOT NULL
+         AND auction_time <= NOW()
+       ORDER BY auction_time ASC`
+    );
+
+    for (const event of due.rows) {
+      // The lot windows are set in the same transaction, so the event never runs without them
+      const client = await pool.connect();
+      let change;
+      try {
+        await client.query("BEGIN");
+        change = await safeTransition(event.id, "live", {
+          reason: "Auction start time reached",
+          from: ["scheduled", "rfq_published"],
+          fields: {
+            auction_start_time: event.auction_time,
+            auction_end_time: event.end_time,
+          },
+          db: client,
+        });
+        if (change) await scheduleLots(change.event, client);
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+      if (change) {
+        announceTransition(change, io);
+        console.log(`🚀 Auction is now LIVE: "${event.title || `Event ${event.id}`}" (Event ID: ${event.id})`);
+      }
+    }
+  }
+
+  // Close every live auction whose end time has passed
+  async function closeEndedAuctions() {
+    const ended = await pool.query(
+      `SELECT id, title
+       FROM events
+       WHERE status = 'live'
+         AND COALESCE(auction_end_time, auction_time + auction_duration) <= NOW()`
+    );
+
+    for (const event of ended.rows) {
+      const change = await safeTransition(event.id, "closed", {
+        reason: "Auction end time reached",
+        from: ["live"],
+      });
+      if (change) {
+        console.log(`🏁 Auction ended: "${event.title || `Event ${event.id}`}" (Event ID: ${event.id})`);
+      }
+    }
+  }
+
+  // One scheduler pass; skipped if the previous pass is still running
+  async function runOnce() {
+    if (running) return;
+    running = true;
+    try {
+      await openDueAuctions();
+      await closeEndedAuctions();
+      // Sealed tender rounds open at their scheduled time once submissions have closed
+      await sealedTender.openDueRounds();
+    } catch (err) {
+      console.error("Error in auction scheduler:", err);
+    } finally {
+      running = false;
+    }
+  }
+
+  async function start() {
+    if (interval) return;
+    // Catch up on starts and ends missed while the server was down
+    await runOnce();
+    interval = setInterval(runOnce, SCHEDULER_INTERVAL_MS);
+    console.log(`⏰ Auction scheduler running every ${SCHEDULER_INTERVAL_MS}ms`);
+  }
+
+  function stop() {
+    if (interval) {
+      clearInterval(interval);
+      interval = null;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    runOnce,
+  };
+};
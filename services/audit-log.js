@@ -0,0 +1,186 @@
+// services/audit-log.js
+const ExcelJS = require("exceljs");
+const pool = require("../db/pool");
+
+// Append-only audit trail of manager actions on an event: who did what, to what, the state
+// before and after, when and from which IP. The database keeps it tamper-evident (db/migrations.js,
+// AUDIT LOG): entries can't be changed or removed, and each event's entries are hash-chained as
+// they are written, which verifyAuditChain checks.
+
+/**
+ * Who is acting, from the request
+ * @param {object} req - Express request (after ensureAuthenticated)
+ * @returns {object} - `{ actorId, actorRole, ip }`
+ */
+function auditActor(req) {
+  return {
+    actorId: req.user ? req.user.id : null,
+    actorRole: req.user ? req.user.role : null,
+    ip: req.ip || (req.socket && req.socket.remoteAddress) || null,
+  };
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : JSON.stringify(value);
+}
+
+/**
+ * Only the fields that differ between two versions of a row
+ * @param {object} before - Row before the change
+ * @param {object} after - Row after the change
+ * @returns {object} - `{ before, after }` holding just the changed fields
+ */
+function changedFields(before, after) {
+  const changed = { before: {}, after: {} };
+  for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    const was = before ? before[key] : undefined;
+    const now = after ? after[key] : undefined;
+    if (comparable(was) === comparable(now)) continue;
+    changed.before[key] = was ?? null;
+    changed.after[key] = now ?? null;
+  }
+  return changed;
+}
+
+/**
+ * Append an entry to an event's audit trail. Pass the transaction client when the change is
+ * made in one, so the entry is written if and only if the change is.
+ * @param {object} db - Pool or transaction client
+ * @param {object} entry - `{ eventId, actor (from auditActor), action, entityType, entityId, before, after }`
+ * @returns {Promise<object>} - `{ id, hash }`
+ */
+async function recordAudit(db, { eventId, actor = {}, action, entityType, entityId = null, before = null, after = null }) {
+  const result = await db.query(
+    `INSERT INTO audit_log (event_id, actor_id, actor_role, action, entity_type, entity_id, before_state, after_state, ip)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id, hash`,
+    [
+      eventId,
+      actor.actorId ?? null,
+      actor.actorRole ?? null,
+      action,
+      entityType,
+      entityId === null ? null : String(entityId),
+      before === null ? null : JSON.stringify(before),
+      after === null ? null : JSON.stringify(after),
+      actor.ip ?? null,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * An event's audit trail, oldest first
+ * @param {number} eventId - The event ID
+ * @param {object} [filters] - `{ action, after_id, limit }`; after_id pages through the trail
+ * @returns {Promise<Array<object>>} - Entries with the actor's name and email
+ */
+async function getAuditLog(eventId, { action = null, after_id = null, limit = null } = {}) {
+  const result = await pool.query(
+    `SELECT a.id, a.event_id, a.actor_id, a.actor_role, a.action, a.entity_type, a.entity_id,
+            a.before_state, a.after_state, a.ip, a.created_at, a.prev_hash, a.hash,
+            u.first_name, u.last_name, u.email
+     FROM audit_log a
+     LEFT JOIN users u ON u.id = a.actor_id
+     WHERE a.event_id = $1
+       AND ($2::text IS NULL OR a.action = $2)
+       AND ($3::bigint IS NULL OR a.id > $3)
+     ORDER BY a.id
+     LIMIT $4`,
+    [eventId, action, after_id, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Walk an event's hash chain: each entry must link to the one before it and hash to its stored hash
+ * @param {number} eventId - The event ID
+ * @returns {Promise<object>} - `{ valid, entries, broken_at, reason }`; broken_at is the first bad entry's ID
+ */
+async function verifyAuditChain(eventId) {
+  const result = await pool.query(
+    `SELECT a.id, a.prev_hash, a.hash, audit_entry_hash(a.prev_hash, a) AS expected_hash
+     FROM audit_log a
+     WHERE a.event_id = $1
+     ORDER BY a.id`,
+    [eventId]
+  );
+
+  let previous = null;
+  for (const entry of result.rows) {
+    if ((entry.prev_hash || null) !== previous) {
+      return { valid: false, entries: result.rows.length, broken_at: entry.id, reason: "Entry does not follow the one before it" };
+    }
+    if (entry.hash !== entry.expected_hash) {
+      return { valid: false, entries: result.rows.length, broken_at: entry.id, reason: "Entry content does not match its hash" };
+    }
+    previous = entry.hash;
+  }
+  return { valid: true, entries: result.rows.length, broken_at: null, reason: null };
+}
+
+/**
+ * An event's whole audit trail as a workbook, with the chain verification alongside
+ * @param {number} eventId - The event ID
+ * @returns {Promise<object>} - ExcelJS workbook: sheets "Audit Log" and "Verification"
+ */
+async function buildAuditWorkbook(eventId) {
+  const entries = await getAuditLog(eventId);
+  const verification = await verifyAuditChain(eventId);
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet("Audit Log");
+  sheet.columns = [
+    { header: "ID", key: "id", width: 8 },
+    { header: "When", key: "created_at", width: 20, style: { numFmt: "yyyy-mm-dd hh:mm:ss" } },
+    { header: "Actor", key: "actor", width: 24 },
+    { header: "Role", key: "actor_role", width: 10 },
+    { header: "IP", key: "ip", width: 16 },
+    { header: "Action", key: "action", width: 22 },
+    { header: "Entity", key: "entity_type", width: 14 },
+    { header: "Entity ID", key: "entity_id", width: 10 },
+    { header: "Before", key: "before_state", width: 48 },
+    { header: "After", key: "after_state", width: 48 },
+    { header: "Previous hash", key: "prev_hash", width: 66 },
+    { header: "Hash", key: "hash", width: 66 },
+  ];
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+  for (const entry of entries) {
+    sheet.addRow({
+      ...entry,
+      id: Number(entry.id),
+      actor: `${entry.first_name || ""} ${entry.last_name || ""}`.trim() || entry.email || entry.actor_id,
+      before_state: entry.before_state === null ? null : JSON.stringify(entry.before_state),
+      after_state: entry.after_state === null ? null : JSON.stringify(entry.after_state),
+    });
+  }
+
+  const summary = workbook.addWorksheet("Verification");
+  [
+    ["Chain valid", verification.valid ? "Yes" : "No"],
+    ["Entries", verification.entries],
+    ["Broken at entry", verification.broken_at],
+    ["Reason", verification.reason],
+    ["Verified at", new Date()],
+  ].forEach(row => {
+    const added = summary.addRow(row);
+    added.getCell(1).font = { bold: true };
+  });
+  summary.getColumn(1).width = 18;
+  summary.getColumn(2).width = 40;
+
+  return workbook;
+}
+
+module.exports = {
+  auditActor,
+  changedFields,
+  recordAudit,
+  getAuditLog,
+  verifyAuditChain,
+  buildAuditWorkbook,
+};
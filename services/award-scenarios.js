@@ -0,0 +1,354 @@
+// services/award-scenarios.js
+const pool = require("../db/pool");
+const { scoredLatest } = require("./bid-ranking");
+
+// Award scenarios: ways of awarding an event's final bids, compared side by side before one is
+// turned into the award decision (services/awards.js). Every scenario awards whole line items,
+// each to one supplier, and compares cost only: a line item's cost is the supplier's evaluated
+// price (with their supplier_line_item_settings weighting and adjustments, see
+// services/bid-transform.js) × ext_quantity. Suppliers are chosen on cost, but `savings` are
+// what would actually be paid (awarded_value, the raw price × ext_quantity) against
+// ext_baseline, as on the award; `evaluated_savings` are the same against cost.
+//   cherry_pick - every line item to its cheapest supplier
+//   bundled     - every lot to the one supplier cheapest across all of its line items
+//   capped      - the cheapest award using at most `max_suppliers` suppliers
+//   incumbent   - the cheapest award keeping line items' incumbents on `incumbent_share`% of spend
+
+const SCENARIOS = ["cherry_pick", "bundled", "capped", "incumbent"];
+const DEFAULT_MAX_SUPPLIERS = 2;
+const DEFAULT_INCUMBENT_SHARE = 50;
+// Above this many supplier combinations `capped` picks suppliers greedily instead of trying them all
+const MAX_COMBINATIONS = 20000;
+
+/**
+ * Validate scenario options (from a query string or request body)
+ * @param {object} input - `{ max_suppliers, incumbent_share }`, both optional
+ * @returns {object} - `{ error }` or `{ options }` with defaults filled in
+ */
+function parseScenarioOptions(input = {}) {
+  const maxSuppliers = input.max_suppliers === undefined || input.max_suppliers === ""
+    ? DEFAULT_MAX_SUPPLIERS
+    : Number(input.max_suppliers);
+  if (!Number.isInteger(maxSuppliers) || maxSuppliers < 1) {
+    return { error: "max_suppliers must be a whole number of at least 1" };
+  }
+  const incumbentShare = input.incumbent_share === undefined || input.incumbent_share === ""
+    ? DEFAULT_INCUMBENT_SHARE
+    : Number(input.incumbent_share);
+  if (!Number.isFinite(incumbentShare) || incumbentShare < 0 || incumbentShare > 100) {
+    return { error: "incumbent_share must be between 0 and 100" };
+  }
+  return { options: { max_suppliers: maxSuppliers, incumbent_share: incumbentShare } };
+}
+
+// The event's line items with every supplier's final (latest) bid on each, cheapest first
+async function loadBids(eventId, db) {
+  const lineItems = await db.query(
+    `SELECT li.id AS line_item_id, li.lot_id, l.title AS lot_title, li.item_number, li.item_name,
+            li.ext_quantity, li.ext_baseline, li.baseline, NULLIF(TRIM(li.incumbent), '') AS incumbent
+     FROM line_items li
+     JOIN lots l ON l.id = li.lot_id
+     WHERE l.event_id = $1
+     ORDER BY l.id, li.id`,
+    [eventId]
+  );
+  const bids = await db.query(
+    `WITH ${scoredLatest("TRUE")}
+     SELECT s.line_item_id, s.user_id, s.id AS bid_id, s.amount, s.evaluated_amount,
+            CONCAT(u.first_name, ' ', u.last_name) AS user_name, o.name AS organisation_name
+     FROM scored s
+     JOIN users u ON u.id = s.user_id
+     LEFT JOIN organisations o ON o.id = u.organisation_id
+     ORDER BY s.line_item_id, s.evaluated_amount ASC, s.id ASC`,
+    [eventId]
+  );
+
+  const suppliers = new Map();
+  const offers = new Map();
+  for (const row of bids.rows) {
+    suppliers.set(row.user_id, {
+      supplier_id: row.user_id,
+      user_name: row.user_name,
+      organisation_name: row.organisation_name,
+    });
+    if (!offers.has(row.line_item_id)) offers.set(row.line_item_id, []);
+    offers.get(row.line_item_id).push(row);
+  }
+
+  const items = lineItems.rows.map(li => {
+    const quantity = li.ext_quantity !== null ? Number(li.ext_quantity) : 1;
+    const baseline = li.ext_baseline !== null
+      ? Number(li.ext_baseline)
+      : (li.baseline !== null ? Number(li.baseline) * quantity : null);
+    const itemOffers = (offers.get(li.line_item_id) || []).map(o => ({
+      supplier_id: o.user_id,
+      bid_id: o.bid_id,
+      amount: Number(o.amount),
+      evaluated_amount: Number(o.evaluated_amount),
+      cost: Number(o.evaluated_amount) * quantity,
+      awarded_value: Number(o.amount) * quantity,
+      incumbent: Boolean(li.incumbent && o.organisation_name
+        && li.incumbent.toLowerCase() === o.organisation_name.trim().toLowerCase()),
+    }));
+    return {
+      line_item_id: li.line_item_id,
+      lot_id: li.lot_id,
+      lot_title: li.lot_title,
+      item_number: li.item_number,
+      item_name: li.item_name,
+      ext_baseline: baseline,
+      incumbent: li.incumbent,
+      offers: itemOffers,
+      bySupplier: new Map(itemOffers.map(o => [o.supplier_id, o])),
+    };
+  });
+  return { items, suppliers };
+}
+
+// The cheapest offer on a line item from any of `supplierIds` (all suppliers when not given)
+function cheapest(item, supplierIds) {
+  return item.offers.find(o => !supplierIds || supplierIds.has(o.supplier_id)) || null;
+}
+
+// Cost an assignment (line_item_id -> offer) into the figures managers compare
+function describe(scenario, name, items, assignment, suppliers, extra = {}) {
+  const lines = [];
+  const unawarded = [];
+  const bySupplier = new Map();
+  for (const item of items) {
+    const offer = assignment.get(item.line_item_id);
+    if (!offer) {
+      if (item.offers.length > 0) unawarded.push(item.line_item_id);
+      continue;
+    }
+    lines.push({
+      line_item_id: item.line_item_id,
+      lot_id: item.lot_id,
+      supplier_id: offer.supplier_id,
+      bid_id: offer.bid_id,
+      amount: offer.amount,
+      evaluated_amount: offer.evaluated_amount,
+      cost: offer.cost,
+      awarded_value: offer.awarded_value,
+      ext_baseline: item.ext_baseline,
+      savings: item.ext_baseline !== null ? item.ext_baseline - offer.awarded_value : null,
+      evaluated_savings: item.ext_baseline !== null ? item.ext_baseline - offer.cost : null,
+    });
+    if (!bySupplier.has(offer.supplier_id)) {
+      bySupplier.set(offer.supplier_id, { ...suppliers.get(offer.supplier_id), line_items: 0, total_cost: 0 });
+    }
+    const supplier = bySupplier.get(offer.supplier_id);
+    supplier.line_items += 1;
+    supplier.total_cost += offer.cost;
+  }
+
+  const totalCost = lines.reduce((acc, l) => acc + l.cost, 0);
+  return {
+    scenario,
+    name,
+    total_cost: totalCost,
+    awarded_value: lines.reduce((acc, l) => acc + l.awarded_value, 0),
+    baseline: lines.reduce((acc, l) => acc + (l.ext_baseline || 0), 0),
+    savings: lines.reduce((acc, l) => acc + (l.savings || 0), 0),
+    evaluated_savings: lines.reduce((acc, l) => acc + (l.evaluated_savings || 0), 0),
+    supplier_count: bySupplier.size,
+    suppliers: [...bySupplier.values()].sort((a, b) => b.total_cost - a.total_cost),
+    line_items: lines,
+    unawarded_line_items: unawarded,
+    feasible: true,
+    ...extra,
+  };
+}
+
+function cherryPick(items) {
+  const assignment = new Map();
+  for (const item of items) {
+    const offer = cheapest(item);
+    if (offer) assignment.set(item.line_item_id, offer);
+  }
+  return assignment;
+}
+
+// Each lot goes to the supplier cheapest across all of its line items; only suppliers who bid
+// on every line item of a lot can take it, so a lot nobody bid on in full is left unawarded
+function bundled(items) {
+  const lots = new Map();
+  for (const item of items) {
+    if (!lots.has(item.lot_id)) lots.set(item.lot_id, []);
+    lots.get(item.lot_id).push(item);
+  }
+
+  const assignment = new Map();
+  const unawardedLots = [];
+  for (const [lotId, lotItems] of lots) {
+    let best = null;
+    for (const offer of lotItems[0].offers) {
+      const offers = lotItems.map(item => item.bySupplier.get(offer.supplier_id));
+      if (offers.some(o => !o)) continue;
+      const cost = offers.reduce((acc, o) => acc + o.cost, 0);
+      if (!best || cost < best.cost) best = { cost, offers };
+    }
+    if (!best) {
+      if (lotItems.some(item => item.offers.length > 0)) unawardedLots.push(lotId);
+      continue;
+    }
+    lotItems.forEach((item, i) => assignment.set(item.line_item_id, best.offers[i]));
+  }
+  return { assignment, unawardedLots };
+}
+
+// Line items left without a supplier and the total cost when awarding among `supplierIds` only
+function evaluateSet(items, supplierIds) {
+  let uncovered = 0;
+  let cost = 0;
+  for (const item of items) {
+    if (item.offers.length === 0) continue;
+    const offer = cheapest(item, supplierIds);
+    if (offer) cost += offer.cost;
+    else uncovered += 1;
+  }
+  return { uncovered, cost };
+}
+
+// Covering more line items comes first, then cost
+function better(a, b) {
+  return !b || a.uncovered < b.uncovered || (a.uncovered === b.uncovered && a.cost < b.cost);
+}
+
+function countCombinations(n, k) {
+  let count = 1;
+  for (let i = 0; i < k; i++) count = count * (n - i) / (i + 1);
+  return count;
+}
+
+// Every combination of `size` supplier IDs, passed to `visit` one at a time
+function eachCombination(ids, size, visit, start = 0, chosen = []) {
+  if (chosen.length === size) return visit(new Set(chosen));
+  for (let i = start; i <= ids.length - (size - chosen.length); i++) {
+    chosen.push(ids[i]);
+    eachCombination(ids, size, visit, i + 1, chosen);
+    chosen.pop();
+  }
+}
+
+// The supplier set of at most `maxSuppliers` that covers the most line items at the least cost:
+// every combination when there are few enough, otherwise adding the best supplier at each step
+function capped(items, supplierIds, maxSuppliers) {
+  const size = Math.min(maxSuppliers, supplierIds.length);
+  let best = null;
+  let exhaustive = true;
+
+  if (countCombinations(supplierIds.length, size) <= MAX_COMBINATIONS) {
+    eachCombination(supplierIds, size, set => {
+      const result = { ...evaluateSet(items, set), set };
+      if (better(result, best)) best = result;
+    });
+  } else {
+    exhaustive = false;
+    const set = new Set();
+    while (set.size < size) {
+      let step = null;
+      for (const id of supplierIds) {
+        if (set.has(id)) continue;
+        const trial = new Set([...set, id]);
+        const result = { ...evaluateSet(items, trial), set: trial };
+        if (better(result, step)) step = result;
+      }
+      step.set.forEach(id => set.add(id));
+      best = step;
+    }
+  }
+
+  const assignment = new Map();
+  const set = best ? best.set : new Set();
+  for (const item of items) {
+    const offer = cheapest(item, set);
+    if (offer) assignment.set(item.line_item_id, offer);
+  }
+  return { assignment, exhaustive };
+}
+
+// Starting from the cheapest award, move line items to their incumbent until incumbents hold
+// `share`% of spend, each time moving the line item that costs least per unit of spend it moves
+function incumbent(items, share) {
+  const assignment = cherryPick(items);
+  const target = share / 100;
+  const totals = () => {
+    let total = 0;
+    let held = 0;
+    for (const offer of assignment.values()) {
+      total += offer.cost;
+      if (offer.incumbent) held += offer.cost;
+    }
+    return { total, held };
+  };
+
+  let { total, held } = totals();
+  while (total > 0 && held / total < target) {
+    let move = null;
+    for (const item of items) {
+      const current = assignment.get(item.line_item_id);
+      if (!current || current.incumbent) continue;
+      const offer = item.offers.find(o => o.incumbent);
+      if (!offer) continue;
+      const ratio = (offer.cost - current.cost) / (offer.cost || 1);
+      if (!move || ratio < move.ratio) move = { item, offer, ratio };
+    }
+    if (!move) break;
+    assignment.set(move.item.line_item_id, move.offer);
+    ({ total, held } = totals());
+  }
+
+  return { assignment, achieved: total > 0 ? (held / total) * 100 : 0 };
+}
+
+/**
+ * Work out every award scenario over the event's final bids
+ * @param {number} eventId - The event ID
+ * @param {object} options - `{ max_suppliers, incumbent_share }` from parseScenarioOptions
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object>} - `{ options, scenarios }`; each scenario has `total_cost` (at evaluated prices),
+ *   `awarded_value` (at raw prices), `savings` (against awarded_value), `evaluated_savings` (against total_cost), `supplier_count`, `suppliers`, `line_items` (`[{ line_item_id, supplier_id, bid_id, cost, ... }]`),
+ *   `unawarded_line_items` and `feasible`
+ */
+async function getScenarios(eventId, options, db = pool) {
+  const { items, suppliers } = await loadBids(eventId, db);
+  const supplierIds = [...suppliers.keys()];
+
+  const scenarios = [];
+  scenarios.push(describe("cherry_pick", "Cheapest supplier per line item", items, cherryPick(items), suppliers));
+
+  const lots = bundled(items);
+  scenarios.push(describe("bundled", "Whole lots to one supplier", items, lots.assignment, suppliers, {
+    feasible: lots.unawardedLots.length === 0,
+    unawarded_lots: lots.unawardedLots,
+    note: lots.unawardedLots.length > 0 ? "No supplier bid on every line item of some lots" : undefined,
+  }));
+
+  const cap = capped(items, supplierIds, options.max_suppliers);
+  const capScenario = describe("capped", `At most ${options.max_suppliers} supplier(s)`, items, cap.assignment, suppliers, {
+    max_suppliers: options.max_suppliers,
+    exhaustive: cap.exhaustive,
+  });
+  capScenario.feasible = capScenario.unawarded_line_items.length === 0;
+  if (!capScenario.feasible) capScenario.note = "Too few suppliers to cover every line item";
+  scenarios.push(capScenario);
+
+  const kept = incumbent(items, options.incumbent_share);
+  scenarios.push(describe("incumbent", `Incumbents keep ${options.incumbent_share}% of spend`, items, kept.assignment, suppliers, {
+    incumbent_share: options.incumbent_share,
+    achieved_incumbent_share: kept.achieved,
+    feasible: kept.achieved + 1e-9 >= options.incumbent_share,
+    note: kept.achieved + 1e-9 >= options.incumbent_share
+      ? undefined
+      : "Incumbents have not bid on enough line items to reach this share",
+  }));
+
+  return { options, scenarios };
+}
+
+module.exports = {
+  SCENARIOS,
+  parseScenarioOptions,
+  getScenarios,
+};
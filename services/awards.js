@@ -0,0 +1,550 @@
+// services/awards.js
+const nodemailer = require("nodemailer");
+const pool = require("../db/pool");
+const { transitionEvent, announceTransition } = require("./event-lifecycle");
+const { scoredLatest, RANK_ORDER } = require("./bid-ranking");
+const { getEventSummary } = require("./event-summary");
+const { checkAwardReserve } = require("./reserve");
+const { hasSealedBids } = require("./sealed-tender");
+const { managersRoom, userRoom } = require("./bid-broadcast");
+
+// Award decisions. Once an event has closed a manager awards line items (or whole lots) to one
+// or more suppliers with percentage splits, then submits the decision with a justification.
+// Another team member approves it, which awards the event and tells every supplier who bid
+// whether they won; or rejects it, which sends it back for changes. Approved decisions are final.
+//   draft -> pending_approval -> approved
+//                             -> rejected -> pending_approval ...
+
+const AWARD_STATUSES = ["draft", "pending_approval", "rejected", "approved"];
+// Award lines can only change while the decision is with the managers drafting it
+const EDITABLE_STATUSES = ["draft", "rejected"];
+// Shares on a line item must add up to 100% within this
+const SHARE_TOLERANCE = 0.001;
+
+/**
+ * Validate the suppliers and shares a line item (or lot) is split between
+ * @param {Array<object>} splits - `[{ supplier_id, share_percent }]`; a single supplier may leave out the share
+ * @returns {object} - `{ error }` or `{ splits }` with numbers filled in
+ */
+function parseSplits(splits) {
+  if (!Array.isArray(splits) || splits.length === 0) {
+    return { error: "Award to at least one supplier" };
+  }
+  const parsed = [];
+  for (const split of splits) {
+    const supplierId = Number(split.supplier_id);
+    if (!supplierId) return { error: "Every split needs a supplier_id" };
+    if (parsed.some(s => s.supplier_id === supplierId)) return { error: "Each supplier can only appear once" };
+    const share = split.share_percent === undefined && splits.length === 1 ? 100 : Number(split.share_percent);
+    if (!Number.isFinite(share) || share <= 0 || share > 100) {
+      return { error: "share_percent must be more than 0 and at most 100" };
+    }
+    parsed.push({ supplier_id: supplierId, share_percent: share });
+  }
+  const total = parsed.reduce((acc, s) => acc + s.share_percent, 0);
+  if (Math.abs(total - 100) > SHARE_TOLERANCE) {
+    return { error: `Shares must add up to 100% (they add up to ${total}%)` };
+  }
+  return { splits: parsed };
+}
+
+// Each supplier's latest bid on every line item of the event, best first (as ranked live)
+async function getOffers(eventId, db) {
+  const result = await db.query(
+    `WITH ${scoredLatest("TRUE")}
+     SELECT s.line_item_id, s.user_id, s.id AS bid_id, s.amount, s.evaluated_amount, s.score,
+            ROW_NUMBER() OVER (PARTITION BY s.line_item_id ORDER BY ${RANK_ORDER})::int AS rank,
+            CONCAT(u.first_name, ' ', u.last_name) AS user_name, o.name AS organisation_name
+     FROM scored s
+     JOIN users u ON u.id = s.user_id
+     LEFT JOIN organisations o ON o.id = u.organisation_id
+     ORDER BY s.line_item_id, rank`,
+    [eventId]
+  );
+  const offers = new Map();
+  for (const row of result.rows) {
+    if (!offers.has(row.line_item_id)) offers.set(row.line_item_id, []);
+    offers.get(row.line_item_id).push(row);
+  }
+  return offers;
+}
+
+/**
+ * The event's award decision with every line item: its offers, the live leader and how it is awarded
+ * @param {number} eventId - The event ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object>} - `{ award, line_items, totals }`; award is null until the first line is awarded
+ */
+async function getAward(eventId, db = pool) {
+  const awardRes = await db.query(
+    `SELECT a.*,
+            CONCAT(s.first_name, ' ', s.last_name) AS submitted_by_name,
+            CONCAT(d.first_name, ' ', d.last_name) AS decided_by_name
+     FROM awards a
+     LEFT JOIN users s ON s.id = a.submitted_by
+     LEFT JOIN users d ON d.id = a.decided_by
+     WHERE a.event_id = $1`,
+    [eventId]
+  );
+  const award = awardRes.rows[0] || null;
+
+  const linesRes = await db.query(
+    `SELECT al.line_item_id, al.supplier_id, al.share_percent, al.amount, al.awarded_value, al.bid_id,
+            CONCAT(u.first_name, ' ', u.last_name) AS user_name, o.name AS organisation_name
+     FROM award_lines al
+     JOIN users u ON u.id = al.supplier_id
+     LEFT JOIN organisations o ON o.id = u.organisation_id
+     WHERE al.award_id = $1
+     ORDER BY al.line_item_id, al.share_percent DESC, al.supplier_id`,
+    [award ? award.id : null]
+  );
+  const lines = new Map();
+  for (const row of linesRes.rows) {
+    if (!lines.has(row.line_item_id)) lines.set(row.line_item_id, []);
+    lines.get(row.line_item_id).push(row);
+  }
+
+  const summary = await getEventSummary(eventId, db);
+  const offers = await getOffers(eventId, db);
+  const lineItems = summary.line_items.map(li => {
+    const awarded = lines.get(li.line_item_id) || [];
+    const awardedValue = awarded.length > 0
+      ? awarded.reduce((acc, l) => acc + Number(l.awarded_value), 0)
+      : null;
+    return {
+      line_item_id: li.line_item_id,
+      lot_id: li.lot_id,
+      lot_title: li.lot_title,
+      item_number: li.item_number,
+      item_name: li.item_name,
+      ext_quantity: li.ext_quantity,
+      ext_baseline: li.ext_baseline,
+      reserve_value: li.reserve_value,
+      reserve_met: li.reserve_met,
+      leader: li.leader,
+      offers: offers.get(li.line_item_id) || [],
+      splits: awarded,
+      awarded_value: awardedValue,
+      savings: awardedValue !== null && li.ext_baseline !== null ? li.ext_baseline - awardedValue : null,
+    };
+  });
+
+  const awardedItems = lineItems.filter(li => li.awarded_value !== null);
+  return {
+    award,
+    line_items: lineItems,
+    totals: {
+      baseline: summary.totals.baseline,
+      awarded: awardedItems.reduce((acc, li) => acc + li.awarded_value, 0),
+      savings: awardedItems.reduce((acc, li) => acc + (li.savings || 0), 0),
+      line_items: lineItems.length,
+      awarded_line_items: awardedItems.length,
+    },
+  };
+}
+
+/**
+ * What a supplier has been awarded. Nothing is shown until the decision is approved.
+ * @param {number} eventId - The event ID
+ * @param {number} userId - The supplier's user ID
+ * @returns {Promise<object>} - `{ decided, awarded, line_items }`
+ */
+async function getSupplierAward(eventId, userId) {
+  const result = await pool.query(
+    `SELECT al.line_item_id, li.item_number, li.item_name, al.share_percent, al.amount, al.awarded_value
+     FROM awards a
+     JOIN award_lines al ON al.award_id = a.id
+     JOIN line_items li ON li.id = al.line_item_id
+     WHERE a.event_id = $1 AND a.status = 'approved' AND al.supplier_id = $2
+     ORDER BY li.id`,
+    [eventId, userId]
+  );
+  const decided = await pool.query(
+    `SELECT 1 FROM awards WHERE event_id = $1 AND status = 'approved'`,
+    [eventId]
+  );
+  return {
+    decided: decided.rows.length > 0,
+    awarded: result.rows.length > 0,
+    line_items: result.rows,
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+module.exports = (io) => {
+  // Lock the event's award decision for a change, creating it on first use.
+  // Decisions are only made on closed events, and an approved one never changes again.
+  async function lockAward(client, eventId, userId) {
+    const existing = await client.query(`SELECT * FROM awards WHERE event_id = $1 FOR UPDATE`, [eventId]);
+    if (existing.rows[0] && existing.rows[0].status === "approved") {
+      return { rejection: { status: 409, code: "AWARD_LOCKED", error: "The award has been approved and can no longer change" } };
+    }
+
+    const eventRes = await client.query(`SELECT status FROM events WHERE id = $1`, [eventId]);
+    const event = eventRes.rows[0];
+    if (!event) {
+      return { rejection: { status: 404, code: "EVENT_NOT_FOUND", error: "Event not found" } };
+    }
+    if (event.status !== "closed") {
+      return { rejection: { status: 409, code: "EVENT_NOT_CLOSED", error: `Awards are made once the event has closed (it is ${event.status})` } };
+    }
+    if (existing.rows[0]) return { award: existing.rows[0] };
+
+    await client.query(
+      `INSERT INTO awards (event_id, created_by) VALUES ($1, $2) ON CONFLICT (event_id) DO NOTHING`,
+      [eventId, userId]
+    );
+    const created = await client.query(`SELECT * FROM awards WHERE event_id = $1 FOR UPDATE`, [eventId]);
+    return { award: created.rows[0] };
+  }
+
+  // Run a change to the award decision in a transaction; `change` returns a rejection or nothing
+  async function changeAward(eventId, userId, change) {
+    const client = await pool.connect();
+    let rejection = null;
+    try {
+      await client.query("BEGIN");
+      const locked = await lockAward(client, eventId, userId);
+      rejection = locked.rejection || await change(client, locked.award);
+      await client.query(rejection ? "ROLLBACK" : "COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+    if (rejection) return { rejection };
+
+    const award = await getAward(eventId);
+    io.to(managersRoom(eventId)).emit("award_updated", {
+      event_id: Number(eventId),
+      status: award.award ? award.award.status : null,
+    });
+    return { award };
+  }
+
+  // Add award lines, each at the price of the supplier's latest bid on the line item.
+  // Returns a rejection when a supplier has not bid on a line item they are given.
+  async function writeLines(client, eventId, award, lines) {
+    const latest = await client.query(
+      `SELECT DISTINCT ON (line_item_id, user_id) id, line_item_id, user_id
+       FROM bids
+       WHERE event_id = $1 AND line_item_id = ANY($2::int[]) AND user_id = ANY($3::int[])
+       ORDER BY line_item_id, user_id, created_at DESC, id DESC`,
+      [eventId, lines.map(l => l.line_item_id), lines.map(l => l.supplier_id)]
+    );
+    const bidFor = new Map(latest.rows.map(b => [`${b.line_item_id}:${b.user_id}`, b.id]));
+
+    for (const line of lines) {
+      if (!bidFor.has(`${line.line_item_id}:${line.supplier_id}`)) {
+        return {
+          status: 409,
+          code: "NO_BID",
+          error: "A supplier can only be awarded line items they have bid on",
+          line_item_id: line.line_item_id,
+          supplier_id: line.supplier_id,
+        };
+      }
+    }
+
+    for (const line of lines) {
+      await client.query(
+        `INSERT INTO award_lines (award_id, line_item_id, supplier_id, share_percent, amount, awarded_value, bid_id)
+         SELECT $1, li.id, $3, $4, b.amount, b.amount * COALESCE(li.ext_quantity, 1) * $4 / 100, b.id
+         FROM line_items li
+         JOIN bids b ON b.id = $5
+         WHERE li.id = $2`,
+        [award.id, line.line_item_id, line.supplier_id, line.share_percent, bidFor.get(`${line.line_item_id}:${line.supplier_id}`)]
+      );
+    }
+    return null;
+  }
+
+  function checkEditable(award) {
+    if (EDITABLE_STATUSES.includes(award.status)) return null;
+    return { status: 409, code: "AWARD_PENDING", error: "The award is awaiting approval; reject it to make changes" };
+  }
+
+  /**
+   * Award a line item, or every line item of a lot, replacing how it was awarded before.
+   * Each supplier is awarded at the price of their latest bid on the line item.
+   * @param {number} eventId - The event ID
+   * @param {number} userId - Manager making the change
+   * @param {object} body - `{ line_item_id }` or `{ lot_id }`, with `splits: [{ supplier_id, share_percent }]`
+   * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ award }` as getAward returns it
+   */
+  async function awardLineItems(eventId, userId, body) {
+    const lineItemId = Number(body.line_item_id) || null;
+    const lotId = Number(body.lot_id) || null;
+    if (Boolean(lineItemId) === Boolean(lotId)) {
+      return { rejection: { status: 400, code: "INVALID_AWARD", error: "Give either line_item_id or lot_id" } };
+    }
+    const parsed = parseSplits(body.splits);
+    if (parsed.error) {
+      return { rejection: { status: 400, code: "INVALID_AWARD", error: parsed.error } };
+    }
+    const { splits } = parsed;
+
+    return changeAward(eventId, userId, async (client, award) => {
+      const notEditable = checkEditable(award);
+      if (notEditable) return notEditable;
+      if (await hasSealedBids(eventId, client)) {
+        return { status: 409, code: "BIDS_SEALED", error: "Bids are sealed until the tender opening" };
+      }
+
+      const items = await client.query(
+        `SELECT li.id FROM line_items li
+         JOIN lots l ON l.id = li.lot_id
+         WHERE l.event_id = $1 AND (li.id = $2 OR li.lot_id = $3)
+         ORDER BY li.id`,
+        [eventId, lineItemId, lotId]
+      );
+      if (items.rows.length === 0) {
+        return lineItemId
+          ? { status: 404, code: "LINE_ITEM_NOT_FOUND", error: "Line item not found on this event" }
+          : { status: 404, code: "LOT_NOT_FOUND", error: "Lot not found on this event, or it has no line items" };
+      }
+      const itemIds = items.rows.map(r => r.id);
+
+      await client.query(
+        `DELETE FROM award_lines WHERE award_id = $1 AND line_item_id = ANY($2::int[])`,
+        [award.id, itemIds]
+      );
+      const lines = itemIds.flatMap(id => splits.map(split => ({ line_item_id: id, ...split })));
+      const noBid = await writeLines(client, eventId, award, lines);
+      if (noBid) return noBid;
+      await client.query(
+        `UPDATE awards SET status = 'draft', updated_at = NOW() WHERE id = $1`,
+        [award.id]
+      );
+      return null;
+    });
+  }
+
+  /**
+   * Replace the whole award decision with a scenario's assignment (see services/award-scenarios.js):
+   * each line item to one supplier, at the price of their latest bid
+   * @param {number} eventId - The event ID
+   * @param {number} userId - Manager making the change
+   * @param {Array<object>} assignment - `[{ line_item_id, supplier_id }]`
+   * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ award }` as getAward returns it
+   */
+  async function applyScenario(eventId, userId, assignment) {
+    if (assignment.length === 0) {
+      return { rejection: { status: 409, code: "NOTHING_AWARDED", error: "This scenario does not award any line items" } };
+    }
+
+    return changeAward(eventId, userId, async (client, award) => {
+      const notEditable = checkEditable(award);
+      if (notEditable) return notEditable;
+      if (await hasSealedBids(eventId, client)) {
+        return { status: 409, code: "BIDS_SEALED", error: "Bids are sealed until the tender opening" };
+      }
+
+      await client.query(`DELETE FROM award_lines WHERE award_id = $1`, [award.id]);
+      const lines = assignment.map(a => ({ line_item_id: a.line_item_id, supplier_id: a.supplier_id, share_percent: 100 }));
+      const noBid = await writeLines(client, eventId, award, lines);
+      if (noBid) return noBid;
+      await client.query(
+        `UPDATE awards SET status = 'draft', updated_at = NOW() WHERE id = $1`,
+        [award.id]
+      );
+      return null;
+    });
+  }
+
+  /**
+   * Take a line item out of the award decision
+   * @param {number} eventId - The event ID
+   * @param {number} userId - Manager making the change
+   * @param {number} lineItemId - The line item ID
+   * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ award }`
+   */
+  async function clearLineItem(eventId, userId, lineItemId) {
+    return changeAward(eventId, userId, async (client, award) => {
+      const notEditable = checkEditable(award);
+      if (notEditable) return notEditable;
+      await client.query(
+        `DELETE FROM award_lines WHERE award_id = $1 AND line_item_id = $2`,
+        [award.id, lineItemId]
+      );
+      await client.query(
+        `UPDATE awards SET status = 'draft', updated_at = NOW() WHERE id = $1`,
+        [award.id]
+      );
+      return null;
+    });
+  }
+
+  /**
+   * Send the award decision for approval
+   * @param {number} eventId - The event ID
+   * @param {number} userId - Manager submitting it
+   * @param {string} justification - Why the suppliers were chosen
+   * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ award }`
+   */
+  async function submitAward(eventId, userId, justification) {
+    const text = typeof justification === "string" ? justification.trim() : "";
+    if (!text) {
+      return { rejection: { status: 400, code: "JUSTIFICATION_REQUIRED", error: "A justification is required" } };
+    }
+
+    return changeAward(eventId, userId, async (client, award) => {
+      const notEditable = checkEditable(award);
+      if (notEditable) return notEditable;
+      const lines = await client.query(`SELECT 1 FROM award_lines WHERE award_id = $1 LIMIT 1`, [award.id]);
+      if (lines.rows.length === 0) {
+        return { status: 409, code: "NOTHING_AWARDED", error: "Award at least one line item before submitting" };
+      }
+      await client.query(
+        `UPDATE awards
+         SET status = 'pending_approval', justification = $2, submitted_by = $3, submitted_at = NOW(),
+             decided_by = NULL, decided_at = NULL, decision_note = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [award.id, text, userId]
+      );
+      return null;
+    });
+  }
+
+  /**
+   * Send a submitted award decision back for changes (the submitter may withdraw it this way too)
+   * @param {number} eventId - The event ID
+   * @param {number} userId - Manager rejecting it
+   * @param {string} [note] - Why
+   * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ award }`
+   */
+  async function rejectAward(eventId, userId, note) {
+    return changeAward(eventId, userId, async (client, award) => {
+      if (award.status !== "pending_approval") {
+        return { status: 409, code: "AWARD_NOT_PENDING", error: "The award is not awaiting approval" };
+      }
+      await client.query(
+        `UPDATE awards
+         SET status = 'rejected', decided_by = $2, decided_at = NOW(), decision_note = $3, updated_at = NOW()
+         WHERE id = $1`,
+        [award.id, userId, note || null]
+      );
+      return null;
+    });
+  }
+
+  /**
+   * Approve a submitted award decision and award the event. The approver must be a different
+   * team member from the submitter, and on events that enforce reserve no line may be awarded above it.
+   * Every supplier who bid is then told the outcome, without holding up the response.
+   * @param {number} eventId - The event ID
+   * @param {number} userId - Manager approving it
+   * @param {string} [note] - Approval note
+   * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ award }`
+   */
+  async function approveAward(eventId, userId, note) {
+    let change = null;
+    const result = await changeAward(eventId, userId, async (client, award) => {
+      if (award.status !== "pending_approval") {
+        return { status: 409, code: "AWARD_NOT_PENDING", error: "The award is not awaiting approval" };
+      }
+      if (Number(award.submitted_by) === Number(userId)) {
+        return { status: 403, code: "SELF_APPROVAL", error: "The award must be approved by someone other than who submitted it" };
+      }
+      const reserveRejection = await checkAwardReserve(eventId, award.id, client);
+      if (reserveRejection) return reserveRejection;
+
+      await client.query(
+        `UPDATE awards
+         SET status = 'approved', decided_by = $2, decided_at = NOW(), decision_note = $3, updated_at = NOW()
+         WHERE id = $1`,
+        [award.id, userId, note || null]
+      );
+      change = await transitionEvent(eventId, "awarded", {
+        io,
+        userId,
+        reason: "Award approved",
+        from: ["closed"],
+        db: client,
+      });
+      return null;
+    });
+
+    if (result.rejection) return result;
+    announceTransition(change, io);
+    // The award stands once committed: suppliers are told in the background, not within the request
+    notifySuppliers(eventId)
+      .catch(err => console.error(`Error notifying suppliers of the award for event ${eventId}:`, err));
+    return result;
+  }
+
+  // Tell every supplier who bid whether they won, in the app and by email
+  async function notifySuppliers(eventId) {
+    const eventRes = await pool.query(`SELECT title, currency FROM events WHERE id = $1`, [eventId]);
+    const event = eventRes.rows[0];
+    const suppliers = await pool.query(
+      `SELECT DISTINCT u.id, u.email, u.first_name
+       FROM bids b
+       JOIN users u ON u.id = b.user_id
+       WHERE b.event_id = $1`,
+      [eventId]
+    );
+
+    const transporter = nodemailer.createTransport({
+      service: "gmail",
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+      },
+    });
+
+    for (const supplier of suppliers.rows) {
+      const outcome = await getSupplierAward(eventId, supplier.id);
+      io.to(userRoom(supplier.id)).emit("award_decision", { event_id: Number(eventId), ...outcome });
+
+      const rows = outcome.line_items.map(li => `
+        <tr>
+          <td>${escapeHtml(li.item_number)} ${escapeHtml(li.item_name)}</td>
+          <td style="text-align: right;">${Number(li.share_percent)}%</td>
+          <td style="text-align: right;">${escapeHtml(event.currency)} ${Number(li.awarded_value).toFixed(2)}</td>
+        </tr>`).join("");
+      try {
+        await transporter.sendMail({
+          from: process.env.EMAIL_USER,
+          to: supplier.email,
+          subject: `${outcome.awarded ? "Award notification" : "Outcome"}: ${event.title}`,
+          html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+              <h2 style="color: #0078d4;">${escapeHtml(event.title)}</h2>
+              <p>Hello ${escapeHtml(supplier.first_name)},</p>
+              ${outcome.awarded
+                ? `<p>We are pleased to tell you that you have been awarded the following:</p>
+                   <table style="width: 100%; border-collapse: collapse;">
+                     <tr><th style="text-align: left;">Line item</th><th style="text-align: right;">Share</th><th style="text-align: right;">Value</th></tr>
+                     ${rows}
+                   </table>`
+                : `<p>Thank you for taking part. On this occasion you have not been awarded any business.</p>`}
+            </div>
+          `,
+        });
+      } catch (err) {
+        console.error(`Failed to email award outcome to user ${supplier.id}:`, err.message);
+      }
+    }
+
+    await pool.query(`UPDATE awards SET notified_at = NOW() WHERE event_id = $1`, [eventId]);
+  }
+
+  return {
+    awardLineItems,
+    applyScenario,
+    clearLineItem,
+    submitAward,
+    rejectAward,
+    approveAward,
+  };
+};
+
+module.exports.AWARD_STATUSES = AWARD_STATUSES;
+module.exports.parseSplits = parseSplits;
+module.exports.getAward = getAward;
+module.exports.getSupplierAward = getSupplierAward;
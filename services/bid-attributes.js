@@ -0,0 +1,256 @@
+// services/bid-attributes.js
+const pool = require("../db/pool");
+const { recordAudit } = require("./audit-log");
+
+// Multi-attribute scoring. A line item with attributes (delivery lead time, payment terms,
+// warranty...) ranks bids by a score out of 100 instead of by price:
+//   score = (price_weight × price score + Σ weight × attribute score) / (price_weight + Σ weight)
+// Each part is normalised to 0-100 between its min and max, lower or higher being better;
+// price is always lower-is-better and uses the latest bids' spread when the buyer sets no bounds.
+// SQL uses bid_score() (db/migrations.js). Lot total bidding still ranks on price alone.
+
+// Which end of an attribute's range is better
+const DIRECTIONS = ["lower", "higher"];
+const DEFAULT_PRICE_WEIGHT = 100;
+
+function isNumber(value) {
+  return value !== null && value !== undefined && value !== "" && Number.isFinite(Number(value));
+}
+
+/**
+ * Validate a line item's scoring formula as sent by the buyer
+ * @param {object} body - `{ price_weight, price_min, price_max, attributes: [{ id?, name, unit, weight, direction, min_value, max_value, required }] }`
+ * @returns {object} - `{ error }` or `{ scoring }` with numbers and defaults filled in
+ */
+function parseScoring(body) {
+  const priceWeight = isNumber(body.price_weight) ? Number(body.price_weight) : DEFAULT_PRICE_WEIGHT;
+  if (priceWeight < 0) return { error: "price_weight must be 0 or more" };
+
+  const hasMin = isNumber(body.price_min);
+  const hasMax = isNumber(body.price_max);
+  if (hasMin !== hasMax) return { error: "price_min and price_max must be set together" };
+  if (hasMin && Number(body.price_max) <= Number(body.price_min)) {
+    return { error: "price_max must be greater than price_min" };
+  }
+
+  const attributes = [];
+  for (const attr of body.attributes || []) {
+    const name = typeof attr.name === "string" ? attr.name.trim() : "";
+    if (!name) return { error: "Every attribute needs a name" };
+    if (!isNumber(attr.min_value) || !isNumber(attr.max_value) || Number(attr.max_value) <= Number(attr.min_value)) {
+      return { error: `${name}: max_value must be greater than min_value` };
+    }
+    const weight = isNumber(attr.weight) ? Number(attr.weight) : 0;
+    if (weight < 0) return { error: `${name}: weight must be 0 or more` };
+    const direction = attr.direction || "lower";
+    if (!DIRECTIONS.includes(direction)) {
+      return { error: `${name}: direction must be one of ${DIRECTIONS.join(", ")}` };
+    }
+    attributes.push({
+      id: attr.id ? Number(attr.id) : null,
+      name,
+      unit: attr.unit || null,
+      weight,
+      direction,
+      min_value: Number(attr.min_value),
+      max_value: Number(attr.max_value),
+      required: attr.required !== false,
+    });
+  }
+
+  return {
+    scoring: {
+      price_weight: priceWeight,
+      price_min: hasMin ? Number(body.price_min) : null,
+      price_max: hasMax ? Number(body.price_max) : null,
+      attributes,
+    },
+  };
+}
+
+/**
+ * A line item's scoring formula
+ * @param {number} lineItemId - The line item ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object|null>} - `{ line_item_id, price_weight, price_min, price_max, attributes }`, or null if there is no such line item
+ */
+async function getScoring(lineItemId, db = pool) {
+  const lineItem = await db.query(
+    `SELECT id, price_weight, price_min, price_max FROM line_items WHERE id = $1`,
+    [lineItemId]
+  );
+  if (lineItem.rows.length === 0) return null;
+
+  const attributes = await getLineItemAttributes([lineItemId], db);
+  const { id, ...formula } = lineItem.rows[0];
+  return { line_item_id: id, ...formula, attributes: attributes.get(id) || [] };
+}
+
+/**
+ * Replace a line item's scoring formula. Attributes sent with an id are updated, the rest are
+ * added, and any not sent are removed (values already bid for them are then ignored).
+ * @param {number} lineItemId - The line item ID
+ * @param {object} scoring - From parseScoring
+ * @param {object} [audit] - `{ eventId, actor }` to record the change on the event's audit trail
+ * @returns {Promise<object|null>} - The saved formula as getScoring returns it
+ */
+async function saveScoring(lineItemId, scoring, audit = null) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const before = audit ? await getScoring(lineItemId, client) : null;
+    const updated = await client.query(
+      `UPDATE line_items SET price_weight = $1, price_min = $2, price_max = $3 WHERE id = $4 RETURNING id`,
+      [scoring.price_weight, scoring.price_min, scoring.price_max, lineItemId]
+    );
+    if (updated.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const kept = scoring.attributes.filter(a => a.id).map(a => a.id);
+    await client.query(
+      `DELETE FROM line_item_attributes WHERE line_item_id = $1 AND id <> ALL($2::int[])`,
+      [lineItemId, kept]
+    );
+    for (const a of scoring.attributes) {
+      const values = [a.name, a.unit, a.weight, a.direction, a.min_value, a.max_value, a.required, lineItemId];
+      if (a.id) {
+        await client.query(
+          `UPDATE line_item_attributes
+           SET name = $1, unit = $2, weight = $3, direction = $4, min_value = $5, max_value = $6, required = $7
+           WHERE line_item_id = $8 AND id = $9`,
+          [...values, a.id]
+        );
+      } else {
+        await client.query(
+          `INSERT INTO line_item_attributes (name, unit, weight, direction, min_value, max_value, required, line_item_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          values
+        );
+      }
+    }
+    if (audit) {
+      await recordAudit(client, {
+        eventId: audit.eventId,
+        actor: audit.actor,
+        action: "line_item.scoring_updated",
+        entityType: "line_item",
+        entityId: lineItemId,
+        before,
+        after: await getScoring(lineItemId, client),
+      });
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+  return getScoring(lineItemId);
+}
+
+/**
+ * The attributes of several line items
+ * @param {Array<number>} lineItemIds - Line item IDs
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Map<number, Array<object>>>} - line_item_id -> attributes (only line items that have some)
+ */
+async function getLineItemAttributes(lineItemIds, db = pool) {
+  const ids = [...new Set(lineItemIds.filter(Boolean).map(Number))];
+  if (ids.length === 0) return new Map();
+
+  const result = await db.query(
+    `SELECT id, line_item_id, name, unit, weight, direction, min_value, max_value, required
+     FROM line_item_attributes
+     WHERE line_item_id = ANY($1::int[])
+     ORDER BY line_item_id, id`,
+    [ids]
+  );
+  const attributes = new Map();
+  for (const row of result.rows) {
+    if (!attributes.has(row.line_item_id)) attributes.set(row.line_item_id, []);
+    attributes.get(row.line_item_id).push(row);
+  }
+  return attributes;
+}
+
+/**
+ * Check the attribute values sent with a batch of bids. A value left out is carried over from
+ * the bidder's previous bid on the line item, so a price-only rebid keeps its terms.
+ * @param {number} eventId - The event ID
+ * @param {number} userId - The bidder's user ID
+ * @param {Array<object>} bids - The batch, `[{ line_item_id, amount, attributes: { [attribute_id]: value } }]`
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object>} - `{ rejections, values }`: one rejection per missing or invalid value, and line_item_id -> values to store
+ */
+async function checkAttributes(eventId, userId, bids, db = pool) {
+  const lineItemIds = bids.map(b => Number(b.line_item_id)).filter(Boolean);
+  const attributes = await getLineItemAttributes(lineItemIds, db);
+  const rejections = [];
+  const values = new Map();
+  const changed = new Set();
+  if (attributes.size === 0) return { rejections, values, changed };
+
+  const previous = await db.query(
+    `SELECT DISTINCT ON (line_item_id) line_item_id, attributes
+     FROM bids
+     WHERE event_id = $1 AND user_id = $2 AND line_item_id = ANY($3::int[])
+     ORDER BY line_item_id, created_at DESC, id DESC`,
+    [eventId, userId, [...attributes.keys()]]
+  );
+  const previousValues = new Map(previous.rows.map(r => [r.line_item_id, r.attributes || {}]));
+
+  for (const bid of bids) {
+    const lineItemId = Number(bid.line_item_id);
+    const defs = attributes.get(lineItemId);
+    if (!defs) continue;
+
+    const submitted = bid.attributes && typeof bid.attributes === "object" ? bid.attributes : {};
+    const carried = previousValues.get(lineItemId) || {};
+    const stored = {};
+    for (const def of defs) {
+      const given = submitted[def.id];
+      const isGiven = given !== undefined && given !== null && given !== "";
+      if (isGiven && !isNumber(given)) {
+        rejections.push({
+          status: 400,
+          code: "INVALID_ATTRIBUTE",
+          error: `${def.name} must be a number`,
+          line_item_id: lineItemId,
+          attribute_id: def.id,
+        });
+        continue;
+      }
+      const raw = isGiven ? given : carried[def.id];
+      if (!isNumber(raw)) {
+        if (def.required) {
+          rejections.push({
+            status: 400,
+            code: "ATTRIBUTE_REQUIRED",
+            error: `${def.name} is required with this bid`,
+            line_item_id: lineItemId,
+            attribute_id: def.id,
+          });
+        }
+        continue;
+      }
+      stored[def.id] = Number(raw);
+    }
+    values.set(lineItemId, stored);
+    if (previousValues.has(lineItemId) && defs.some(def => stored[def.id] !== undefined && Number(carried[def.id]) !== stored[def.id])) {
+      changed.add(lineItemId);
+    }
+  }
+  return { rejections, values, changed };
+}
+
+module.exports = {
+  DIRECTIONS,
+  parseScoring,
+  getScoring,
+  saveScoring,
+  getLineItemAttributes,
+  checkAttributes,
+};
@@ -0,0 +1,134 @@
+// services/bid-broadcast.js
+const pool = require("../db/pool");
+const { shouldMaskBidders, getBidderAliases, maskBid } = require("./bidder-masking");
+const { hasSealedBids } = require("./sealed-tender");
+
+// Rooms: everyone on the event, the event's manager team, and each user
+const eventRoom = (eventId) => `event_${eventId}`;
+const managersRoom = (eventId) => `event_${eventId}_managers`;
+const userRoom = (userId) => `user_${userId}`;
+
+// Bid data never goes to the whole event room. Managers get full or masked bids,
+// the bidder gets their own, and other bidders only learn that a line item moved.
+module.exports = (io) => {
+  // Managers see aliases on sealed events until the bidders are revealed
+  async function forManagers(eventId) {
+    const result = await pool.query(
+      `SELECT type, reveal_bidders FROM events WHERE id = $1`,
+      [eventId]
+    );
+    if (!shouldMaskBidders(result.rows[0])) {
+      return (payload) => payload;
+    }
+    const aliases = await getBidderAliases(eventId);
+    return (payload) => maskBid(payload, aliases.get(payload.user_id) || "Company");
+  }
+
+  // Evaluated prices are for managers only, so they are looked up here rather than carried on the bids
+  async function evaluateBids(bids) {
+    const ids = bids.filter(b => b.id && b.amount !== null && b.amount !== undefined).map(b => b.id);
+    if (ids.length === 0) return new Map();
+    const result = await pool.query(
+      `SELECT id, evaluated_price(amount, event_id, line_item_id, user_id) AS evaluated_amount
+       FROM bids WHERE id = ANY($1::int[])`,
+      [ids]
+    );
+    return new Map(result.rows.map(r => [r.id, r.evaluated_amount]));
+  }
+
+  // Tell bidders (not managers, who get the full update) that a line item changed
+  function emitLineItemActivity(eventId, lineItemId) {
+    io.to(eventRoom(eventId)).except(managersRoom(eventId)).emit("bid_update", {
+      event_id: Number(eventId),
+      line_item_id: lineItemId,
+    });
+  }
+
+  /**
+   * Broadcast newly placed bids to each audience; managers also get the evaluated price
+   * @param {number} eventId - The event ID
+   * @param {number} userId - The bidder who placed them
+   * @param {Array<object>} bids - Placed bids with user fields and the bidder's feedback
+   */
+  async function emitBidsPlaced(eventId, userId, bids) {
+    const mask = await forManagers(eventId);
+    const evaluated = await evaluateBids(bids);
+    for (const bid of bids) {
+      io.to(userRoom(userId)).emit("own_bid_update", bid);
+
+      // A sealed tender bid is only acknowledged to managers: no amount, no bidder
+      if (bid.tender_round_id) {
+        io.to(managersRoom(eventId)).emit("sealed_bid_received", {
+          event_id: Number(eventId),
+          line_item_id: bid.line_item_id,
+        });
+        continue;
+      }
+
+      const { feedback, ...update } = bid;
+      update.evaluated_amount = evaluated.get(bid.id) ?? null;
+      io.to(managersRoom(eventId)).emit("bid_update", mask(update));
+      emitLineItemActivity(eventId, bid.line_item_id);
+    }
+  }
+
+  /**
+   * Broadcast a bidder's new total to the bidder, and to managers unless bids are sealed.
+   * Managers get the evaluated and the raw total; the bidder only their raw total.
+   * @param {number} eventId - The event ID
+   * @param {object} totalUpdate - `{ user_id, user_name, total, raw_total }`
+   */
+  async function emitBidderTotal(eventId, totalUpdate) {
+    if (!(await hasSealedBids(eventId))) {
+      const mask = await forManagers(eventId);
+      io.to(managersRoom(eventId)).emit("bidder_total_update", mask(totalUpdate));
+    }
+    io.to(userRoom(totalUpdate.user_id)).emit("own_total_update", {
+      event_id: Number(eventId),
+      total: totalUpdate.raw_total,
+    });
+  }
+
+  /**
+   * Broadcast a manager's edit or deletion of a bid
+   * @param {number} eventId - The event ID
+   * @param {string} eventName - "bid_updated" or "bid_deleted"
+   * @param {object} bid - `{ id, user_id, line_item_id }` of the changed bid
+   * @param {object} payload - What managers and the bid's owner receive
+   */
+  function emitBidChanged(eventId, eventName, bid, payload) {
+    io.to(managersRoom(eventId)).emit(eventName, payload);
+    io.to(userRoom(bid.user_id)).emit(eventName, { ...payload, event_id: Number(eventId) });
+    emitLineItemActivity(eventId, bid.line_item_id);
+  }
+
+  /**
+   * Announce line items that have just met reserve: always to managers, and to bidders
+   * when the event broadcasts it (events.reserve_broadcast). The reserve value itself is not sent.
+   * @param {number} eventId - The event ID
+   * @param {Array<object>} lineItems - `[{ line_item_id, reserve_met_at }]` from markReserveMet
+   */
+  async function emitReserveMet(eventId, lineItems) {
+    if (lineItems.length === 0) return;
+    const result = await pool.query(`SELECT reserve_broadcast FROM events WHERE id = $1`, [eventId]);
+    const toBidders = Boolean(result.rows[0] && result.rows[0].reserve_broadcast);
+    for (const { line_item_id, reserve_met_at } of lineItems) {
+      const payload = { event_id: Number(eventId), line_item_id, reserve_met_at };
+      io.to(managersRoom(eventId)).emit("reserve_met", payload);
+      if (toBidders) {
+        io.to(eventRoom(eventId)).except(managersRoom(eventId)).emit("reserve_met", payload);
+      }
+    }
+  }
+
+  return {
+    emitBidsPlaced,
+    emitBidderTotal,
+    emitBidChanged,
+    emitReserveMet,
+  };
+};
+
+module.exports.eventRoom = eventRoom;
+module.exports.managersRoom = managersRoom;
+module.exports.userRoom = userRoom;
@@ -0,0 +1,167 @@
+// services/bid-eligibility.js
+const pool = require("../db/pool");
+const { FINISHED_STATUSES } = require("./event-lifecycle");
+
+/**
+ * Decide whether a user may bid on an event right now.
+ * This is the single check every bid entry point (REST and socket) goes through.
+ * @param {number} eventId - The event ID
+ * @param {number} userId - The bidder's user ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object|null>} - Rejection `{ status, code, error }` or null if bidding is allowed
+ */
+async function checkCanBid(eventId, userId, db = pool) {
+  const result = await db.query(
+    `SELECT e.status,
+            e.auction_time,
+            COALESCE(e.auction_end_time, e.auction_time + e.auction_duration) AS effective_end_time,
+            EXISTS (
+              SELECT 1 FROM event_members em
+              WHERE em.event_id = e.id AND em.user_id = $2 AND em.role = 'bidder'
+            ) AS is_bidder
+     FROM events e
+     WHERE e.id = $1`,
+    [eventId, userId]
+  );
+
+  const event = result.rows[0];
+  if (!event) {
+    return { status: 404, code: "EVENT_NOT_FOUND", error: "Event not found" };
+  }
+
+  if (!event.is_bidder) {
+    return { status: 403, code: "NOT_INVITED", error: "You are not invited to bid on this event" };
+  }
+
+  if (FINISHED_STATUSES.includes(event.status)) {
+    return { status: 409, code: "AUCTION_CLOSED", error: "The auction has closed" };
+  }
+
+  if (event.status === "paused") {
+    return { status: 409, code: "AUCTION_PAUSED", error: "The auction is paused" };
+  }
+
+  const now = new Date();
+  if (event.status !== "live" || !event.auction_time || new Date(event.auction_time) > now) {
+    return { status: 409, code: "AUCTION_NOT_STARTED", error: "The auction has not started yet" };
+  }
+
+  // The end time is checked too so a bid can't slip in before the timer closes the event
+  if (event.effective_end_time && new Date(event.effective_end_time) <= now) {
+    return { status: 409, code: "AUCTION_CLOSED", error: "The auction has closed" };
+  }
+
+  return null;
+}
+
+/**
+ * Check that a user is an invited bidder on an event (event_members role 'bidder')
+ * @param {number} eventId - The event ID
+ * @param {number} userId - The user ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object|null>} - Rejection `{ status, code, error }` or null if invited
+ */
+async function checkEventBidder(eventId, userId, db = pool) {
+  const result = await db.query(
+    `SELECT 1 FROM event_members
+     WHERE event_id = $1 AND user_id = $2 AND role = 'bidder'`,
+    [eventId, userId]
+  );
+  if (result.rows.length === 0) {
+    return { status: 403, code: "NOT_INVITED", error: "You are not invited to bid on this event" };
+  }
+  return null;
+}
+
+/**
+ * Check that every line item belongs to the event and is assigned to the bidder
+ * @param {number} eventId - The event ID
+ * @param {number} userId - The bidder's user ID
+ * @param {Array<number>} lineItemIds - Line items the bidder wants to bid on or view
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Array<object>>} - One rejection per line item that is not assigned (empty if all are)
+ */
+async function checkLineItemAssignments(eventId, userId, lineItemIds, db = pool) {
+  const ids = [...new Set(lineItemIds.filter(Boolean).map(Number))];
+  if (ids.length === 0) return [];
+
+  const result = await db.query(
+    `SELECT bia.line_item_id
+     FROM bidder_item_assignments bia
+     JOIN line_items li ON li.id = bia.line_item_id
+     JOIN lots l ON li.lot_id = l.id
+     WHERE bia.user_id = $1 AND l.event_id = $2 AND bia.line_item_id = ANY($3::int[])`,
+    [userId, eventId, ids]
+  );
+  const assigned = new Set(result.rows.map(r => r.line_item_id));
+
+  return ids
+    .filter(id => !assigned.has(id))
+    .map(id => ({
+      status: 403,
+      code: "LINE_ITEM_NOT_ASSIGNED",
+      error: "You are not assigned to this line item",
+      line_item_id: id,
+    }));
+}
+
+/**
+ * Check that the lot of every line item, and the line item itself, is open. Only staggered
+ * events and lot or line item soft close give lots and line items their own window;
+ * otherwise the event window checked by checkCanBid applies.
+ * @param {number} eventId - The event ID
+ * @param {Array<number>} lineItemIds - Line items the bidder wants to bid on
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Array<object>>} - One rejection per line item whose lot is not open (empty if all are)
+ */
+async function checkLotWindows(eventId, lineItemIds, db = pool) {
+  const ids = [...new Set(lineItemIds.filter(Boolean).map(Number))];
+  if (ids.length === 0) return [];
+
+  const result = await db.query(
+    `SELECT li.id AS line_item_id, l.id AS lot_id, l.start_time, l.end_time, li.end_time AS item_end_time
+     FROM line_items li
+     JOIN lots l ON li.lot_id = l.id
+     WHERE l.event_id = $1 AND li.id = ANY($2::int[])
+       AND (l.end_time IS NOT NULL OR li.end_time IS NOT NULL)`,
+    [eventId, ids]
+  );
+
+  const now = new Date();
+  const rejections = [];
+  for (const row of result.rows) {
+    if (row.start_time && new Date(row.start_time) > now) {
+      rejections.push({
+        status: 409,
+        code: "LOT_NOT_STARTED",
+        error: "Bidding on this lot has not started yet",
+        line_item_id: row.line_item_id,
+        lot_id: row.lot_id,
+      });
+    } else if (row.item_end_time && new Date(row.item_end_time) <= now) {
+      rejections.push({
+        status: 409,
+        code: "LINE_ITEM_CLOSED",
+        error: "Bidding on this line item has closed",
+        line_item_id: row.line_item_id,
+        lot_id: row.lot_id,
+      });
+    } else if (row.end_time && new Date(row.end_time) <= now) {
+      rejections.push({
+        status: 409,
+        code: "LOT_CLOSED",
+        error: "This lot has closed",
+        line_item_id: row.line_item_id,
+        lot_id: row.lot_id,
+      });
+    }
+  }
+  return rejections;
+}
+
+module.exports = {
+  checkCanBid,
+  checkEventBidder,
+  checkLineItemAssignments,
+  checkLotWindows,
+};
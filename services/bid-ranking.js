@@ -0,0 +1,266 @@
+// services/bid-ranking.js
+const pool = require("../db/pool");
+
+// Bidders without a bid yet are ranked against this when they have no opening bid either
+const NO_BID_AMOUNT = 999999999;
+
+// Latest bid per bidder and line item ($1 event, `lineItemFilter` picks the line items) with its
+// evaluated price and, on line items scored on attributes, its score (see services/bid-attributes.js).
+// Price scores against the spread of these latest bids unless the buyer set price bounds.
+const scoredLatest = (lineItemFilter) => `
+  latest AS (
+    SELECT DISTINCT ON (line_item_id, user_id) id, line_item_id, user_id, amount, attributes, created_at,
+           evaluated_price(amount, event_id, line_item_id, user_id) AS evaluated_amount
+    FROM bids
+    WHERE event_id = $1 AND ${lineItemFilter}
+    ORDER BY line_item_id, user_id, created_at DESC, id DESC
+  ),
+  scored AS (
+    SELECT latest.*,
+           bid_score(line_item_id, evaluated_amount, attributes,
+                     MIN(evaluated_amount) OVER (PARTITION BY line_item_id),
+                     MAX(evaluated_amount) OVER (PARTITION BY line_item_id)) AS score
+    FROM latest
+  )`;
+
+// Best first: highest score where the line item is scored, otherwise lowest evaluated price;
+// on a tie the bid placed first keeps the better rank
+const RANK_ORDER = `score DESC NULLS LAST, evaluated_amount ASC, id ASC`;
+
+/**
+ * Rank every bidder on a line item by their latest bid: on evaluated price (see services/bid-transform.js),
+ * or on score where the line item has attributes.
+ * @param {number} eventId - The event ID
+ * @param {number} lineItemId - The line item ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Array<object>>} - `[{ user_id, bid_id, amount, evaluated_amount, score, created_at, rank }]` best first (score is null on unscored line items)
+ */
+async function getLineItemRanking(eventId, lineItemId, db = pool) {
+  const result = await db.query(
+    `WITH ${scoredLatest("line_item_id = $2")}
+     SELECT user_id, id AS bid_id, amount, evaluated_amount, score, created_at,
+            ROW_NUMBER() OVER (ORDER BY ${RANK_ORDER})::int AS rank
+     FROM scored
+     ORDER BY rank`,
+    [eventId, lineItemId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get one bidder's rank on several line items in a single query.
+ * A bidder who has not bid yet is ranked by their (evaluated) opening bid, behind anyone already at or below it;
+ * on a scored line item, behind everyone who has bid.
+ * @param {number} eventId - The event ID
+ * @param {number} userId - The bidder's user ID
+ * @param {Array<number>} lineItemIds - Line items to rank
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Map<number, number>>} - line_item_id -> rank
+ */
+async function getBidderRanks(eventId, userId, lineItemIds, db = pool) {
+  const ids = [...new Set(lineItemIds.filter(Boolean).map(Number))];
+  if (ids.length === 0) return new Map();
+
+  const result = await db.query(
+    `WITH ${scoredLatest("line_item_id = ANY($3::int[])")},
+     ranked AS (
+       SELECT line_item_id, user_id,
+              ROW_NUMBER() OVER (PARTITION BY line_item_id ORDER BY ${RANK_ORDER})::int AS rank
+       FROM scored
+     )
+     SELECT li.id AS line_item_id,
+            COALESCE(r.rank, (
+              SELECT COUNT(*)::int + 1 FROM scored s
+              WHERE s.line_item_id = li.id
+                AND (s.score IS NOT NULL
+                  OR s.evaluated_amount <= COALESCE(evaluated_price(slis.opening_bid, $1, li.id, $2), $4))
+            )) AS rank
+     FROM unnest($3::int[]) AS li(id)
+     LEFT JOIN ranked r ON r.line_item_id = li.id AND r.user_id = $2
+     LEFT JOIN supplier_line_item_settings slis
+       ON slis.event_id = $1 AND slis.line_item_id = li.id AND slis.supplier_id = $2`,
+    [eventId, userId, ids, NO_BID_AMOUNT]
+  );
+
+  return new Map(result.rows.map(r => [r.line_item_id, r.rank]));
+}
+
+/**
+ * The best-ranked bidders on several line items, in rank order
+ * @param {number} eventId - The event ID
+ * @param {Array<number>} lineItemIds - Line items to rank
+ * @param {number} depth - How many ranks to return per line item
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Map<number, Array<number>>>} - line_item_id -> user IDs, best first (at most `depth`)
+ */
+async function getTopBidders(eventId, lineItemIds, depth, db = pool) {
+  const ids = [...new Set(lineItemIds.filter(Boolean).map(Number))];
+  const top = new Map(ids.map(id => [id, []]));
+  if (ids.length === 0) return top;
+
+  const result = await db.query(
+    `WITH ${scoredLatest("line_item_id = ANY($2::int[])")},
+     ranked AS (
+       SELECT line_item_id, user_id,
+              ROW_NUMBER() OVER (PARTITION BY line_item_id ORDER BY ${RANK_ORDER})::int AS rank
+       FROM scored
+     )
+     SELECT line_item_id, user_id FROM ranked
+     WHERE rank <= $3
+     ORDER BY line_item_id, rank`,
+    [eventId, ids, depth]
+  );
+  for (const row of result.rows) top.get(row.line_item_id).push(row.user_id);
+  return top;
+}
+
+/**
+ * Where a bid would rank against everyone else's latest bid on its line item (for bid history)
+ * @param {number} eventId - The event ID
+ * @param {object} bid - `{ user_id, line_item_id, amount, attributes }`
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<number>} - The rank
+ */
+async function rankBidAgainstLatest(eventId, bid, db = pool) {
+  const result = await db.query(
+    `WITH latest AS (
+       SELECT DISTINCT ON (user_id) id, user_id, attributes,
+              evaluated_price(amount, event_id, line_item_id, user_id) AS evaluated_amount
+       FROM bids
+       WHERE event_id = $1 AND line_item_id = $2 AND user_id <> $3
+       ORDER BY user_id, created_at DESC, id DESC
+     ),
+     field AS (
+       SELECT id, attributes, evaluated_amount FROM latest
+       UNION ALL
+       SELECT NULL, $5::jsonb, evaluated_price($4, $1, $2, $3)
+     ),
+     scored AS (
+       SELECT field.*,
+              bid_score($2, evaluated_amount, attributes,
+                        MIN(evaluated_amount) OVER (), MAX(evaluated_amount) OVER ()) AS score
+       FROM field
+     )
+     SELECT COUNT(*)::int + 1 AS rank
+     FROM scored other, scored mine
+     WHERE mine.id IS NULL AND other.id IS NOT NULL
+       AND CASE WHEN mine.score IS NULL THEN other.evaluated_amount < mine.evaluated_amount
+                ELSE other.score > mine.score END`,
+    [eventId, bid.line_item_id, bid.user_id, bid.amount, bid.attributes ? JSON.stringify(bid.attributes) : null]
+  );
+  return result.rows[0].rank;
+}
+
+// Lot totals ($1 event, $2 lot IDs): each bidder's latest evaluated prices × ext_quantity (1 if unset),
+// the figure bidder_total_update shows managers, summed per lot. Only bidders who have priced every
+// required line item assigned to them are ranked; on a tie the total completed first ranks better.
+const RANKED_LOT_TOTALS = `
+  WITH latest AS (
+    SELECT DISTINCT ON (b.line_item_id, b.user_id) b.id, b.line_item_id, b.user_id, b.amount
+    FROM bids b
+    JOIN line_items li ON li.id = b.line_item_id
+    WHERE b.event_id = $1 AND li.lot_id = ANY($2::int[])
+    ORDER BY b.line_item_id, b.user_id, b.created_at DESC, b.id DESC
+  ),
+  totals AS (
+    SELECT li.lot_id, latest.user_id,
+           SUM(evaluated_price(latest.amount, $1, latest.line_item_id, latest.user_id) * COALESCE(li.ext_quantity, 1)) AS total,
+           MAX(latest.id) AS last_bid_id,
+           COUNT(*) FILTER (WHERE li.required IS TRUE) AS required_priced
+    FROM latest
+    JOIN line_items li ON li.id = latest.line_item_id
+    GROUP BY li.lot_id, latest.user_id
+  ),
+  required AS (
+    SELECT li.lot_id, bia.user_id, COUNT(*) AS n
+    FROM bidder_item_assignments bia
+    JOIN line_items li ON li.id = bia.line_item_id
+    WHERE li.lot_id = ANY($2::int[]) AND li.required IS TRUE
+    GROUP BY li.lot_id, bia.user_id
+  ),
+  ranked AS (
+    SELECT t.lot_id, t.user_id, t.total,
+           ROW_NUMBER() OVER (PARTITION BY t.lot_id ORDER BY t.total ASC, t.last_bid_id ASC)::int AS rank
+    FROM totals t
+    LEFT JOIN required r ON r.lot_id = t.lot_id AND r.user_id = t.user_id
+    WHERE t.required_priced >= COALESCE(r.n, 0)
+  )`;
+
+/**
+ * Rank every bidder on a lot by their lot total (lot total bidding)
+ * @param {number} eventId - The event ID
+ * @param {number} lotId - The lot ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Array<object>>} - `[{ user_id, total, rank }]` best first
+ */
+async function getLotRanking(eventId, lotId, db = pool) {
+  const result = await db.query(
+    `${RANKED_LOT_TOTALS}
+     SELECT user_id, total, rank FROM ranked ORDER BY rank`,
+    [eventId, [Number(lotId)]]
+  );
+  return result.rows;
+}
+
+/**
+ * Get one bidder's rank and total on several lots, with the best total on each
+ * @param {number} eventId - The event ID
+ * @param {number} userId - The bidder's user ID
+ * @param {Array<number>} lotIds - Lots to rank
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Map<number, object>>} - lot_id -> `{ rank, total, best_total }`; rank and total are null until the bidder's lot is complete
+ */
+async function getBidderLotRanks(eventId, userId, lotIds, db = pool) {
+  const ids = [...new Set(lotIds.filter(Boolean).map(Number))];
+  if (ids.length === 0) return new Map();
+
+  const result = await db.query(
+    `${RANKED_LOT_TOTALS}
+     SELECT lot.id AS lot_id, mine.rank, mine.total,
+            (SELECT MIN(total) FROM ranked r WHERE r.lot_id = lot.id) AS best_total
+     FROM unnest($2::int[]) AS lot(id)
+     LEFT JOIN ranked mine ON mine.lot_id = lot.id AND mine.user_id = $3`,
+    [eventId, ids, userId]
+  );
+  return new Map(result.rows.map(r => [r.lot_id, {
+    rank: r.rank,
+    total: r.total !== null ? Number(r.total) : null,
+    best_total: r.best_total !== null ? Number(r.best_total) : null,
+  }]));
+}
+
+/**
+ * The best-ranked bidders on several lots by lot total, in rank order
+ * @param {number} eventId - The event ID
+ * @param {Array<number>} lotIds - Lots to rank
+ * @param {number} depth - How many ranks to return per lot
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Map<number, Array<number>>>} - lot_id -> user IDs, best first (at most `depth`)
+ */
+async function getTopLotBidders(eventId, lotIds, depth, db = pool) {
+  const ids = [...new Set(lotIds.filter(Boolean).map(Number))];
+  const top = new Map(ids.map(id => [id, []]));
+  if (ids.length === 0) return top;
+
+  const result = await db.query(
+    `${RANKED_LOT_TOTALS}
+     SELECT lot_id, user_id FROM ranked
+     WHERE rank <= $3
+     ORDER BY lot_id, rank`,
+    [eventId, ids, depth]
+  );
+  for (const row of result.rows) top.get(row.lot_id).push(row.user_id);
+  return top;
+}
+
+module.exports = {
+  scoredLatest,
+  RANK_ORDER,
+  getLineItemRanking,
+  getBidderRanks,
+  getTopBidders,
+  rankBidAgainstLatest,
+  getLotRanking,
+  getBidderLotRanks,
+  getTopLotBidders,
+};
@@ -0,0 +1,199 @@
+// services/bid-rules.js
+const pool = require("../db/pool");
+
+// Small tolerance so 0.1 + 0.2 style float noise never rejects a valid bid
+const EPSILON = 1e-9;
+
+/**
+ * Interpret the free-text `ties` column from the line item sheet.
+ * Empty means ties are allowed; "No", "False", "Not allowed" etc. forbid them.
+ * @param {string|null} ties - Raw ties value
+ * @returns {boolean} - True if a bid may equal another bidder's bid
+ */
+function tiesAllowed(ties) {
+  if (ties === null || typeof ties === "undefined") return true;
+  const value = String(ties).trim().toLowerCase();
+  if (value === "") return true;
+  return !/^(no|n|false|0|not allowed|disallow(ed)?|forbid(den)?|no ties)$/.test(value);
+}
+
+/**
+ * Count the decimal places in a submitted amount, ignoring trailing zeros
+ * @param {number|string} amount - Amount as submitted
+ * @returns {number} - Number of significant decimal places
+ */
+function countDecimals(amount) {
+  let text = typeof amount === "string" ? amount.trim() : String(amount);
+  if (/e/i.test(text)) text = Number(amount).toFixed(20);
+  const match = text.match(/\.(\d*?)0*$/);
+  return match ? match[1].length : 0;
+}
+
+/**
+ * Largest amount that still beats the previous bid by the configured decrement
+ * @param {number} previous - Bidder's previous bid (or opening bid)
+ * @param {object} lineItem - Line item row with decrement and decrement_type
+ * @returns {number} - Maximum acceptable amount
+ */
+function maxAllowedAmount(previous, lineItem) {
+  const decrement = Number(lineItem.decrement) || 0;
+  if (decrement <= 0) return previous;
+  if (lineItem.decrement_type === "percent") {
+    return previous * (1 - decrement / 100);
+  }
+  return previous - decrement;
+}
+
+/**
+ * Validate a bid amount against the line item's bid settings.
+ * Pure function: all data is passed in so it can run inside any transaction.
+ * @param {object} params
+ * @param {object} params.lineItem - Line item row
+ * @param {number|string} params.amount - Submitted amount
+ * @param {number|null} params.previousAmount - Bidder's latest bid or opening bid
+ * @param {number[]} params.competingAmounts - Other bidders' latest bids on this line item
+ * @param {boolean} [params.sealed] - Sealed tender: revisions may go either way and ties are
+ *   not checked, since either rule would tell the bidder something about other bids
+ * @param {boolean} [params.scored] - Line item ranked by score: equal prices are not ties
+ * @param {boolean} [params.attributesChanged] - Scored rebid with new attribute values: it competes on
+ *   score, so it need not beat the previous price by the decrement
+ * @returns {object|null} - Rejection `{ code, error, ... }` or null if the bid is valid
+ */
+function validateBid({ lineItem, amount, previousAmount = null, competingAmounts = [], sealed = false, scored = false, attributesChanged = false }) {
+  const value = Number(amount);
+  const lineItemId = lineItem.id;
+
+  if (amount === null || amount === "" || isNaN(value) || value <= 0) {
+    return { code: "INVALID_AMOUNT", error: "Invalid bid amount", line_item_id: lineItemId };
+  }
+
+  const decimals = lineItem.decimals;
+  if (decimals !== null && typeof decimals !== "undefined" && countDecimals(amount) > Number(decimals)) {
+    return {
+      code: "TOO_MANY_DECIMALS",
+      error: `Bids on this line item allow at most ${decimals} decimal place(s)`,
+      line_item_id: lineItemId,
+      decimals: Number(decimals),
+    };
+  }
+
+  if (lineItem.opening_value !== null && typeof lineItem.opening_value !== "undefined") {
+    const openingValue = Number(lineItem.opening_value);
+    if (value > openingValue + EPSILON) {
+      const rejection = {
+        code: "ABOVE_OPENING_VALUE",
+        error: "Bid exceeds the opening value for this line item",
+        line_item_id: lineItemId,
+      };
+      // The opening value is only disclosed if the buyer made it visible
+      if (lineItem.opening_visible === true) rejection.max_amount = openingValue;
+      return rejection;
+    }
+  }
+
+  if (sealed) return null;
+
+  if (previousAmount !== null && typeof previousAmount !== "undefined" && !(scored && attributesChanged)) {
+    const previous = Number(previousAmount);
+    const maxAmount = maxAllowedAmount(previous, lineItem);
+    if (value > maxAmount + EPSILON) {
+      return {
+        code: "DECREMENT_NOT_MET",
+        error: lineItem.decrement_type === "percent"
+          ? `Bid must be at least ${Number(lineItem.decrement)}% below your previous bid`
+          : `Bid must be at least ${Number(lineItem.decrement) || 0} below your previous bid`,
+        line_item_id: lineItemId,
+        previous_amount: previous,
+        max_amount: maxAmount,
+      };
+    }
+  }
+
+  if (!scored && !tiesAllowed(lineItem.ties)) {
+    const tied = competingAmounts.some(other => Math.abs(Number(other) - value) < EPSILON);
+    if (tied) {
+      return {
+        code: "TIE_NOT_ALLOWED",
+        error: "Another bidder has already bid this amount",
+        line_item_id: lineItemId,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load everything the rules need for one bidder on one line item
+ * @param {number} eventId - The event ID
+ * @param {number} userId - The bidder's user ID
+ * @param {number} lineItemId - The line item ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object|null>} - `{ lineItem, previousAmount, competingAmounts }` or null if the line item is not in this event
+ */
+async function loadBidContext(eventId, userId, lineItemId, db = pool) {
+  const lineItemRes = await db.query(
+    `SELECT li.*
+     FROM line_items li
+     JOIN lots l ON li.lot_id = l.id
+     WHERE li.id = $1 AND l.event_id = $2`,
+    [lineItemId, eventId]
+  );
+  const lineItem = lineItemRes.rows[0];
+  if (!lineItem) return null;
+
+  const previousRes = await db.query(
+    `SELECT COALESCE(
+       (SELECT amount FROM bids
+        WHERE event_id = $1 AND user_id = $2 AND line_item_id = $3
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1),
+       (SELECT opening_bid FROM supplier_line_item_settings
+        WHERE event_id = $1 AND supplier_id = $2 AND line_item_id = $3)
+     ) AS previous_amount`,
+    [eventId, userId, lineItemId]
+  );
+  const previousAmount = previousRes.rows[0]?.previous_amount ?? null;
+
+  const competingRes = await db.query(
+    `SELECT DISTINCT ON (user_id) amount
+     FROM bids
+     WHERE event_id = $1 AND line_item_id = $2 AND user_id <> $3
+     ORDER BY user_id, created_at DESC, id DESC`,
+    [eventId, lineItemId, userId]
+  );
+
+  return {
+    lineItem,
+    previousAmount,
+    competingAmounts: competingRes.rows.map(r => Number(r.amount)),
+  };
+}
+
+/**
+ * Check a single bid against the line item rules, loading state from the database
+ * @param {object} params - `{ eventId, userId, lineItemId, amount, sealed?, scored?, attributesChanged? }`
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object|null>} - Rejection `{ code, error, ... }` or null if the bid is valid
+ */
+async function checkBid({ eventId, userId, lineItemId, amount, sealed = false, scored = false, attributesChanged = false }, db = pool) {
+  if (!lineItemId) {
+    return { code: "LINE_ITEM_REQUIRED", error: "A line item is required for every bid", line_item_id: null };
+  }
+
+  const context = await loadBidContext(eventId, userId, lineItemId, db);
+  if (!context) {
+    return { code: "LINE_ITEM_NOT_FOUND", error: "Line item not found in this event", line_item_id: lineItemId };
+  }
+
+  return validateBid({ ...context, amount, sealed, scored, attributesChanged });
+}
+
+module.exports = {
+  tiesAllowed,
+  countDecimals,
+  maxAllowedAmount,
+  validateBid,
+  loadBidContext,
+  checkBid,
+};
@@ -0,0 +1,506 @@
+// services/bid-service.js
+const crypto = require("crypto");
+const pool = require("../db/pool");
+const { checkBid, loadBidContext, validateBid } = require("./bid-rules");
+const { checkCanBid, checkLineItemAssignments, checkLotWindows } = require("./bid-eligibility");
+const { getBidderFeedback } = require("./bidder-feedback");
+const { checkCanSubmit } = require("./sealed-tender");
+const { getExtensionRules, snapshotRanks, applyExtension } = require("./soft-close");
+const { PROXY_FORMATS, upsertProxyBid, runProxies } = require("./proxy-bids");
+const { checkLotComplete } = require("./lot-bidding");
+const { checkAttributes, getLineItemAttributes } = require("./bid-attributes");
+const { markReserveMet } = require("./reserve");
+
+// Formats where the server sets the price; bids come from the format's own actions
+const SERVER_PRICED_FORMATS = {
+  dutch: "Bids on a Dutch auction are placed by accepting the offered price",
+  japanese: "Bids on a Japanese auction are placed by confirming each round",
+};
+
+async function loadBidder(userId, db = pool) {
+  const result = await db.query(
+    `SELECT u.first_name, u.last_name, u.email, o.name AS organisation_name
+     FROM users u
+     LEFT JOIN organisations o ON u.organisation_id = o.id
+     WHERE u.id=$1`,
+    [userId]
+  );
+  return result.rows[0] || {};
+}
+
+function enrichBid(bid, u) {
+  const display_name =
+    `${(u.first_name || "").trim()} ${(u.last_name || "").trim()}`.trim() ||
+    u.email ||
+    `User ${bid.user_id}`;
+  return {
+    ...bid,
+    display_name,
+    user_name: u.organisation_name || `[NO ORG] ${u.email || bid.user_id}`,
+    organisation_name: u.organisation_name,
+    first_name: u.first_name,
+    last_name: u.last_name,
+    email: u.email
+  };
+}
+
+// Group proxy counter-bids by owner, enriched and with each owner's feedback, ready to announce
+async function collectProxyBids(db, eventId, generated) {
+  const byUser = new Map();
+  for (const bid of generated) {
+    if (!byUser.has(bid.user_id)) byUser.set(bid.user_id, []);
+    byUser.get(bid.user_id).push(bid);
+  }
+
+  const proxied = [];
+  for (const [userId, rows] of byUser) {
+    const bidder = await loadBidder(userId, db);
+    const feedback = await getBidderFeedback(eventId, userId, rows.map(b => b.line_item_id), db);
+    const bids = rows.map(row => ({ ...enrichBid(row, bidder), feedback: feedback.get(row.line_item_id) || null }));
+    proxied.push({ userId, bids, bidder });
+  }
+  return proxied;
+}
+
+// Every bid entry point (REST single, REST bulk, socket) goes through this service,
+// so validation, extensions and broadcasts behave the same whatever the transport.
+module.exports = (io) => {
+  const broadcast = require("./bid-broadcast")(io);
+
+  // Broadcast the bidder's total position across their latest bid on each line item,
+  // evaluated for managers and raw for the bidder
+  async function emitBidderTotal(eventId, userId, u) {
+    const totalRes = await pool.query(
+      `SELECT
+         b.amount,
+         b.line_item_id,
+         li.ext_quantity,
+         evaluated_price(b.amount, b.event_id, b.line_item_id, b.user_id) AS evaluated_amount
+       FROM bids b
+       JOIN line_items li ON li.id = b.line_item_id
+       WHERE b.event_id = $1
+         AND b.user_id = $2
+         AND b.id IN (
+           SELECT MAX(id)
+           FROM bids
+           WHERE event_id = $1 AND user_id = $2
+           GROUP BY line_item_id
+         )`,
+      [eventId, userId]
+    );
+
+    let total = 0;
+    let rawTotal = 0;
+    for (const row of totalRes.rows) {
+      total += Number(row.evaluated_amount) * row.ext_quantity;
+      rawTotal += Number(row.amount) * row.ext_quantity;
+    }
+
+    await broadcast.emitBidderTotal(eventId, {
+      user_id: userId,
+      user_name: u.organisation_name || `[NO ORG] ${u.email || userId}`,
+      total: total,
+      raw_total: rawTotal
+    });
+  }
+
+  function hashBids(bids) {
+    const normalized = bids.map(b => [Number(b.line_item_id), String(b.amount), b.attributes || null]);
+    return crypto.createHash("sha256").update(JSON.stringify(normalized)).digest("hex");
+  }
+
+  // Claim an Idempotency-Key for this request. A concurrent request with the same key
+  // waits on the unique index until the first one commits or rolls back.
+  async function claimIdempotencyKey(db, eventId, userId, key, requestHash) {
+    const claimed = await db.query(
+      `INSERT INTO bid_idempotency_keys (user_id, event_id, idempotency_key, request_hash)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, idempotency_key) DO NOTHING
+       RETURNING id`,
+      [userId, eventId, key, requestHash]
+    );
+    if (claimed.rows.length > 0) {
+      return { id: claimed.rows[0].id };
+    }
+
+    const existing = await db.query(
+      `SELECT event_id, request_hash, response FROM bid_idempotency_keys
+       WHERE user_id = $1 AND idempotency_key = $2`,
+      [userId, key]
+    );
+    const row = existing.rows[0];
+    if (String(row.event_id) !== String(eventId) || row.request_hash !== requestHash) {
+      return {
+        rejection: {
+          status: 422,
+          code: "IDEMPOTENCY_KEY_REUSED",
+          error: "This Idempotency-Key was already used for a different request",
+        },
+      };
+    }
+    return { replay: row.response };
+  }
+
+  // Everything that must see a consistent event and line items: checks, inserts, feedback, extension
+  async function placeBidsInTransaction(db, eventId, userId, bids, idempotencyKey) {
+    // Lock the event so status changes and extensions can't interleave with this placement.
+    // It comes first so an unknown event is a 404, never a key claimed against it.
+    const locked = await db.query(`SELECT type, bidding_mode FROM events WHERE id = $1 FOR UPDATE`, [eventId]);
+    if (locked.rows.length === 0) {
+      return { rejection: { status: 404, code: "EVENT_NOT_FOUND", error: "Event not found" } };
+    }
+    const lotTotal = locked.rows[0].bidding_mode === "lot_total";
+
+    let keyId = null;
+    if (idempotencyKey) {
+      const claim = await claimIdempotencyKey(db, eventId, userId, idempotencyKey, hashBids(bids));
+      if (claim.rejection) return { rejection: claim.rejection };
+      if (claim.replay) return { ...claim.replay, replayed: true };
+      keyId = claim.id;
+    }
+
+    // Check invitation, auction window and pause state
+    const notAllowed = await checkCanBid(eventId, userId, db);
+    if (notAllowed) {
+      return { rejection: notAllowed };
+    }
+
+    // Clock formats set the price themselves; bidders respond to it instead of typing one
+    const serverPriced = SERVER_PRICED_FORMATS[locked.rows[0].type];
+    if (serverPriced) {
+      return {
+        rejection: {
+          status: 409,
+          code: "FORMAT_NOT_SUPPORTED",
+          error: serverPriced,
+        },
+      };
+    }
+
+    // Lock the line items in id order so concurrent batches can't deadlock
+    const lineItemIds = [...new Set(bids.map(b => Number(b.line_item_id)).filter(Boolean))];
+    const sealed = locked.rows[0].type === "sealed";
+    await db.query(
+      `SELECT li.id
+       FROM line_items li
+       JOIN lots l ON li.lot_id = l.id
+       WHERE l.event_id = $1 AND li.id = ANY($2::int[])
+       ORDER BY li.id
+       FOR UPDATE OF li`,
+      [eventId, lineItemIds]
+    );
+
+    // Bidders may only bid on line items assigned to them
+    const unassigned = await checkLineItemAssignments(eventId, userId, lineItemIds, db);
+    if (unassigned.length > 0) {
+      return {
+        rejection: {
+          status: 403,
+          code: "LINE_ITEM_NOT_ASSIGNED",
+          error: "You are not assigned to one or more of these line items",
+          rejections: unassigned.map(({ status, ...rejection }) => rejection),
+        },
+      };
+    }
+
+    // Staggered events: each lot only takes bids inside its own window
+    const closedLots = await checkLotWindows(eventId, lineItemIds, db);
+    if (closedLots.length > 0) {
+      return {
+        rejection: {
+          status: 409,
+          code: "BIDS_REJECTED",
+          error: "One or more lots are not open for bidding",
+          rejections: closedLots.map(({ status, ...rejection }) => rejection),
+        },
+      };
+    }
+
+    // Sealed tenders: the bidder must be shortlisted for the current round, and so must the line items
+    let tenderRoundId = null;
+    if (sealed) {
+      const submission = await checkCanSubmit(eventId, userId, lineItemIds, db);
+      if (submission.rejection) return { rejection: submission.rejection };
+      tenderRoundId = submission.round.id;
+    }
+
+    // Scored line items need a value for each required attribute (carried over from the last bid if left out)
+    const attributes = await checkAttributes(eventId, userId, bids, db);
+
+    // Validate every bid before inserting any (decrement, decimals, opening value, ties).
+    // Scored line items compete on score: a rebid that changes attributes may keep or raise its price.
+    const rejections = [];
+    for (const bid of bids) {
+      const lineItemId = Number(bid.line_item_id);
+      const rejection = await checkBid({
+        eventId,
+        userId,
+        lineItemId: bid.line_item_id,
+        amount: bid.amount,
+        sealed,
+        scored: attributes.values.has(lineItemId),
+        attributesChanged: attributes.changed.has(lineItemId),
+      }, db);
+      if (rejection) rejections.push(rejection);
+    }
+    // Lot total bidding: a lot is bid as a whole, so its required line items must all be priced
+    if (lotTotal) {
+      const incomplete = await checkLotComplete(eventId, userId, bids, db);
+      rejections.push(...incomplete.map(({ status, ...rejection }) => rejection));
+    }
+    rejections.push(...attributes.rejections.map(({ status, ...rejection }) => rejection));
+    if (rejections.length > 0) {
+      return {
+        rejection: {
+          status: 400,
+          code: "BIDS_REJECTED",
+          error: "One or more bids were rejected",
+          rejections,
+        },
+      };
+    }
+
+    // Rank-based extension triggers compare the ranks before and after this batch
+    const rules = sealed ? null : await getExtensionRules(eventId, db);
+    const ranksBefore = await snapshotRanks(rules, eventId, lineItemIds, db);
+
+    const u = await loadBidder(userId, db);
+    const placed = [];
+    for (const { line_item_id, amount } of bids) {
+      const values = attributes.values.get(Number(line_item_id));
+      const result = await db.query(
+        `INSERT INTO bids (event_id, user_id, line_item_id, amount, tender_round_id, attributes)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [eventId, userId, line_item_id, amount, tenderRoundId, values ? JSON.stringify(values) : null]
+      );
+      placed.push(enrichBid(result.rows[0], u));
+    }
+
+    // Other bidders' floors answer the batch straight away, under the same locks
+    const generated = PROXY_FORMATS.includes(locked.rows[0].type) && !lotTotal
+      ? await runProxies(db, eventId, lineItemIds)
+      : [];
+    const proxied = await collectProxyBids(db, eventId, generated);
+
+    // Feedback is read while the line items are still locked, so it is final
+    const feedback = await getBidderFeedback(eventId, userId, lineItemIds, db);
+    for (const bid of placed) {
+      bid.feedback = feedback.get(bid.line_item_id) || null;
+    }
+
+    // A sealed submission reveals nothing, so it never extends the deadline
+    const extension = sealed ? null : await applyExtension(db, eventId, rules, [...placed, ...generated], ranksBefore);
+    const response = { bids: placed, extensionTriggered: Boolean(extension) };
+
+    if (keyId) {
+      await db.query(
+        `UPDATE bid_idempotency_keys SET response = $1 WHERE id = $2`,
+        [JSON.stringify(response), keyId]
+      );
+    }
+
+    return { ...response, extension, bidder: u, proxied };
+  }
+
+  // Register a floor and let it bid at once if its owner is not leading
+  async function setProxyBidInTransaction(db, eventId, userId, lineItemId, floorAmount) {
+    const locked = await db.query(`SELECT type, bidding_mode FROM events WHERE id = $1 FOR UPDATE`, [eventId]);
+    if (locked.rows.length === 0) {
+      return { rejection: { status: 404, code: "EVENT_NOT_FOUND", error: "Event not found" } };
+    }
+
+    const notAllowed = await checkCanBid(eventId, userId, db);
+    if (notAllowed) {
+      return { rejection: notAllowed };
+    }
+
+    // Floors follow one line item's ranking, which lot total events don't use
+    if (!PROXY_FORMATS.includes(locked.rows[0].type) || locked.rows[0].bidding_mode === "lot_total") {
+      return {
+        rejection: {
+          status: 409,
+          code: "FORMAT_NOT_SUPPORTED",
+          error: "Auto-bidding is only available on open auctions bid per line item",
+        },
+      };
+    }
+
+    await db.query(
+      `SELECT li.id
+       FROM line_items li
+       JOIN lots l ON li.lot_id = l.id
+       WHERE l.event_id = $1 AND li.id = $2
+       FOR UPDATE OF li`,
+      [eventId, lineItemId]
+    );
+    const context = await loadBidContext(eventId, userId, lineItemId, db);
+    if (!context) {
+      return {
+        rejection: { status: 404, code: "LINE_ITEM_NOT_FOUND", error: "Line item not found in this event", line_item_id: lineItemId },
+      };
+    }
+
+    // Floors bid on price alone, which does not decide the ranking on a scored line item
+    if ((await getLineItemAttributes([lineItemId], db)).size > 0) {
+      return {
+        rejection: {
+          status: 409,
+          code: "LINE_ITEM_SCORED",
+          error: "Auto-bidding is not available on line items scored on more than price",
+          line_item_id: lineItemId,
+        },
+      };
+    }
+
+    const unassigned = await checkLineItemAssignments(eventId, userId, [lineItemId], db);
+    const closedLots = unassigned.length > 0 ? [] : await checkLotWindows(eventId, [lineItemId], db);
+    if (unassigned.length > 0 || closedLots.length > 0) {
+      return { rejection: (unassigned[0] || closedLots[0]) };
+    }
+
+    // The floor must be a price the bidder could have typed themselves
+    const invalid = validateBid({ lineItem: context.lineItem, amount: floorAmount });
+    if (invalid) {
+      return { rejection: { status: 400, ...invalid } };
+    }
+
+    const proxy = await upsertProxyBid(db, eventId, userId, lineItemId, floorAmount);
+
+    const rules = await getExtensionRules(eventId, db);
+    const ranksBefore = await snapshotRanks(rules, eventId, [lineItemId], db);
+    const generated = await runProxies(db, eventId, [lineItemId]);
+    const proxied = await collectProxyBids(db, eventId, generated);
+    const extension = await applyExtension(db, eventId, rules, generated, ranksBefore);
+
+    // Read back: the floor may have been reached already
+    const current = await db.query(`SELECT * FROM proxy_bids WHERE id = $1`, [proxy.id]);
+    return { proxy: current.rows[0], proxied, extension };
+  }
+
+  /**
+   * Broadcast committed bids and the bidder's new total, then any line item they brought to reserve.
+   * Also used by formats that create bids without going through placeBids (Dutch and Japanese).
+   * @param {number} eventId - The event ID
+   * @param {number} userId - The bidder's user ID
+   * @param {Array<object>} bids - Bids enriched with enrichBid
+   * @param {object} bidder - Row from loadBidder
+   */
+  async function announceBids(eventId, userId, bids, bidder) {
+    await broadcast.emitBidsPlaced(eventId, userId, bids);
+    await emitBidderTotal(eventId, userId, bidder);
+
+    // Sealed bids stay unread until the opening, so they cannot announce a reserve either
+    const open = bids.filter(b => !b.tender_round_id).map(b => b.line_item_id);
+    await broadcast.emitReserveMet(eventId, await markReserveMet(eventId, open));
+  }
+
+  /**
+   * Validate and place a batch of bids in one transaction. The batch is accepted or rejected as a whole.
+   * @param {number} eventId - The event ID
+   * @param {number} userId - The bidder's user ID
+   * @param {Array<object>} bids - `[{ line_item_id, amount, attributes? }]`, attributes keyed by attribute ID
+   * @param {object} [options]
+   * @param {string} [options.idempotencyKey] - Retries with the same key return the first response
+   * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ bids, extensionTriggered, replayed? }`
+   */
+  async function placeBids(eventId, userId, bids, options = {}) {
+    if (!Array.isArray(bids) || bids.length === 0) {
+      return { rejection: { status: 400, code: "NO_BIDS", error: "No bids provided" } };
+    }
+
+    const client = await pool.connect();
+    let outcome;
+    try {
+      await client.query("BEGIN");
+      outcome = await placeBidsInTransaction(client, eventId, userId, bids, options.idempotencyKey || null);
+      await client.query(outcome.rejection || outcome.replayed ? "ROLLBACK" : "COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    if (outcome.rejection || outcome.replayed) return outcome;
+
+    // Broadcast only once the bids are committed
+    const { bids: placed, extensionTriggered, extension, bidder, proxied } = outcome;
+    await announceBids(eventId, userId, placed, bidder);
+    await announceAfterCommit(eventId, proxied, extension);
+
+    return { bids: placed, extensionTriggered };
+  }
+
+  // Proxy counter-bids go out after the bids that provoked them, then any extension
+  async function announceAfterCommit(eventId, proxied, extension) {
+    for (const { userId, bids, bidder } of proxied) {
+      await announceBids(eventId, userId, bids, bidder);
+    }
+
+    if (extension) {
+      // Clients count down from the cached end time, so push the new one
+      await global.auctionTimer.refreshEvent(eventId);
+      io.to(`event_${eventId}`).emit("auction_extended", extension);
+    }
+  }
+
+  /**
+   * Set a bidder's confidential floor on a line item. From then on, whenever they are outbid
+   * the system bids for them by the line item decrement, never below the floor.
+   * @param {number} eventId - The event ID
+   * @param {number} userId - The bidder's user ID
+   * @param {number} lineItemId - The line item ID
+   * @param {number|string} floorAmount - Lowest amount to bid down to
+   * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ proxy_bid, bids }` with any bids placed for them straight away
+   */
+  async function setProxyBid(eventId, userId, lineItemId, floorAmount) {
+    const client = await pool.connect();
+    let outcome;
+    try {
+      await client.query("BEGIN");
+      outcome = await setProxyBidInTransaction(client, eventId, userId, lineItemId, floorAmount);
+      await client.query(outcome.rejection ? "ROLLBACK" : "COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    if (outcome.rejection) return outcome;
+
+    const { proxy, proxied, extension } = outcome;
+    await announceAfterCommit(eventId, proxied, extension);
+
+    const own = proxied.find(p => p.userId === userId);
+    return { proxy_bid: proxy, bids: own ? own.bids : [] };
+  }
+
+  /**
+   * Place a single bid; rejections are returned unwrapped (one code per bid)
+   * @param {number} eventId - The event ID
+   * @param {number} userId - The bidder's user ID
+   * @param {object} bid - `{ line_item_id, amount, attributes? }`
+   * @param {object} [options] - Same as placeBids
+   * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ bid, extensionTriggered, replayed? }`
+   */
+  async function placeBid(eventId, userId, bid, options = {}) {
+    const result = await placeBids(eventId, userId, [bid], options);
+    if (result.rejection) {
+      const { status, rejections } = result.rejection;
+      return { rejection: rejections ? { status, ...rejections[0] } : result.rejection };
+    }
+    return { bid: result.bids[0], extensionTriggered: result.extensionTriggered, replayed: Boolean(result.replayed) };
+  }
+
+  return {
+    placeBid,
+    placeBids,
+    announceBids,
+    setProxyBid,
+  };
+};
+
+module.exports.loadBidder = loadBidder;
+module.exports.enrichBid = enrichBid;
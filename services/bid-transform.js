@@ -0,0 +1,134 @@
+// services/bid-transform.js
+const pool = require("../db/pool");
+
+// Transformational bidding: ranking, feedback and savings compare evaluated prices,
+//   evaluated = (raw × (1 + adjustment_percent / 100) + adjustment_amount + switching cost)
+//               × weighting × cost_factor
+// where the switching cost only applies to suppliers other than the line item's incumbent.
+// SQL uses the evaluated_price() function (db/migrations.js); evaluatePrice mirrors it.
+// Bidders only ever see raw prices; anything evaluated is translated back with toRawPrice.
+
+const IDENTITY = {
+  weighting: 1,
+  adjustment_percent: 0,
+  adjustment_amount: 0,
+  switching_cost: 0,
+  cost_factor: 1,
+};
+
+/**
+ * Load the transformation that applies to one supplier on several line items
+ * @param {number} eventId - The event ID
+ * @param {number} supplierId - The supplier's user ID
+ * @param {Array<number>} lineItemIds - Line item IDs
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Map<number, object>>} - line_item_id -> `{ weighting, adjustment_percent, adjustment_amount, switching_cost, cost_factor }`
+ */
+async function getTransforms(eventId, supplierId, lineItemIds, db = pool) {
+  const ids = [...new Set(lineItemIds.filter(Boolean).map(Number))];
+  if (ids.length === 0) return new Map();
+
+  const result = await db.query(
+    `SELECT li.id AS line_item_id,
+            COALESCE(s.weighting, 1.0) AS weighting,
+            COALESCE(s.adjustment_percent, 0) AS adjustment_percent,
+            COALESCE(s.adjustment_amount, 0) AS adjustment_amount,
+            CASE
+              WHEN li.switching_cost IS NOT NULL
+               AND NULLIF(TRIM(li.incumbent), '') IS NOT NULL
+               AND LOWER(TRIM(li.incumbent)) IS DISTINCT FROM LOWER(TRIM(o.name))
+              THEN li.switching_cost ELSE 0
+            END AS switching_cost,
+            COALESCE(f.cost_factor, 1.0) AS cost_factor
+     FROM line_items li
+     LEFT JOIN users u ON u.id = $2
+     LEFT JOIN organisations o ON o.id = u.organisation_id
+     LEFT JOIN supplier_line_item_settings s
+       ON s.event_id = $1 AND s.line_item_id = li.id AND s.supplier_id = $2
+     LEFT JOIN supplier_cost_factors f ON f.event_id = $1 AND f.supplier_id = $2
+     WHERE li.id = ANY($3::int[])`,
+    [eventId, supplierId, ids]
+  );
+
+  const transforms = new Map();
+  for (const row of result.rows) {
+    transforms.set(row.line_item_id, {
+      weighting: Number(row.weighting),
+      adjustment_percent: Number(row.adjustment_percent),
+      adjustment_amount: Number(row.adjustment_amount),
+      switching_cost: Number(row.switching_cost),
+      cost_factor: Number(row.cost_factor),
+    });
+  }
+  return transforms;
+}
+
+/**
+ * Turn a raw price into the evaluated price
+ * @param {number} amount - Raw price
+ * @param {object} [transform] - From getTransforms (none means no adjustment)
+ * @returns {number} - Evaluated price
+ */
+function evaluatePrice(amount, transform = IDENTITY) {
+  const t = transform;
+  return (Number(amount) * (1 + t.adjustment_percent / 100) + t.adjustment_amount + t.switching_cost)
+    * t.weighting * t.cost_factor;
+}
+
+/**
+ * The raw price that evaluates to `evaluated` for this supplier (the inverse of evaluatePrice)
+ * @param {number} evaluated - Evaluated price
+ * @param {object} [transform] - From getTransforms
+ * @returns {number} - Raw price
+ */
+function toRawPrice(evaluated, transform = IDENTITY) {
+  const t = transform;
+  const scale = t.weighting * t.cost_factor;
+  if (scale === 0) return Number(evaluated);
+  return ((Number(evaluated) / scale) - t.adjustment_amount - t.switching_cost) / (1 + t.adjustment_percent / 100);
+}
+
+/**
+ * Set a supplier's cost factor on an event
+ * @param {number} eventId - The event ID
+ * @param {number} supplierId - The supplier's user ID
+ * @param {number} costFactor - Multiplier applied to all their evaluated prices
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object>} - The supplier_cost_factors row
+ */
+async function setCostFactor(eventId, supplierId, costFactor, db = pool) {
+  const result = await db.query(
+    `INSERT INTO supplier_cost_factors (event_id, supplier_id, cost_factor)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (event_id, supplier_id) DO UPDATE SET cost_factor = EXCLUDED.cost_factor
+     RETURNING *`,
+    [eventId, supplierId, costFactor]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Every supplier's cost factor on an event
+ * @param {number} eventId - The event ID
+ * @returns {Promise<Array<object>>} - supplier_cost_factors rows with the supplier named
+ */
+async function getCostFactors(eventId) {
+  const result = await pool.query(
+    `SELECT f.*, u.first_name, u.last_name, u.email, o.name AS organisation_name
+     FROM supplier_cost_factors f
+     JOIN users u ON u.id = f.supplier_id
+     LEFT JOIN organisations o ON o.id = u.organisation_id
+     WHERE f.event_id = $1
+     ORDER BY f.supplier_id`,
+    [eventId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  getTransforms,
+  evaluatePrice,
+  toRawPrice,
+  setCostFactor,
+  getCostFactors,
+};
@@ -0,0 +1,220 @@
+// services/bidder-feedback.js
+const pool = require("../db/pool");
+const { getBidderRanks, getBidderLotRanks, scoredLatest, RANK_ORDER } = require("./bid-ranking");
+const { getBiddingMode, getLineItemLots } = require("./lot-bidding");
+const { getTransforms, evaluatePrice, toRawPrice } = require("./bid-transform");
+
+// What a bidder is told about their position, chosen per event (events.feedback_mode)
+const FEEDBACK_MODES = [
+  "rank",         // numeric rank
+  "leading",      // only leading / not leading
+  "gap_absolute", // distance from their bid to the best bid
+  "gap_percent",  // same, as a percentage of the best bid
+  "best_price",   // the best bid amount itself
+  "blind",        // nothing
+];
+const DEFAULT_FEEDBACK_MODE = "rank";
+
+/**
+ * The mode that applies to an event: sealed tenders are always blind, whatever is configured
+ * @param {object} event - Events row with `type` and `feedback_mode`
+ * @returns {string} - One of FEEDBACK_MODES
+ */
+function effectiveFeedbackMode(event) {
+  if (event && event.type === "sealed") return "blind";
+  return (event && event.feedback_mode) || DEFAULT_FEEDBACK_MODE;
+}
+
+/**
+ * Get the event's feedback mode
+ * @param {number} eventId - The event ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<string>} - One of FEEDBACK_MODES
+ */
+async function getFeedbackMode(eventId, db = pool) {
+  const result = await db.query(`SELECT type, feedback_mode FROM events WHERE id = $1`, [eventId]);
+  return effectiveFeedbackMode(result.rows[0]);
+}
+
+/**
+ * Build the feedback a bidder may see on each line item, according to the event's mode.
+ * Only the fields for that mode are returned, so nothing else can leak to the client.
+ * On lot total events each line item carries its lot's position, with `lot_id`; on line items
+ * scored on attributes the figures are scores, with `scored: true`.
+ * @param {number} eventId - The event ID
+ * @param {number} userId - The bidder's user ID
+ * @param {Array<number>} lineItemIds - Line items to report on
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Map<number, object>>} - line_item_id -> `{ mode, ... }`
+ */
+async function getBidderFeedback(eventId, userId, lineItemIds, db = pool) {
+  const ids = [...new Set(lineItemIds.filter(Boolean).map(Number))];
+  const feedback = new Map();
+  if (ids.length === 0) return feedback;
+
+  const mode = await getFeedbackMode(eventId, db);
+  if (mode === "blind") {
+    for (const id of ids) feedback.set(id, { mode });
+    return feedback;
+  }
+
+  if (await getBiddingMode(eventId, db) === "lot_total") {
+    return getLotFeedback(eventId, userId, ids, mode, db);
+  }
+
+  const ranks = await getBidderRanks(eventId, userId, ids, db);
+  if (mode === "rank") {
+    for (const id of ids) feedback.set(id, { mode, rank: ranks.get(id) || null });
+    return feedback;
+  }
+
+  // Bids compete on evaluated prices, but bidders only see raw ones: the best bid is
+  // told as the raw price that would match it under this bidder's own adjustments
+  const result = await db.query(
+    `WITH ${scoredLatest("line_item_id = ANY($3::int[])")},
+     best AS (
+       SELECT DISTINCT ON (line_item_id) line_item_id, evaluated_amount, score
+       FROM scored
+       ORDER BY line_item_id, ${RANK_ORDER}
+     )
+     SELECT li.id AS line_item_id, best.evaluated_amount AS best_evaluated, best.score AS best_score,
+            mine.amount AS my_amount, mine.score AS my_score
+     FROM unnest($3::int[]) AS li(id)
+     LEFT JOIN best ON best.line_item_id = li.id
+     LEFT JOIN scored mine ON mine.line_item_id = li.id AND mine.user_id = $2`,
+    [eventId, userId, ids]
+  );
+  const transforms = await getTransforms(eventId, userId, ids, db);
+
+  for (const row of result.rows) {
+    // Scored line items: the best price says little, so the position is told in score points
+    if (row.best_score !== null) {
+      const mine = row.my_score !== null ? Number(row.my_score) : null;
+      const position = describePosition(mode, ranks.get(row.line_item_id), mine, Number(row.best_score), true);
+      feedback.set(row.line_item_id, { ...position, scored: true });
+      continue;
+    }
+    const best = row.best_evaluated !== null
+      ? roundPrice(toRawPrice(row.best_evaluated, transforms.get(row.line_item_id)))
+      : null;
+    const mine = row.my_amount !== null ? Number(row.my_amount) : null;
+    feedback.set(row.line_item_id, describePosition(mode, ranks.get(row.line_item_id), mine, best));
+  }
+  return feedback;
+}
+
+// Converted prices carry float noise; nothing is priced finer than this
+function roundPrice(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// The fields a non-rank mode shows, from the bidder's rank, their amount and the best amount.
+// With `higherIsBetter` the figures are scores, and the gap is how far the bidder is behind.
+function describePosition(mode, rank, mine, best, higherIsBetter = false) {
+  const hasBid = mine !== null;
+  const behind = hasBid && best !== null ? (higherIsBetter ? best - mine : mine - best) : null;
+  if (mode === "leading") {
+    return { mode, leading: hasBid ? rank === 1 : null };
+  } else if (mode === "gap_absolute") {
+    return { mode, gap: behind !== null ? Math.max(0, roundPrice(behind)) : null };
+  } else if (mode === "gap_percent") {
+    const gapPercent = behind !== null && best ? Math.max(0, (behind / best) * 100) : null;
+    return { mode, gap_percent: gapPercent !== null ? Math.round(gapPercent * 100) / 100 : null };
+  }
+  return { mode, best_price: best };
+}
+
+// Lot total bidding: every line item reports its lot's position (amounts are lot totals).
+// Lots rank on evaluated totals, but as on single line items the bidder only sees raw figures.
+async function getLotFeedback(eventId, userId, lineItemIds, mode, db) {
+  const lots = await getLineItemLots(eventId, lineItemIds, db);
+  const lotIds = [...new Set(lots.values())];
+  const ranks = await getBidderLotRanks(eventId, userId, lotIds, db);
+  const rawTotals = mode === "rank" ? new Map() : await getRawLotTotals(eventId, userId, lotIds, db);
+
+  const feedback = new Map();
+  for (const id of lineItemIds) {
+    const lotId = lots.get(id) || null;
+    const { rank = null, total = null, best_total = null } = ranks.get(lotId) || {};
+    let position = { mode, rank };
+    if (mode !== "rank") {
+      const raw = rawTotals.get(lotId);
+      const mine = total !== null && raw ? roundPrice(raw.total) : null;
+      const best = best_total !== null && raw ? roundPrice(raw.toRaw(best_total)) : null;
+      position = describePosition(mode, rank, mine, best);
+    }
+    feedback.set(id, { ...position, lot_id: lotId });
+  }
+  return feedback;
+}
+
+// The bidder's raw lot totals (latest raw prices × ext_quantity), each with `toRaw`, which turns
+// an evaluated lot total into the raw total that would match it under the bidder's own
+// adjustments: their prices scaled evenly until their evaluated total reaches it (one unit per
+// line item if they have no prices yet). On a lot of one line item this is toRawPrice.
+async function getRawLotTotals(eventId, userId, lotIds, db) {
+  if (lotIds.length === 0) return new Map();
+  const result = await db.query(
+    `SELECT li.id AS line_item_id, li.lot_id, COALESCE(li.ext_quantity, 1) AS quantity, mine.amount
+     FROM line_items li
+     LEFT JOIN LATERAL (
+       SELECT b.amount FROM bids b
+       WHERE b.event_id = $1 AND b.line_item_id = li.id AND b.user_id = $2
+       ORDER BY b.created_at DESC, b.id DESC
+       LIMIT 1
+     ) mine ON TRUE
+     WHERE li.lot_id = ANY($3::int[])`,
+    [eventId, userId, lotIds]
+  );
+  const transforms = await getTransforms(eventId, userId, result.rows.map(r => r.line_item_id), db);
+
+  const rowsByLot = new Map();
+  for (const row of result.rows) {
+    if (!rowsByLot.has(row.lot_id)) rowsByLot.set(row.lot_id, []);
+    rowsByLot.get(row.lot_id).push(row);
+  }
+
+  const totals = new Map();
+  for (const [lotId, rows] of rowsByLot) {
+    const priced = rows.filter(r => r.amount !== null);
+    let total = 0, fixed = 0, scaled = 0;
+    for (const row of (priced.length > 0 ? priced : rows)) {
+      const amount = row.amount !== null ? Number(row.amount) : 1;
+      const quantity = Number(row.quantity);
+      const transform = transforms.get(row.line_item_id);
+      const base = evaluatePrice(0, transform);
+      total += amount * quantity;
+      fixed += base * quantity;
+      scaled += (evaluatePrice(amount, transform) - base) * quantity;
+    }
+    totals.set(lotId, {
+      total,
+      toRaw: evaluated => (scaled === 0 ? Number(evaluated) : total * (Number(evaluated) - fixed) / scaled),
+    });
+  }
+  return totals;
+}
+
+/**
+ * Drop line item fields the buyer has not made visible to bidders.
+ * Visibility is opt-in: only an explicit true shows the value.
+ * @param {object} item - Line item row with the *_visible flags and the values they guard
+ * @returns {object} - Copy safe to send to a bidder (flags removed)
+ */
+function applyBidderVisibility(item) {
+  const { weighting_visible, opening_visible, reserve_visible, weighting, opening_value, reserve_value, ...rest } = item;
+  const visible = { ...rest };
+  if (weighting_visible === true) visible.weighting = weighting;
+  if (opening_visible === true) visible.opening_value = opening_value;
+  if (reserve_visible === true) visible.reserve_value = reserve_value;
+  return visible;
+}
+
+module.exports = {
+  FEEDBACK_MODES,
+  DEFAULT_FEEDBACK_MODE,
+  effectiveFeedbackMode,
+  getFeedbackMode,
+  getBidderFeedback,
+  applyBidderVisibility,
+};
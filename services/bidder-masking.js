@@ -0,0 +1,63 @@
+// services/bidder-masking.js
+const pool = require("../db/pool");
+
+/**
+ * Check whether managers should see aliases instead of bidder identities
+ * @param {object} event - Events row with `type` and `reveal_bidders`
+ * @returns {boolean} - True for sealed events whose bidders have not been revealed
+ */
+function shouldMaskBidders(event) {
+  return Boolean(event) && event.type === "sealed" && !event.reveal_bidders;
+}
+
+/**
+ * Alias for the nth bidder: Company A ... Company Z, Company AA, ...
+ * @param {number} index - Zero-based position in first-bid order
+ * @returns {string} - The alias
+ */
+function aliasFor(index) {
+  let letters = "";
+  let n = index;
+  do {
+    letters = String.fromCharCode(65 + (n % 26)) + letters;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return `Company ${letters}`;
+}
+
+/**
+ * Assign each bidder a stable alias by the order of their first bid on the event,
+ * so the same bidder is always "Company A" wherever and whenever it is shown.
+ * @param {number} eventId - The event ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Map<number, string>>} - user_id -> alias
+ */
+async function getBidderAliases(eventId, db = pool) {
+  const result = await db.query(
+    `SELECT user_id
+     FROM bids
+     WHERE event_id = $1
+     GROUP BY user_id
+     ORDER BY MIN(id) ASC`,
+    [eventId]
+  );
+  return new Map(result.rows.map((r, i) => [r.user_id, aliasFor(i)]));
+}
+
+/**
+ * Replace every identifying field on a bid (or bidder total) with the alias
+ * @param {object} bid - Bid with user fields
+ * @param {string} alias - The bidder's alias
+ * @returns {object} - Copy without names, emails or organisation
+ */
+function maskBid(bid, alias) {
+  const { first_name, last_name, email, organisation_name, ...rest } = bid;
+  return { ...rest, display_name: alias, user_name: alias };
+}
+
+module.exports = {
+  shouldMaskBidders,
+  aliasFor,
+  getBidderAliases,
+  maskBid,
+};
@@ -0,0 +1,458 @@
+// services/certificate.js
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const pool = require("../db/pool");
+const { getStatusHistory } = require("./event-lifecycle");
+const { getExtensions } = require("./soft-close");
+const { getEventDetails, getManagerBids } = require("./event-record");
+const { getBidderAliases } = require("./bidder-masking");
+const { scoredLatest, RANK_ORDER } = require("./bid-ranking");
+const { hasSealedBids } = require("./sealed-tender");
+const { getAward } = require("./awards");
+
+// Auction certificates: a PDF record of a finished event (settings, invited suppliers, the
+// timeline of status changes and extensions, final bids and the award) for clients to sign off.
+// The record is built from the same data as GET /events/:id and GET /events/:id/bids, and its
+// SHA-256 is printed on every page. Verifying a hash rebuilds the record from the database and
+// compares: a match means nothing on the certificate has changed since it was issued.
+// So certificates are only issued once the outcome is final (the award can no longer change),
+// and the record carries that outcome rather than the status, which archiving still moves on.
+
+// Statuses a certificate can be issued in
+const CERTIFIED_STATUSES = ["awarded", "cancelled", "archived"];
+
+/**
+ * JSON with object keys sorted at every level, so equal records always hash the same
+ * @param {*} value - Anything JSON can hold (dates become ISO strings)
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * SHA-256 of a certificate record
+ * @param {object} record - From buildRecord
+ * @returns {string} - Hex digest
+ */
+function hashRecord(record) {
+  return crypto.createHash("sha256").update(canonicalJson(record)).digest("hex");
+}
+
+function personName(row) {
+  return `${row.first_name || ""} ${row.last_name || ""}`.trim() || row.email || null;
+}
+
+/**
+ * Everything a certificate shows, as plain data
+ * @param {number} eventId - The event ID
+ * @param {object} options
+ * @param {boolean} options.masked - Show suppliers by alias (sealed events whose bidders are not revealed)
+ * @returns {Promise<object|null>} - The record, or null when the event does not exist
+ */
+async function buildRecord(eventId, { masked }) {
+  const event = await getEventDetails(eventId);
+  if (!event) return null;
+
+  // Intervals as plain numbers: pg parses INTERVAL columns into objects
+  const timings = (await pool.query(
+    `SELECT EXTRACT(EPOCH FROM auction_duration) / 60 AS auction_duration_minutes,
+            EXTRACT(EPOCH FROM extension_time) AS extension_time_seconds,
+            EXTRACT(EPOCH FROM extension_threshold) AS extension_threshold_seconds
+     FROM events WHERE id = $1`,
+    [eventId]
+  )).rows[0];
+  const toNumber = (value) => value === null || value === undefined ? null : Number(value);
+
+  // Masking follows the certificate, not the event, so a record can be rebuilt as it was issued
+  const bids = await getManagerBids(eventId, { ...event, type: masked ? "sealed" : event.type, reveal_bidders: !masked });
+  const aliases = masked ? await getBidderAliases(eventId) : null;
+  const supplierName = (userId, organisation) => masked ? (aliases.get(userId) || "Did not bid") : organisation;
+
+  const invited = await pool.query(
+    `SELECT u.id, u.first_name, u.last_name, u.email, o.name AS organisation_name
+     FROM event_members em
+     JOIN users u ON u.id = em.user_id
+     LEFT JOIN organisations o ON o.id = u.organisation_id
+     WHERE em.event_id = $1 AND em.role = 'bidder'
+     ORDER BY u.id`,
+    [eventId]
+  );
+  const bidders = new Set(bids.map(b => b.bidder_id));
+
+  // The latest bid per supplier and line item, at its rank when bidding ended
+  const ranks = await pool.query(
+    `WITH ${scoredLatest("TRUE")}
+     SELECT id, ROW_NUMBER() OVER (PARTITION BY line_item_id ORDER BY ${RANK_ORDER})::int AS rank
+     FROM scored`,
+    [eventId]
+  );
+  const rankOf = new Map(ranks.rows.map(r => [r.id, r.rank]));
+  const finalBids = new Map();
+  for (const b of bids) {
+    if (b.amount === null) continue; // a round decision, not a price
+    const key = `${b.line_item_id}:${b.bidder_id}`;
+    if (!finalBids.has(key)) finalBids.set(key, b);
+  }
+
+  // Archiving is housekeeping after the outcome: it is left off the record
+  const history = (await getStatusHistory(eventId)).filter(h => h.to_status !== "archived");
+  const outcome = event.status === "archived"
+    ? (history.length > 0 ? history[history.length - 1].to_status : null)
+    : event.status;
+  const extensions = await getExtensions(eventId);
+  const timeline = [
+    ...history.map(h => ({
+      at: h.created_at,
+      kind: "status",
+      from: h.from_status,
+      to: h.to_status,
+      by: personName(h),
+      reason: h.reason,
+    })),
+    ...extensions.map(x => ({
+      at: x.created_at,
+      kind: "extension",
+      scope: x.scope,
+      lot: x.lot_title,
+      line_item: x.line_item_name,
+      trigger: x.trigger,
+      triggered_by: x.user_id ? supplierName(x.user_id, x.organisation_name) : null,
+      previous_end_time: x.previous_end_time,
+      new_end_time: x.new_end_time,
+    })),
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  const { award } = await getAward(eventId);
+  const awardLines = award
+    ? (await pool.query(
+      `SELECT al.line_item_id, al.supplier_id, al.share_percent, al.amount, al.awarded_value, o.name AS organisation_name
+       FROM award_lines al
+       JOIN users u ON u.id = al.supplier_id
+       LEFT JOIN organisations o ON o.id = u.organisation_id
+       WHERE al.award_id = $1
+       ORDER BY al.line_item_id, al.supplier_id`,
+      [award.id]
+    )).rows
+    : [];
+
+  return {
+    event: {
+      id: event.id,
+      title: event.title,
+      organisation: event.organisation_name,
+      category: event.category_name,
+      type: event.type,
+      outcome,
+      currency: event.currency,
+      bidding_mode: event.bidding_mode,
+      feedback_mode: event.feedback_mode,
+      auction_time: event.auction_time,
+      auction_end_time: event.auction_end_time,
+      auction_duration_minutes: toNumber(timings.auction_duration_minutes),
+      extension_time_seconds: toNumber(timings.extension_time_seconds),
+      extension_threshold_seconds: toNumber(timings.extension_threshold_seconds),
+      extension_trigger: event.extension_trigger,
+      extension_scope: event.extension_scope,
+      max_extensions: event.max_extensions,
+      extension_hard_stop: event.extension_hard_stop,
+      reserve_enforced: event.reserve_enforced,
+      masked,
+    },
+    line_items: event.line_items.map(li => ({
+      id: li.id,
+      lot: li.lot_title,
+      item_number: li.item_number,
+      item_name: li.item_name,
+      quantity: li.quantity,
+      uom: li.uom,
+      ext_quantity: li.ext_quantity,
+      baseline: li.baseline,
+      ext_baseline: li.ext_baseline,
+      reserve_value: li.reserve_value,
+    })),
+    suppliers: invited.rows.map(u => ({
+      name: masked ? supplierName(u.id) : personName(u),
+      organisation: masked ? null : u.organisation_name,
+      bid: bidders.has(u.id),
+    })),
+    timeline,
+    bid_count: bids.filter(b => b.amount !== null).length,
+    final_bids: [...finalBids.values()]
+      .map(b => ({
+        line_item_id: b.line_item_id,
+        supplier: supplierName(b.bidder_id, b.user_name),
+        amount: b.amount,
+        evaluated_amount: b.evaluated_amount,
+        placed_at: b.created_at,
+        rank: rankOf.get(b.id) ?? null,
+      }))
+      .sort((a, b) => a.line_item_id - b.line_item_id || (a.rank ?? Infinity) - (b.rank ?? Infinity)),
+    award: award && {
+      status: award.status,
+      justification: award.justification,
+      submitted_by: award.submitted_by_name,
+      submitted_at: award.submitted_at,
+      decided_by: award.decided_by_name,
+      decided_at: award.decided_at,
+      decision_note: award.decision_note,
+      lines: awardLines.map(l => ({
+        line_item_id: l.line_item_id,
+        supplier: supplierName(l.supplier_id, l.organisation_name),
+        share_percent: l.share_percent,
+        amount: l.amount,
+        awarded_value: l.awarded_value,
+      })),
+    },
+  };
+}
+
+/**
+ * Issue a certificate for an awarded, cancelled or archived event: build its record and note the hash as issued
+ * @param {number} eventId - The event ID
+ * @param {number} userId - Manager issuing it
+ * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ record, hash, certificate }`
+ */
+async function issueCertificate(eventId, userId) {
+  const eventRes = await pool.query(`SELECT status, type, reveal_bidders FROM events WHERE id = $1`, [eventId]);
+  const event = eventRes.rows[0];
+  if (!event) {
+    return { rejection: { status: 404, code: "EVENT_NOT_FOUND", error: "Event not found" } };
+  }
+  if (!CERTIFIED_STATUSES.includes(event.status)) {
+    return { rejection: { status: 409, code: "EVENT_NOT_FINISHED", error: `Certificates are issued once the event is awarded or cancelled (it is ${event.status})` } };
+  }
+  if (await hasSealedBids(eventId)) {
+    return { rejection: { status: 409, code: "BIDS_SEALED", error: "Bids are sealed until the tender opening" } };
+  }
+
+  const masked = event.type === "sealed" && !event.reveal_bidders;
+  const record = await buildRecord(eventId, { masked });
+  const hash = hashRecord(record);
+  const inserted = await pool.query(
+    `INSERT INTO event_certificates (event_id, content_hash, masked, generated_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, generated_at`,
+    [eventId, hash, masked, userId]
+  );
+  const issuer = await pool.query(`SELECT first_name, last_name, email FROM users WHERE id = $1`, [userId]);
+  return {
+    record,
+    hash,
+    certificate: { ...inserted.rows[0], generated_by: issuer.rows[0] ? personName(issuer.rows[0]) : null },
+  };
+}
+
+/**
+ * Check a certificate's hash: was it issued for this event, and does the database still match it?
+ * @param {number} eventId - The event ID
+ * @param {string} hash - The hash printed on the certificate
+ * @returns {Promise<object>} - `{ valid, issued, matches, certificates }`; valid when issued and matching
+ */
+async function verifyCertificate(eventId, hash) {
+  const normalised = String(hash || "").trim().toLowerCase();
+  const issuedRes = await pool.query(
+    `SELECT c.id, c.masked, c.generated_at, u.first_name, u.last_name, u.email
+     FROM event_certificates c
+     LEFT JOIN users u ON u.id = c.generated_by
+     WHERE c.event_id = $1 AND c.content_hash = $2
+     ORDER BY c.generated_at`,
+    [eventId, normalised]
+  );
+  const certificates = issuedRes.rows.map(c => ({
+    id: c.id,
+    generated_at: c.generated_at,
+    generated_by: personName(c),
+  }));
+  if (issuedRes.rows.length === 0) {
+    return { valid: false, issued: false, matches: false, certificates };
+  }
+
+  const record = await buildRecord(eventId, { masked: issuedRes.rows[0].masked });
+  const matches = Boolean(record) && hashRecord(record) === normalised;
+  return { valid: matches, issued: true, matches, certificates };
+}
+
+// --- PDF ---
+
+const MARGIN = 50;
+
+function fmtDate(value) {
+  if (!value) return "-";
+  return new Date(value).toISOString().replace("T", " ").slice(0, 19) + " UTC";
+}
+
+function fmtMoney(value, currency) {
+  if (value === null || value === undefined) return "-";
+  return `${currency || ""} ${Number(value).toLocaleString("en-GB", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`.trim();
+}
+
+function heading(doc, text) {
+  if (doc.y > doc.page.height - MARGIN - 80) doc.addPage();
+  doc.moveDown(0.8).font("Helvetica-Bold").fontSize(12).fillColor("#0f172a").text(text, MARGIN);
+  doc.moveTo(MARGIN, doc.y + 2).lineTo(doc.page.width - MARGIN, doc.y + 2).strokeColor("#cbd5e1").stroke();
+  doc.moveDown(0.5).font("Helvetica").fontSize(9).fillColor("#1e293b");
+}
+
+function field(doc, label, value) {
+  doc.font("Helvetica-Bold").text(`${label}: `, MARGIN, doc.y, { continued: true })
+    .font("Helvetica").text(value === null || value === undefined || value === "" ? "-" : String(value));
+}
+
+// One table row; cells wrap within their column and the row starts a new page when it won't fit
+function row(doc, cells, widths, { bold = false } = {}) {
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8.5);
+  const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell ?? "-"), { width: widths[i] - 4 })));
+  if (doc.y + height > doc.page.height - MARGIN - 30) doc.addPage();
+  const y = doc.y;
+  let x = MARGIN;
+  cells.forEach((cell, i) => {
+    doc.text(String(cell ?? "-"), x, y, { width: widths[i] - 4 });
+    x += widths[i];
+  });
+  doc.x = MARGIN;
+  doc.y = y + height + 3;
+}
+
+/**
+ * Draw a certificate
+ * @param {object} record - From buildRecord
+ * @param {string} hash - The record's hash
+ * @param {object} certificate - `{ id, generated_at, generated_by }`
+ * @returns {object} - PDFKit document, ended; pipe it to the response
+ */
+function renderCertificate(record, hash, certificate) {
+  const doc = new PDFDocument({ size: "A4", margin: MARGIN, bufferPages: true, info: {
+    Title: `Auction certificate: ${record.event.title}`,
+    Subject: `SHA-256 ${hash}`,
+  } });
+  const { event } = record;
+  const items = new Map(record.line_items.map(li => [li.id, li]));
+  const itemLabel = (id) => {
+    const li = items.get(id);
+    return li ? [li.item_number, li.item_name].filter(Boolean).join(" ") : `Line item ${id}`;
+  };
+
+  doc.font("Helvetica-Bold").fontSize(18).fillColor("#0f172a").text("Auction Certificate", { align: "center" });
+  doc.font("Helvetica").fontSize(12).text(event.title || "", { align: "center" });
+  doc.fontSize(9).fillColor("#64748b")
+    .text(`Certificate ${certificate.id} issued ${fmtDate(certificate.generated_at)}${certificate.generated_by ? ` by ${certificate.generated_by}` : ""}`, { align: "center" });
+  if (event.masked) {
+    doc.text("Suppliers are shown by alias: the event's bidders had not been revealed when this was issued.", { align: "center" });
+  }
+
+  heading(doc, "Event settings");
+  field(doc, "Event ID", event.id);
+  field(doc, "Organisation", event.organisation);
+  field(doc, "Category", event.category);
+  field(doc, "Type", event.type);
+  field(doc, "Outcome", event.outcome);
+  field(doc, "Currency", event.currency);
+  field(doc, "Bidding mode", event.bidding_mode);
+  field(doc, "Feedback", event.feedback_mode);
+  field(doc, "Start", fmtDate(event.auction_time));
+  field(doc, "End", fmtDate(event.auction_end_time));
+  field(doc, "Duration (minutes)", event.auction_duration_minutes);
+  field(doc, "Extensions", `${event.extension_time_seconds ?? "-"}s when a bid (${event.extension_trigger}) lands in the last ${event.extension_threshold_seconds ?? "-"}s, per ${event.extension_scope}`);
+  field(doc, "Maximum extensions", event.max_extensions ?? "No limit");
+  field(doc, "Hard stop", event.extension_hard_stop ? fmtDate(event.extension_hard_stop) : "None");
+  field(doc, "Reserve enforced", event.reserve_enforced ? "Yes" : "No");
+
+  heading(doc, "Line items");
+  const itemWidths = [150, 50, 50, 85, 85, 75];
+  row(doc, ["Line item", "Qty", "Ext qty", "Ext baseline", "Reserve", "Lot"], itemWidths, { bold: true });
+  record.line_items.forEach(li => row(doc, [
+    itemLabel(li.id),
+    li.quantity !== null ? `${li.quantity} ${li.uom || ""}`.trim() : "-",
+    li.ext_quantity,
+    fmtMoney(li.ext_baseline, event.currency),
+    fmtMoney(li.reserve_value, event.currency),
+    li.lot,
+  ], itemWidths));
+
+  heading(doc, "Invited suppliers");
+  const supplierWidths = [200, 200, 95];
+  row(doc, ["Supplier", "Organisation", "Bid"], supplierWidths, { bold: true });
+  record.suppliers.forEach(s => row(doc, [s.name, s.organisation, s.bid ? "Yes" : "No"], supplierWidths));
+
+  heading(doc, "Timeline");
+  const timelineWidths = [110, 385];
+  record.timeline.forEach(t => row(doc, [
+    fmtDate(t.at),
+    t.kind === "status"
+      ? `${t.from ? `${t.from} -> ` : ""}${t.to}${t.by ? ` by ${t.by}` : ""}${t.reason ? ` (${t.reason})` : ""}`
+      : `Extended ${t.scope}${t.lot ? ` ${t.lot}` : ""}${t.line_item ? ` ${t.line_item}` : ""} from ${fmtDate(t.previous_end_time)} to ${fmtDate(t.new_end_time)} (${t.trigger}${t.triggered_by ? `, ${t.triggered_by}` : ""})`,
+  ], timelineWidths));
+  if (record.timeline.length === 0) doc.text("No status changes recorded.", MARGIN);
+
+  heading(doc, `Final bids (${record.bid_count} bids placed)`);
+  const bidWidths = [150, 40, 110, 80, 115];
+  row(doc, ["Line item", "Rank", "Supplier", "Bid", "Placed"], bidWidths, { bold: true });
+  record.final_bids.forEach(b => row(doc, [
+    itemLabel(b.line_item_id),
+    b.rank,
+    b.supplier,
+    fmtMoney(b.amount, event.currency),
+    fmtDate(b.placed_at),
+  ], bidWidths));
+
+  heading(doc, "Award");
+  if (!record.award) {
+    doc.text("No award decision has been made.", MARGIN);
+  } else {
+    const { award } = record;
+    field(doc, "Status", award.status);
+    field(doc, "Justification", award.justification);
+    field(doc, "Submitted", award.submitted_at ? `${fmtDate(award.submitted_at)} by ${award.submitted_by}` : null);
+    field(doc, "Decided", award.decided_at ? `${fmtDate(award.decided_at)} by ${award.decided_by}` : null);
+    field(doc, "Decision note", award.decision_note);
+    doc.moveDown(0.5);
+    const awardWidths = [170, 140, 60, 125];
+    row(doc, ["Line item", "Supplier", "Share", "Awarded value"], awardWidths, { bold: true });
+    award.lines.forEach(l => row(doc, [
+      itemLabel(l.line_item_id),
+      l.supplier,
+      `${Number(l.share_percent)}%`,
+      fmtMoney(l.awarded_value, event.currency),
+    ], awardWidths));
+  }
+
+  heading(doc, "Sign-off");
+  doc.moveDown(1.5);
+  ["Name", "Signature", "Date"].forEach(label => {
+    doc.text(`${label}: ______________________________________________`, MARGIN);
+    doc.moveDown(1.2);
+  });
+
+  // The hash on every page, so each one can be checked on its own
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.height - MARGIN + 10;
+    doc.page.margins.bottom = 0;
+    doc.font("Helvetica").fontSize(7).fillColor("#64748b")
+      .text(`SHA-256: ${hash}`, MARGIN, bottom, { width: doc.page.width - 2 * MARGIN, lineBreak: false })
+      .text(`Verify: GET /events/${event.id}/certificate/verify?hash=<SHA-256>    Page ${i - range.start + 1} of ${range.count}`,
+        MARGIN, bottom + 10, { width: doc.page.width - 2 * MARGIN, lineBreak: false });
+  }
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  canonicalJson,
+  hashRecord,
+  buildRecord,
+  issueCertificate,
+  verifyCertificate,
+  renderCertificate,
+};
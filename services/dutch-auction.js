@@ -0,0 +1,498 @@
+// services/dutch-auction.js
+const pool = require("../db/pool");
+const { checkCanBid, checkLineItemAssignments } = require("./bid-eligibility");
+const { lifecycleHooks, transitionEvent } = require("./event-lifecycle");
+const { loadBidder, enrichBid } = require("./bid-service");
+const { managersRoom, userRoom } = require("./bid-broadcast");
+
+const DUTCH_DIRECTIONS = ["ascending", "descending"];
+
+/**
+ * Validate the Dutch settings sent with an event. Missing fields keep their stored (or default) value.
+ * @param {object} body - Request body with any of dutch_direction, dutch_start_percent,
+ *   dutch_step_percent, dutch_limit_percent, dutch_step_interval (seconds)
+ * @returns {object} - `{ error }` or `{ config }` with each field given (null when absent)
+ */
+function parseDutchConfig(body) {
+  const config = {
+    dutch_direction: body.dutch_direction || null,
+    dutch_start_percent: null,
+    dutch_step_percent: null,
+    dutch_limit_percent: null,
+    dutch_step_interval: null,
+  };
+  if (config.dutch_direction && !DUTCH_DIRECTIONS.includes(config.dutch_direction)) {
+    return { error: `dutch_direction must be one of ${DUTCH_DIRECTIONS.join(", ")}` };
+  }
+
+  for (const field of ["dutch_start_percent", "dutch_step_percent", "dutch_limit_percent", "dutch_step_interval"]) {
+    const value = body[field];
+    if (value === undefined || value === null || value === "") continue;
+    const num = Number(value);
+    if (isNaN(num) || num <= 0) {
+      return { error: `${field} must be a positive number` };
+    }
+    config[field] = field === "dutch_step_interval" ? `${Math.round(num)} seconds` : num;
+  }
+
+  const { dutch_direction, dutch_start_percent: start, dutch_limit_percent: limit } = config;
+  if (start !== null && limit !== null) {
+    if (dutch_direction === "descending" ? start < limit : start > limit) {
+      return { error: "The Dutch start price must lie before the limit in the direction the price moves" };
+    }
+  }
+  return { config };
+}
+
+// When each live Dutch event is next due a price step, by event_id.
+// Only a hint for the ticker: the UPDATE itself checks last_step_at.
+const nextStepAt = new Map();
+// Events with a step in flight, so a slow query can't overlap the next tick
+const stepping = new Set();
+
+function rejection(status, code, error) {
+  return { rejection: { status, code, error } };
+}
+
+// In a Dutch event the server sets the price on every line item: it moves from the
+// start price towards the limit one step per interval. The first bidder to accept
+// wins the line item at the offered price; if every other assigned bidder drops out,
+// the last one remaining is awarded it at the current price.
+module.exports = (io) => {
+  const bidService = require("./bid-service")(io);
+
+  /**
+   * Create the price clock for every line item of an event (no-op for line items that already have one)
+   * @param {number} eventId - The event ID
+   * @param {object} db - Pool or transaction client
+   * @returns {Promise<number>} - Number of line items initialised
+   */
+  async function initializeLineItems(eventId, db = pool) {
+    const result = await db.query(
+      `INSERT INTO dutch_line_item_state (event_id, line_item_id, current_price, step_amount, limit_price, last_step_at)
+       SELECT e.id, li.id,
+              ROUND(base.amount * e.dutch_start_percent / 100, 2),
+              ROUND(base.amount * e.dutch_step_percent / 100, 2),
+              ROUND(base.amount * e.dutch_limit_percent / 100, 2),
+              NOW()
+       FROM events e
+       JOIN lots l ON l.event_id = e.id
+       JOIN line_items li ON li.lot_id = l.id
+       CROSS JOIN LATERAL (SELECT COALESCE(li.baseline, li.opening_value) AS amount) base
+       WHERE e.id = $1 AND e.type = 'dutch' AND base.amount IS NOT NULL
+       ON CONFLICT (event_id, line_item_id) DO NOTHING`,
+      [eventId]
+    );
+    nextStepAt.delete(String(eventId));
+    return result.rowCount;
+  }
+
+  // Work out when the event's next step is due, from the slowest-moving clock still running
+  async function scheduleNextStep(eventId) {
+    const result = await pool.query(
+      `SELECT MIN(s.last_step_at + e.dutch_step_interval) AS next_step_at
+       FROM dutch_line_item_state s
+       JOIN events e ON e.id = s.event_id
+       WHERE s.event_id = $1 AND s.status = 'running'`,
+      [eventId]
+    );
+    const next = result.rows[0].next_step_at;
+    if (next) {
+      nextStepAt.set(String(eventId), new Date(next));
+    } else {
+      nextStepAt.delete(String(eventId));
+    }
+  }
+
+  /**
+   * Move every due price one step towards its limit. A line item that has sat at its
+   * limit for a whole interval without an acceptance is closed with no award.
+   * @param {number} eventId - The event ID
+   * @returns {Promise<Array<object>>} - The state rows that changed
+   */
+  async function advancePrices(eventId) {
+    const result = await pool.query(
+      `UPDATE dutch_line_item_state s
+       SET current_price = CASE
+             WHEN e.dutch_direction = 'descending' THEN GREATEST(s.current_price - s.step_amount, s.limit_price)
+             ELSE LEAST(s.current_price + s.step_amount, s.limit_price)
+           END,
+           step_count = s.step_count + CASE WHEN s.current_price = s.limit_price THEN 0 ELSE 1 END,
+           status = CASE WHEN s.current_price = s.limit_price THEN 'no_award' ELSE s.status END,
+           resolved_at = CASE WHEN s.current_price = s.limit_price THEN NOW() ELSE s.resolved_at END,
+           last_step_at = NOW()
+       FROM events e
+       WHERE e.id = s.event_id
+         AND s.event_id = $1
+         AND s.status = 'running'
+         AND e.status = 'live'
+         AND s.last_step_at + e.dutch_step_interval <= NOW()
+       RETURNING s.*`,
+      [eventId]
+    );
+
+    for (const state of result.rows) {
+      io.to(`event_${eventId}`).emit(
+        state.status === "running" ? "dutch_price_update" : "dutch_update",
+        publicState(state)
+      );
+    }
+    await scheduleNextStep(eventId);
+    if (result.rows.some(s => s.status !== "running")) {
+      await closeIfResolved(eventId);
+    }
+    return result.rows;
+  }
+
+  // What every participant may see about a line item's clock (never who won it)
+  function publicState(state) {
+    return {
+      event_id: Number(state.event_id),
+      line_item_id: state.line_item_id,
+      current_price: Number(state.current_price),
+      limit_price: Number(state.limit_price),
+      step_count: state.step_count,
+      status: state.status,
+      last_step_at: state.last_step_at,
+    };
+  }
+
+  // Close the event once no clock is still running
+  async function closeIfResolved(eventId) {
+    const result = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE status = 'running')::int AS running, COUNT(*)::int AS total
+       FROM dutch_line_item_state WHERE event_id = $1`,
+      [eventId]
+    );
+    const { running, total } = result.rows[0];
+    if (total === 0 || running > 0) return null;
+
+    try {
+      nextStepAt.delete(String(eventId));
+      return await transitionEvent(eventId, "closed", {
+        io,
+        reason: "All Dutch line items resolved",
+        from: ["live"],
+      });
+    } catch (err) {
+      if (err.code === "INVALID_TRANSITION" || err.code === "EVENT_NOT_FOUND") return null;
+      throw err;
+    }
+  }
+
+  // Award a line item inside the caller's transaction; the state row must already be locked
+  async function awardLineItem(db, eventId, lineItemId, userId, price, source) {
+    const bidRes = await db.query(
+      `INSERT INTO bids (event_id, user_id, line_item_id, amount, source)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [eventId, userId, lineItemId, price, source]
+    );
+    const stateRes = await db.query(
+      `UPDATE dutch_line_item_state
+       SET status = 'accepted', winner_user_id = $3, winning_bid_id = $4, resolved_at = NOW()
+       WHERE event_id = $1 AND line_item_id = $2
+       RETURNING *`,
+      [eventId, lineItemId, userId, bidRes.rows[0].id]
+    );
+    return { bid: bidRes.rows[0], state: stateRes.rows[0] };
+  }
+
+  // Checks shared by accept and drop-out: the bidder may act on this line item now, and its clock is running
+  async function lockRunningLineItem(db, eventId, userId, lineItemId) {
+    const eventRes = await db.query(`SELECT type FROM events WHERE id = $1 FOR UPDATE`, [eventId]);
+
+    const notAllowed = await checkCanBid(eventId, userId, db);
+    if (notAllowed) return { rejection: notAllowed };
+
+    if (eventRes.rows[0].type !== "dutch") {
+      return rejection(409, "NOT_DUTCH_AUCTION", "This event is not a Dutch auction");
+    }
+
+    const unassigned = await checkLineItemAssignments(eventId, userId, [lineItemId], db);
+    if (unassigned.length > 0) return { rejection: unassigned[0] };
+
+    const stateRes = await db.query(
+      `SELECT * FROM dutch_line_item_state
+       WHERE event_id = $1 AND line_item_id = $2
+       FOR UPDATE`,
+      [eventId, lineItemId]
+    );
+    const state = stateRes.rows[0];
+    if (!state) {
+      return rejection(404, "LINE_ITEM_NOT_FOUND", "This line item has no price clock");
+    }
+    if (state.status !== "running") {
+      return rejection(409, "LINE_ITEM_RESOLVED", "This line item has already been resolved");
+    }
+
+    const dropped = await db.query(
+      `SELECT 1 FROM dutch_dropouts WHERE event_id = $1 AND line_item_id = $2 AND user_id = $3`,
+      [eventId, lineItemId, userId]
+    );
+    if (dropped.rows.length > 0) {
+      return rejection(409, "DROPPED_OUT", "You have dropped out of this line item");
+    }
+
+    return { state };
+  }
+
+  // Run fn in a transaction; commit unless it returned a rejection
+  async function inTransaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const outcome = await fn(client);
+      await client.query(outcome.rejection ? "ROLLBACK" : "COMMIT");
+      return outcome;
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // After commit: broadcast the winning bid and the resolved clock, then close the event if it was the last one
+  async function announceAward(eventId, award, bidder) {
+    const bid = enrichBid(award.bid, bidder);
+    await bidService.announceBids(eventId, bid.user_id, [bid], bidder);
+    io.to(`event_${eventId}`).emit("dutch_update", publicState(award.state));
+    io.to(managersRoom(eventId)).emit("dutch_award", {
+      event_id: Number(eventId),
+      line_item_id: award.state.line_item_id,
+      user_id: bid.user_id,
+      amount: Number(bid.amount),
+      source: bid.source,
+    });
+    io.to(userRoom(bid.user_id)).emit("dutch_won", {
+      event_id: Number(eventId),
+      line_item_id: award.state.line_item_id,
+      amount: Number(bid.amount),
+    });
+    await scheduleNextStep(eventId);
+    await closeIfResolved(eventId);
+    return bid;
+  }
+
+  /**
+   * Accept the offered price on a line item. The first acceptance wins it.
+   * @param {number} eventId - The event ID
+   * @param {number} userId - The bidder's user ID
+   * @param {number} lineItemId - The line item
+   * @param {number} [expectedPrice] - Price the bidder saw; rejected if the clock has moved since
+   * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ bid, state }`
+   */
+  async function accept(eventId, userId, lineItemId, expectedPrice) {
+    const outcome = await inTransaction(async (db) => {
+      const locked = await lockRunningLineItem(db, eventId, userId, lineItemId);
+      if (locked.rejection) return locked;
+
+      const price = Number(locked.state.current_price);
+      if (expectedPrice !== undefined && expectedPrice !== null && Number(expectedPrice) !== price) {
+        return {
+          rejection: {
+            status: 409,
+            code: "PRICE_CHANGED",
+            error: "The offered price has changed",
+            current_price: price,
+          },
+        };
+      }
+
+      const award = await awardLineItem(db, eventId, lineItemId, userId, price, "dutch_accept");
+      return { award, bidder: await loadBidder(userId, db) };
+    });
+    if (outcome.rejection) return outcome;
+
+    const bid = await announceAward(eventId, outcome.award, outcome.bidder);
+    return { bid, state: publicState(outcome.award.state) };
+  }
+
+  /**
+   * Drop out of a line item. When only one assigned bidder is left they are awarded
+   * it at the current price; when none are left it closes with no award.
+   * @param {number} eventId - The event ID
+   * @param {number} userId - The bidder's user ID
+   * @param {number} lineItemId - The line item
+   * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ state, remaining }`
+   */
+  async function dropOut(eventId, userId, lineItemId) {
+    const outcome = await inTransaction(async (db) => {
+      const locked = await lockRunningLineItem(db, eventId, userId, lineItemId);
+      if (locked.rejection) return locked;
+
+      await db.query(
+        `INSERT INTO dutch_dropouts (event_id, line_item_id, user_id) VALUES ($1, $2, $3)
+         ON CONFLICT DO NOTHING`,
+        [eventId, lineItemId, userId]
+      );
+
+      // Assigned, invited bidders who have not dropped out
+      const remainingRes = await db.query(
+        `SELECT bia.user_id
+         FROM bidder_item_assignments bia
+         JOIN event_members em ON em.user_id = bia.user_id AND em.event_id = $1 AND em.role = 'bidder'
+         WHERE bia.line_item_id = $2
+           AND NOT EXISTS (
+             SELECT 1 FROM dutch_dropouts d
+             WHERE d.event_id = $1 AND d.line_item_id = $2 AND d.user_id = bia.user_id
+           )`,
+        [eventId, lineItemId]
+      );
+      const remaining = remainingRes.rows.map(r => r.user_id);
+
+      if (remaining.length === 1) {
+        const winnerId = remaining[0];
+        const award = await awardLineItem(
+          db, eventId, lineItemId, winnerId, locked.state.current_price, "dutch_last_remaining"
+        );
+        return { award, bidder: await loadBidder(winnerId, db), remaining: 1 };
+      }
+
+      if (remaining.length === 0) {
+        const stateRes = await db.query(
+          `UPDATE dutch_line_item_state SET status = 'no_award', resolved_at = NOW()
+           WHERE event_id = $1 AND line_item_id = $2
+           RETURNING *`,
+          [eventId, lineItemId]
+        );
+        return { state: stateRes.rows[0], remaining: 0 };
+      }
+
+      return { state: locked.state, remaining: remaining.length };
+    });
+    if (outcome.rejection) return outcome;
+
+    if (outcome.award) {
+      await announceAward(eventId, outcome.award, outcome.bidder);
+      return { state: publicState(outcome.award.state), remaining: outcome.remaining };
+    }
+
+    io.to(managersRoom(eventId)).emit("dutch_dropout", {
+      event_id: Number(eventId),
+      line_item_id: Number(lineItemId),
+      user_id: userId,
+      remaining: outcome.remaining,
+    });
+    if (outcome.state.status !== "running") {
+      io.to(`event_${eventId}`).emit("dutch_update", publicState(outcome.state));
+      await scheduleNextStep(eventId);
+      await closeIfResolved(eventId);
+    }
+    return { state: publicState(outcome.state), remaining: outcome.remaining };
+  }
+
+  /**
+   * Current clocks for an event. Managers see winners and drop-out counts;
+   * bidders see only their assigned line items and whether they dropped out or won.
+   * @param {number} eventId - The event ID
+   * @param {object} user - `req.user`
+   * @returns {Promise<Array<object>>} - One entry per line item
+   */
+  async function getState(eventId, user) {
+    const isManager = user.role === "manager";
+    const result = await pool.query(
+      `SELECT s.*,
+              EXTRACT(EPOCH FROM e.dutch_step_interval)::int AS step_interval_seconds,
+              e.dutch_direction,
+              (SELECT COUNT(*)::int FROM dutch_dropouts d
+               WHERE d.event_id = s.event_id AND d.line_item_id = s.line_item_id) AS dropout_count,
+              EXISTS (
+                SELECT 1 FROM dutch_dropouts d
+                WHERE d.event_id = s.event_id AND d.line_item_id = s.line_item_id AND d.user_id = $2
+              ) AS dropped_out
+       FROM dutch_line_item_state s
+       JOIN events e ON e.id = s.event_id
+       WHERE s.event_id = $1
+         AND ($3 OR EXISTS (
+           SELECT 1 FROM bidder_item_assignments bia
+           WHERE bia.line_item_id = s.line_item_id AND bia.user_id = $2
+         ))
+       ORDER BY s.line_item_id`,
+      [eventId, user.id, isManager]
+    );
+
+    return result.rows.map(row => {
+      const state = {
+        ...publicState(row),
+        direction: row.dutch_direction,
+        step_interval_seconds: row.step_interval_seconds,
+      };
+      if (isManager) {
+        return {
+          ...state,
+          step_amount: Number(row.step_amount),
+          winner_user_id: row.winner_user_id,
+          winning_bid_id: row.winning_bid_id,
+          dropout_count: row.dropout_count,
+          resolved_at: row.resolved_at,
+        };
+      }
+      return { ...state, dropped_out: row.dropped_out, won: row.winner_user_id === user.id };
+    });
+  }
+
+  // Shared tick loop: step every live, unpaused Dutch event whose next step is due
+  async function onTick(now, liveEvents) {
+    for (const [eventId, event] of liveEvents) {
+      if (event.type !== "dutch" || event.status !== "live" || stepping.has(eventId)) continue;
+
+      const due = nextStepAt.get(eventId);
+      if (due && due > now) continue;
+
+      stepping.add(eventId);
+      try {
+        if (!due) {
+          // First tick for this event on this instance: make sure its clocks exist
+          await initializeLineItems(eventId);
+          await scheduleNextStep(eventId);
+          const next = nextStepAt.get(eventId);
+          if (!next || next > now) continue;
+        }
+        await advancePrices(eventId);
+      } finally {
+        stepping.delete(eventId);
+      }
+    }
+  }
+
+  /**
+   * Drive the price clocks from the auction timer's shared loop
+   * @param {object} auctionTimer - From sockets/socket-auction-timer.js
+   */
+  function start(auctionTimer) {
+    auctionTimer.registerTicker(onTick);
+
+    // A new run starts the clocks; a resume continues them without counting the pause as a step
+    lifecycleHooks.on("status:live", ({ event, from }) => {
+      if (event.type !== "dutch") return;
+      const eventId = String(event.id);
+      const ready = from === "paused"
+        ? pool.query(
+          `UPDATE dutch_line_item_state SET last_step_at = NOW()
+           WHERE event_id = $1 AND status = 'running'`,
+          [eventId]
+        )
+        : initializeLineItems(eventId);
+      ready
+        .then(() => scheduleNextStep(eventId))
+        .then(() => {
+          if (from !== "paused") io.to(`event_${eventId}`).emit("dutch_started", { event_id: Number(eventId) });
+        })
+        .catch(err => console.error(`Error starting Dutch clocks for event ${eventId}:`, err));
+    });
+  }
+
+  return {
+    start,
+    initializeLineItems,
+    advancePrices,
+    accept,
+    dropOut,
+    getState,
+  };
+};
+
+module.exports.DUTCH_DIRECTIONS = DUTCH_DIRECTIONS;
+module.exports.parseDutchConfig = parseDutchConfig;
@@ -0,0 +1,188 @@
+// services/event-lifecycle.js
+const EventEmitter = require("events");
+const pool = require("../db/pool");
+
+// Lifecycle statuses, stored in events.status (the auction format stays in events.type)
+const STATUSES = [
+  "draft",
+  "rfq_published",
+  "scheduled",
+  "live",
+  "paused",
+  "closed",
+  "awarded",
+  "archived",
+  "cancelled",
+];
+
+// Allowed transitions: from -> [to]
+const TRANSITIONS = {
+  draft: ["rfq_published", "scheduled", "cancelled"],
+  rfq_published: ["scheduled", "live", "cancelled"],
+  scheduled: ["draft", "rfq_published", "live", "cancelled"],
+  live: ["paused", "closed", "cancelled"],
+  paused: ["live", "closed", "cancelled"],
+  closed: ["awarded", "archived"],
+  awarded: ["archived"],
+  cancelled: ["archived"],
+  archived: [],
+};
+
+// Statuses in which bids can never be accepted again
+const FINISHED_STATUSES = ["closed", "awarded", "archived", "cancelled"];
+
+// Shared by every caller so hooks fire no matter which module made the change.
+// Emits "transition" with every change and "status:<to>" for the new status.
+const lifecycleHooks = new EventEmitter();
+
+/**
+ * Check whether a transition is allowed
+ * @param {string|null} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} - True if allowed
+ */
+function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+}
+
+/**
+ * Record a status change in event_status_history
+ * @param {object} db - Pool or transaction client
+ * @param {object} change - `{ eventId, from, to, userId, reason }`
+ * @returns {Promise<object>} - The inserted history row
+ */
+async function recordStatusHistory(db, { eventId, from, to, userId = null, reason = null }) {
+  const result = await db.query(
+    `INSERT INTO event_status_history (event_id, from_status, to_status, changed_by, reason)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [eventId, from, to, userId, reason]
+  );
+  return result.rows[0];
+}
+
+function transitionError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Move an event to a new lifecycle status.
+ * Locks the event row, checks the transition, applies any extra column updates
+ * in the same statement, records history, then broadcasts and fires hooks.
+ * When the caller passes its own transaction (options.db) nothing is announced until it
+ * commits: the caller runs announceTransition with the returned change after COMMIT.
+ * @param {number} eventId - The event ID
+ * @param {string} to - Target status
+ * @param {object} options
+ * @param {object} [options.io] - Socket.IO server for the broadcast
+ * @param {number} [options.userId] - User making the change (null for the system)
+ * @param {string} [options.reason] - Free-text reason stored in history
+ * @param {object} [options.fields] - Extra events columns to set alongside the status
+ * @param {Array<string>} [options.from] - Only transition if currently in one of these statuses
+ * @param {boolean} [options.force] - Skip the transition table (debug reset and further tender rounds only)
+ * @param {object} [options.db] - Transaction client; if given the caller owns BEGIN/COMMIT and the announcement
+ * @returns {Promise<object>} - `{ event, from, to, history }`
+ * @throws {Error} - With `status` and `code` (EVENT_NOT_FOUND, INVALID_TRANSITION)
+ */
+async function transitionEvent(eventId, to, options = {}) {
+  const { io = null, userId = null, reason = null, fields = {}, from: expectedFrom = null, force = false } = options;
+
+  if (!STATUSES.includes(to)) {
+    throw transitionError(400, "INVALID_STATUS", `Unknown status "${to}"`);
+  }
+
+  const ownsTransaction = !options.db;
+  const db = options.db || await pool.connect();
+  let change;
+  try {
+    if (ownsTransaction) await db.query("BEGIN");
+
+    const current = await db.query(
+      `SELECT status FROM events WHERE id = $1 FOR UPDATE`,
+      [eventId]
+    );
+    if (current.rows.length === 0) {
+      throw transitionError(404, "EVENT_NOT_FOUND", "Event not found");
+    }
+
+    const from = current.rows[0].status;
+    if (expectedFrom && !expectedFrom.includes(from)) {
+      throw transitionError(409, "INVALID_TRANSITION", `Event is ${from}, expected ${expectedFrom.join(" or ")}`);
+    }
+    if (!force && !canTransition(from, to)) {
+      throw transitionError(409, "INVALID_TRANSITION", `Cannot move event from ${from} to ${to}`);
+    }
+
+    const columns = Object.keys(fields);
+    const assignments = ["status = $2", "is_paused = $3"]
+      .concat(columns.map((col, i) => `${col} = $${i + 4}`));
+    const updated = await db.query(
+      `UPDATE events SET ${assignments.join(", ")} WHERE id = $1 RETURNING *`,
+      [eventId, to, to === "paused", ...columns.map(col => fields[col])]
+    );
+
+    const history = await recordStatusHistory(db, { eventId, from, to, userId, reason });
+
+    if (ownsTransaction) await db.query("COMMIT");
+    change = { event: updated.rows[0], from, to, history };
+  } catch (err) {
+    if (ownsTransaction) await db.query("ROLLBACK");
+    throw err;
+  } finally {
+    if (ownsTransaction) db.release();
+  }
+
+  if (ownsTransaction) announceTransition(change, io);
+  return change;
+}
+
+/**
+ * Broadcast a committed status change and fire the lifecycle hooks
+ * @param {object} change - As returned by transitionEvent
+ * @param {object} [io] - Socket.IO server for the broadcast
+ */
+function announceTransition(change, io = null) {
+  if (io) {
+    io.to(`event_${change.event.id}`).emit("event_status_changed", {
+      eventId: Number(change.event.id),
+      from: change.from,
+      to: change.to,
+      reason: change.history.reason,
+      changedAt: change.history.created_at,
+    });
+  }
+  lifecycleHooks.emit("transition", change);
+  lifecycleHooks.emit(`status:${change.to}`, change);
+}
+
+/**
+ * Get the transition history for an event, oldest first
+ * @param {number} eventId - The event ID
+ * @returns {Promise<Array<object>>} - History rows with the changing user's name
+ */
+async function getStatusHistory(eventId) {
+  const result = await pool.query(
+    `SELECT h.*, u.first_name, u.last_name, u.email
+     FROM event_status_history h
+     LEFT JOIN users u ON h.changed_by = u.id
+     WHERE h.event_id = $1
+     ORDER BY h.created_at ASC, h.id ASC`,
+    [eventId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  FINISHED_STATUSES,
+  lifecycleHooks,
+  canTransition,
+  recordStatusHistory,
+  transitionEvent,
+  announceTransition,
+  getStatusHistory,
+};
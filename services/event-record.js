@@ -0,0 +1,175 @@
+// services/event-record.js
+const pool = require("../db/pool");
+const { shouldMaskBidders, getBidderAliases, maskBid } = require("./bidder-masking");
+const { getSealedRoundIds } = require("./sealed-tender");
+
+// The event and bid data behind GET /events/:id and GET /events/:id/bids, loaded here so the
+// documents produced from an event (see services/certificate.js) show exactly what the API does.
+
+/**
+ * An event with its line items and supplier assignments (opening bids, weightings, adjustments)
+ * @param {number} eventId - The event ID
+ * @returns {Promise<object|null>} - The event, or null when it does not exist
+ */
+async function getEventDetails(eventId) {
+  const eventResult = await pool.query(
+    `
+    SELECT e.*,
+           o.name AS organisation_name,
+           c.name AS category_name,
+           ROUND(EXTRACT(EPOCH FROM e.auction_duration) / 60)::int AS auction_duration,
+           ROUND(EXTRACT(EPOCH FROM e.extension_time))::int AS extension_time,
+           ROUND(EXTRACT(EPOCH FROM e.extension_threshold))::int AS extension_threshold,
+           ROUND(EXTRACT(EPOCH FROM e.dutch_step_interval))::int AS dutch_step_interval,
+           ROUND(EXTRACT(EPOCH FROM e.japanese_round_duration))::int AS japanese_round_duration,
+           ROUND(EXTRACT(EPOCH FROM e.lot_stagger_interval))::int AS lot_stagger_interval
+    FROM events e
+    LEFT JOIN organisations o ON e.organisation_id = o.id
+    LEFT JOIN categories c ON e.category_id = c.id
+    WHERE e.id = $1
+    `,
+    [eventId]
+  );
+
+  if (eventResult.rows.length === 0) return null;
+
+  const event = eventResult.rows[0];
+
+  // Load line items for this event
+  const lineItemsResult = await pool.query(
+    `SELECT li.*, l.title AS lot_title
+     FROM lots l
+     JOIN line_items li ON li.lot_id = l.id
+     WHERE l.event_id = $1
+     ORDER BY l.id, li.id`,
+    [eventId]
+  );
+  event.line_items = lineItemsResult.rows;
+
+  // Load supplier assignments (with opening bids and weightings)
+  const supplierAssignmentsResult = await pool.query(
+    `SELECT
+       s.supplier_id,
+       s.line_item_id,
+       s.weighting,
+       s.opening_bid,
+       s.adjustment_amount,
+       s.adjustment_percent,
+       u.first_name,
+       u.last_name,
+       u.email,
+       o.name AS organisation_name
+     FROM supplier_line_item_settings s
+     JOIN users u ON s.supplier_id = u.id
+     LEFT JOIN organisations o ON u.organisation_id = o.id
+     WHERE s.event_id = $1
+     ORDER BY s.supplier_id, s.line_item_id`,
+    [eventId]
+  );
+  event.supplier_assignments = supplierAssignmentsResult.rows.map(s => {
+    if (!s.organisation_name) {
+      console.error(`ERROR: Supplier assignment for user ${s.supplier_id} (${s.email}) has no organisation_name. This user must be assigned to an organisation.`);
+    }
+    return {
+      ...s,
+      supplier_name: s.organisation_name || `[NO ORG] ${s.email || s.supplier_id}`
+    };
+  });
+
+  return event;
+}
+
+/**
+ * Every bid on an event, newest first, with Japanese round decisions folded in.
+ * Nothing is filtered or masked; see getManagerBids for what managers are shown.
+ * @param {number} eventId - The event ID
+ * @param {object} event - At least `{ type }`
+ * @returns {Promise<Array<object>>} - Bid rows with `bidder_id` and `user_name` (the supplier's organisation)
+ */
+async function getEventBids(eventId, event) {
+  let bidsQuery = `
+    SELECT
+      b.id,
+      b.amount,
+      b.created_at,
+      b.line_item_id,
+      b.user_id,
+      b.source,
+      b.tender_round_id,
+      b.attributes,
+      jd.round,
+      jd.decision,
+      u.first_name,
+      u.last_name,
+      u.email,
+      o.name AS organisation_name,
+      COALESCE(s.weighting, 1.0) AS weighting,
+      evaluated_price(b.amount, b.event_id, b.line_item_id, b.user_id) AS evaluated_amount
+    FROM bids b
+    LEFT JOIN users u ON b.user_id = u.id
+    LEFT JOIN organisations o ON u.organisation_id = o.id
+    LEFT JOIN supplier_line_item_settings s ON s.event_id = b.event_id
+      AND s.line_item_id = b.line_item_id
+      AND s.supplier_id = b.user_id
+    LEFT JOIN japanese_round_decisions jd ON jd.bid_id = b.id
+    WHERE b.event_id = $1
+    ORDER BY b.created_at DESC
+  `;
+  const bidsResult = await pool.query(bidsQuery, [eventId]);
+
+  // Japanese drop-outs and timeouts have no bid row, but belong in the history with the confirmations
+  if (event.type === "japanese") {
+    const decisionsResult = await pool.query(
+      `SELECT NULL::int AS id, NULL::numeric AS amount, d.created_at, d.line_item_id, d.user_id,
+              'japanese_' || d.decision AS source, NULL::int AS tender_round_id, d.round, d.decision, d.price,
+              u.first_name, u.last_name, u.email, o.name AS organisation_name, 1.0 AS weighting,
+              NULL::numeric AS evaluated_amount, NULL::jsonb AS attributes
+       FROM japanese_round_decisions d
+       LEFT JOIN users u ON d.user_id = u.id
+       LEFT JOIN organisations o ON u.organisation_id = o.id
+       WHERE d.event_id = $1 AND d.decision <> 'stay'`,
+      [eventId]
+    );
+    bidsResult.rows.push(...decisionsResult.rows);
+    bidsResult.rows.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+  return bidsResult.rows.map(b => {
+    if (!b.organisation_name) {
+      console.error(`ERROR: Bid from user ${b.user_id} (${b.email}) has no organisation_name. This user must be assigned to an organisation.`);
+    }
+    return {
+      ...b,
+      bidder_id: b.user_id,
+      user_name: b.organisation_name || `[NO ORG] ${b.email || b.user_id}`
+    };
+  });
+}
+
+/**
+ * The bids managers see: sealed tender bids stay hidden until their round is opened, and
+ * bidders are masked until revealed
+ * @param {number} eventId - The event ID
+ * @param {object} event - At least `{ type, reveal_bidders }`
+ * @returns {Promise<Array<object>>} - As getEventBids, newest first, with `display_name`
+ */
+async function getManagerBids(eventId, event) {
+  let bids = await getEventBids(eventId, event);
+  const sealedRounds = await getSealedRoundIds(eventId);
+  bids = bids.filter(b => !sealedRounds.has(b.tender_round_id));
+  if (shouldMaskBidders(event)) {
+    // Same aliases as the live broadcasts: assigned by first-bid order
+    const aliases = await getBidderAliases(eventId);
+    return bids.map(b => maskBid(b, aliases.get(b.bidder_id)));
+  }
+  for (const b of bids) {
+    b.display_name =
+      `${b.first_name || ""} ${b.last_name || ""}`.trim() || b.email;
+  }
+  return bids;
+}
+
+module.exports = {
+  getEventDetails,
+  getEventBids,
+  getManagerBids,
+};
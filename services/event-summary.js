@@ -0,0 +1,79 @@
+// services/event-summary.js
+const pool = require("../db/pool");
+const { getReserveStatus } = require("./reserve");
+
+// Extended figures are per-unit figures × ext_quantity (1 when it is not set), as on the auction screen
+function extended(value, lineItem) {
+  if (value === null || value === undefined) return null;
+  return Number(value) * (lineItem.ext_quantity !== null ? Number(lineItem.ext_quantity) : 1);
+}
+
+function sum(values) {
+  return values.filter(v => v !== null).reduce((acc, v) => acc + v, 0);
+}
+
+/**
+ * Post-auction summary: each line item's best bid against its baseline and reserve, with totals.
+ * Best bids are the leading bids at their evaluated prices (see services/reserve.js).
+ * @param {number} eventId - The event ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object>} - `{ line_items, totals }`; each line item has a `leader` (`{ user_id, user_name, organisation_name }`) or null
+ */
+async function getEventSummary(eventId, db = pool) {
+  const status = await getReserveStatus(eventId, db);
+
+  const leaderIds = [...new Set(status.map(li => li.leader_id).filter(Boolean))];
+  const users = await db.query(
+    `SELECT u.id, CONCAT(u.first_name, ' ', u.last_name) AS user_name, o.name AS organisation_name
+     FROM users u
+     LEFT JOIN organisations o ON o.id = u.organisation_id
+     WHERE u.id = ANY($1::int[])`,
+    [leaderIds]
+  );
+  const names = new Map(users.rows.map(u => [u.id, u]));
+
+  const lineItems = status.map(li => {
+    const extBaseline = li.ext_baseline !== null ? Number(li.ext_baseline) : extended(li.baseline, li);
+    const extBest = extended(li.best_amount, li);
+    const user = names.get(li.leader_id);
+    return {
+      line_item_id: li.line_item_id,
+      lot_id: li.lot_id,
+      lot_title: li.lot_title,
+      item_number: li.item_number,
+      item_name: li.item_name,
+      ext_quantity: li.ext_quantity,
+      baseline: li.baseline,
+      ext_baseline: extBaseline,
+      best_amount: li.best_amount,
+      leader_amount: li.leader_amount,
+      ext_best_amount: extBest,
+      savings: extBaseline !== null && extBest !== null ? extBaseline - extBest : null,
+      leader: user ? { user_id: user.id, user_name: user.user_name, organisation_name: user.organisation_name } : null,
+      reserve_value: li.reserve_value,
+      ext_reserve_value: extended(li.reserve_value, li),
+      reserve_met: li.reserve_met,
+      reserve_met_at: li.reserve_met_at,
+      reserve_shortfall: li.reserve_shortfall,
+      ext_reserve_shortfall: extended(li.reserve_shortfall, li),
+    };
+  });
+
+  const withReserve = lineItems.filter(li => li.reserve_met !== null);
+  return {
+    line_items: lineItems,
+    totals: {
+      baseline: sum(lineItems.map(li => li.ext_baseline)),
+      best: sum(lineItems.map(li => li.ext_best_amount)),
+      savings: sum(lineItems.map(li => li.savings)),
+      reserve: sum(lineItems.map(li => li.ext_reserve_value)),
+      reserve_shortfall: sum(lineItems.map(li => li.ext_reserve_shortfall)),
+      reserve_line_items: withReserve.length,
+      reserve_met_line_items: withReserve.filter(li => li.reserve_met).length,
+    },
+  };
+}
+
+module.exports = {
+  getEventSummary,
+};
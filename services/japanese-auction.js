@@ -0,0 +1,543 @@
+// services/japanese-auction.js
+const pool = require("../db/pool");
+const { checkCanBid, checkLineItemAssignments } = require("./bid-eligibility");
+const { lifecycleHooks, transitionEvent } = require("./event-lifecycle");
+const { loadBidder, enrichBid } = require("./bid-service");
+const { eventRoom, managersRoom, userRoom } = require("./bid-broadcast");
+
+/**
+ * Validate the Japanese settings sent with an event. Missing fields keep their stored (or default) value.
+ * @param {object} body - Request body with any of japanese_start_percent, japanese_step_percent,
+ *   japanese_round_duration (seconds)
+ * @returns {object} - `{ error }` or `{ config }` with each field given (null when absent)
+ */
+function parseJapaneseConfig(body) {
+  const config = {
+    japanese_start_percent: null,
+    japanese_step_percent: null,
+    japanese_round_duration: null,
+  };
+  for (const field of Object.keys(config)) {
+    const value = body[field];
+    if (value === undefined || value === null || value === "") continue;
+    const num = Number(value);
+    if (isNaN(num) || num <= 0) {
+      return { error: `${field} must be a positive number` };
+    }
+    config[field] = field === "japanese_round_duration" ? `${Math.round(num)} seconds` : num;
+  }
+  return { config };
+}
+
+// When each live Japanese event's earliest round ends, by event_id
+const nextRoundEndAt = new Map();
+// Events with a round resolution in flight
+const resolving = new Set();
+
+function rejection(status, code, error) {
+  return { rejection: { status, code, error } };
+}
+
+// In a Japanese (reverse) event every line item runs in rounds. Each round offers a
+// price one step below the last, and every supplier still in must confirm they stay
+// in before the round ends; anyone who drops out or lets the round expire is
+// eliminated. When one supplier is left they win at the price they last confirmed.
+// Every decision is kept in japanese_round_decisions; confirmations are also bids.
+module.exports = (io) => {
+  const bidService = require("./bid-service")(io);
+
+  /**
+   * Open round 1 on every line item of an event (no-op for line items already started)
+   * @param {number} eventId - The event ID
+   * @returns {Promise<number>} - Number of line items started
+   */
+  async function initializeLineItems(eventId) {
+    const result = await pool.query(
+      `INSERT INTO japanese_line_item_state (event_id, line_item_id, round, current_price, step_amount, round_ends_at)
+       SELECT e.id, li.id, 1,
+              ROUND(base.amount * e.japanese_start_percent / 100, 2),
+              ROUND(base.amount * e.japanese_step_percent / 100, 2),
+              NOW() + e.japanese_round_duration
+       FROM events e
+       JOIN lots l ON l.event_id = e.id
+       JOIN line_items li ON li.lot_id = l.id
+       CROSS JOIN LATERAL (SELECT COALESCE(li.baseline, li.opening_value) AS amount) base
+       WHERE e.id = $1 AND e.type = 'japanese' AND base.amount IS NOT NULL
+       ON CONFLICT (event_id, line_item_id) DO NOTHING`,
+      [eventId]
+    );
+    nextRoundEndAt.delete(String(eventId));
+    return result.rowCount;
+  }
+
+  async function scheduleNextRound(eventId) {
+    const result = await pool.query(
+      `SELECT MIN(round_ends_at) AS next_end
+       FROM japanese_line_item_state
+       WHERE event_id = $1 AND status = 'running'`,
+      [eventId]
+    );
+    const next = result.rows[0].next_end;
+    if (next) {
+      nextRoundEndAt.set(String(eventId), new Date(next));
+    } else {
+      nextRoundEndAt.delete(String(eventId));
+    }
+  }
+
+  // Suppliers allowed to decide in a round: every assigned bidder in round 1,
+  // afterwards only those who confirmed the previous round
+  async function activeBidders(db, eventId, lineItemId, round) {
+    const result = round === 1
+      ? await db.query(
+        `SELECT bia.user_id
+         FROM bidder_item_assignments bia
+         JOIN event_members em ON em.user_id = bia.user_id AND em.event_id = $1 AND em.role = 'bidder'
+         WHERE bia.line_item_id = $2`,
+        [eventId, lineItemId]
+      )
+      : await db.query(
+        `SELECT user_id FROM japanese_round_decisions
+         WHERE event_id = $1 AND line_item_id = $2 AND round = $3 AND decision = 'stay'`,
+        [eventId, lineItemId, round - 1]
+      );
+    return result.rows.map(r => r.user_id);
+  }
+
+  async function roundDecisions(db, eventId, lineItemId, round) {
+    const result = await db.query(
+      `SELECT * FROM japanese_round_decisions
+       WHERE event_id = $1 AND line_item_id = $2 AND round = $3
+       ORDER BY created_at, id`,
+      [eventId, lineItemId, round]
+    );
+    return result.rows;
+  }
+
+  async function recordDecision(db, state, userId, decision, bidId = null) {
+    await db.query(
+      `INSERT INTO japanese_round_decisions (event_id, line_item_id, round, user_id, price, decision, bid_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [state.event_id, state.line_item_id, state.round, userId, state.current_price, decision, bidId]
+    );
+  }
+
+  async function award(db, state, decision) {
+    const updated = await db.query(
+      `UPDATE japanese_line_item_state
+       SET status = 'accepted', winner_user_id = $3, winning_bid_id = $4, resolved_at = NOW()
+       WHERE event_id = $1 AND line_item_id = $2
+       RETURNING *`,
+      [state.event_id, state.line_item_id, decision.user_id, decision.bid_id]
+    );
+    return { state: updated.rows[0], winner: { user_id: decision.user_id, bid_id: decision.bid_id, price: decision.price } };
+  }
+
+  /**
+   * Close a round on a locked state row: eliminate everyone who did not confirm, then
+   * open the next round, award the line item, or close it with no award.
+   * @param {object} db - Transaction client holding the event and state row locks
+   * @param {object} state - The locked japanese_line_item_state row
+   * @returns {Promise<object>} - `{ state, winner? }`
+   */
+  async function resolveRound(db, state) {
+    const { event_id: eventId, line_item_id: lineItemId, round } = state;
+    const active = await activeBidders(db, eventId, lineItemId, round);
+    const decisions = await roundDecisions(db, eventId, lineItemId, round);
+    const decided = new Set(decisions.map(d => d.user_id));
+
+    for (const userId of active) {
+      if (!decided.has(userId)) await recordDecision(db, state, userId, "timeout");
+    }
+
+    const stayed = decisions.filter(d => d.decision === "stay");
+    const nextPrice = Number(state.current_price) - Number(state.step_amount);
+
+    if (stayed.length >= 2 && nextPrice > 0) {
+      const updated = await db.query(
+        `UPDATE japanese_line_item_state s
+         SET round = s.round + 1,
+             current_price = s.current_price - s.step_amount,
+             round_ends_at = NOW() + e.japanese_round_duration
+         FROM events e
+         WHERE e.id = s.event_id AND s.event_id = $1 AND s.line_item_id = $2
+         RETURNING s.*`,
+        [eventId, lineItemId]
+      );
+      return { state: updated.rows[0] };
+    }
+
+    // One supplier left, or the price can't go lower: the earliest confirmation wins
+    if (stayed.length >= 1) {
+      return award(db, state, stayed[0]);
+    }
+
+    // Nobody confirmed: the earliest confirmation of the previous round wins at that price
+    if (round > 1) {
+      const previous = (await roundDecisions(db, eventId, lineItemId, round - 1))
+        .filter(d => d.decision === "stay");
+      if (previous.length > 0) return award(db, state, previous[0]);
+    }
+
+    const updated = await db.query(
+      `UPDATE japanese_line_item_state SET status = 'no_award', resolved_at = NOW()
+       WHERE event_id = $1 AND line_item_id = $2
+       RETURNING *`,
+      [eventId, lineItemId]
+    );
+    return { state: updated.rows[0] };
+  }
+
+  // Round state with the counts every participant may see (never who is in or out)
+  async function loadPublicStates(eventId, lineItemIds, db = pool) {
+    const result = await db.query(
+      `SELECT s.event_id, s.line_item_id, s.round, s.current_price, s.round_ends_at, s.status,
+              CASE WHEN s.round = 1 THEN (
+                SELECT COUNT(*) FROM bidder_item_assignments bia
+                JOIN event_members em ON em.user_id = bia.user_id AND em.event_id = s.event_id AND em.role = 'bidder'
+                WHERE bia.line_item_id = s.line_item_id
+              ) ELSE (
+                SELECT COUNT(*) FROM japanese_round_decisions d
+                WHERE d.event_id = s.event_id AND d.line_item_id = s.line_item_id
+                  AND d.round = s.round - 1 AND d.decision = 'stay'
+              ) END::int AS active_count,
+              (SELECT COUNT(*) FILTER (WHERE d.decision = 'stay') FROM japanese_round_decisions d
+               WHERE d.event_id = s.event_id AND d.line_item_id = s.line_item_id AND d.round = s.round)::int AS confirmed_count,
+              (SELECT COUNT(*) FILTER (WHERE d.decision <> 'stay') FROM japanese_round_decisions d
+               WHERE d.event_id = s.event_id AND d.line_item_id = s.line_item_id AND d.round = s.round)::int AS eliminated_count
+       FROM japanese_line_item_state s
+       WHERE s.event_id = $1 AND ($2::int[] IS NULL OR s.line_item_id = ANY($2::int[]))
+       ORDER BY s.line_item_id`,
+      [eventId, lineItemIds]
+    );
+    return result.rows.map(row => ({
+      event_id: Number(row.event_id),
+      line_item_id: row.line_item_id,
+      round: row.round,
+      current_price: Number(row.current_price),
+      round_ends_at: row.round_ends_at,
+      status: row.status,
+      remaining: row.active_count - row.eliminated_count,
+      confirmed: row.confirmed_count,
+    }));
+  }
+
+  // After commit: announce round changes and remaining counts, the winner, and close the event when done
+  async function announce(eventId, outcomes) {
+    const ids = [...new Set(outcomes.map(o => o.state.line_item_id))];
+    if (ids.length === 0) return;
+
+    for (const state of await loadPublicStates(eventId, ids)) {
+      io.to(eventRoom(eventId)).emit("japanese_round", state);
+    }
+
+    for (const { winner, state } of outcomes) {
+      if (!winner) continue;
+      io.to(managersRoom(eventId)).emit("japanese_award", {
+        event_id: Number(eventId),
+        line_item_id: state.line_item_id,
+        user_id: winner.user_id,
+        amount: Number(winner.price),
+        bid_id: winner.bid_id,
+      });
+      io.to(userRoom(winner.user_id)).emit("japanese_won", {
+        event_id: Number(eventId),
+        line_item_id: state.line_item_id,
+        amount: Number(winner.price),
+      });
+    }
+
+    await scheduleNextRound(eventId);
+    await closeIfResolved(eventId);
+  }
+
+  async function closeIfResolved(eventId) {
+    const result = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE status = 'running')::int AS running, COUNT(*)::int AS total
+       FROM japanese_line_item_state WHERE event_id = $1`,
+      [eventId]
+    );
+    const { running, total } = result.rows[0];
+    if (total === 0 || running > 0) return null;
+
+    try {
+      nextRoundEndAt.delete(String(eventId));
+      return await transitionEvent(eventId, "closed", {
+        io,
+        reason: "All Japanese line items resolved",
+        from: ["live"],
+      });
+    } catch (err) {
+      if (err.code === "INVALID_TRANSITION" || err.code === "EVENT_NOT_FOUND") return null;
+      throw err;
+    }
+  }
+
+  async function inTransaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const outcome = await fn(client);
+      await client.query(outcome.rejection ? "ROLLBACK" : "COMMIT");
+      return outcome;
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Resolve every round on the event whose timer has run out
+   * @param {number} eventId - The event ID
+   * @returns {Promise<number>} - Number of rounds resolved
+   */
+  async function resolveDueRounds(eventId) {
+    const outcome = await inTransaction(async (db) => {
+      // Same lock order as decisions: event, then state rows
+      const eventRes = await db.query(`SELECT status FROM events WHERE id = $1 FOR UPDATE`, [eventId]);
+      if (eventRes.rows[0]?.status !== "live") return { outcomes: [] };
+
+      const due = await db.query(
+        `SELECT * FROM japanese_line_item_state
+         WHERE event_id = $1 AND status = 'running' AND round_ends_at <= NOW()
+         ORDER BY line_item_id
+         FOR UPDATE`,
+        [eventId]
+      );
+      const outcomes = [];
+      for (const state of due.rows) {
+        outcomes.push(await resolveRound(db, state));
+      }
+      return { outcomes };
+    });
+
+    await announce(eventId, outcome.outcomes);
+    return outcome.outcomes.length;
+  }
+
+  /**
+   * Record a supplier's decision for the current round. Confirming places a bid at the
+   * round price. When every active supplier has decided, the round closes at once.
+   * @param {number} eventId - The event ID
+   * @param {number} userId - The bidder's user ID
+   * @param {number} lineItemId - The line item
+   * @param {string} decision - "stay" or "drop"
+   * @param {number} [expectedRound] - Round the bidder saw; rejected if it has moved on
+   * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ state, bid? }`
+   */
+  async function decide(eventId, userId, lineItemId, decision, expectedRound) {
+    const outcome = await inTransaction(async (db) => {
+      const eventRes = await db.query(`SELECT type FROM events WHERE id = $1 FOR UPDATE`, [eventId]);
+
+      const notAllowed = await checkCanBid(eventId, userId, db);
+      if (notAllowed) return { rejection: notAllowed };
+
+      if (eventRes.rows[0].type !== "japanese") {
+        return rejection(409, "NOT_JAPANESE_AUCTION", "This event is not a Japanese auction");
+      }
+
+      const unassigned = await checkLineItemAssignments(eventId, userId, [lineItemId], db);
+      if (unassigned.length > 0) return { rejection: unassigned[0] };
+
+      const stateRes = await db.query(
+        `SELECT * FROM japanese_line_item_state
+         WHERE event_id = $1 AND line_item_id = $2
+         FOR UPDATE`,
+        [eventId, lineItemId]
+      );
+      const state = stateRes.rows[0];
+      if (!state) {
+        return rejection(404, "LINE_ITEM_NOT_FOUND", "This line item has no rounds");
+      }
+      if (state.status !== "running") {
+        return rejection(409, "LINE_ITEM_RESOLVED", "This line item has already been resolved");
+      }
+      if (expectedRound !== undefined && expectedRound !== null && Number(expectedRound) !== state.round) {
+        return {
+          rejection: {
+            status: 409,
+            code: "ROUND_CHANGED",
+            error: "The round has moved on",
+            round: state.round,
+            current_price: Number(state.current_price),
+          },
+        };
+      }
+      if (new Date(state.round_ends_at) <= new Date()) {
+        return rejection(409, "ROUND_ENDED", "This round has ended");
+      }
+
+      const active = await activeBidders(db, eventId, lineItemId, state.round);
+      if (!active.includes(userId)) {
+        return rejection(409, "ELIMINATED", "You are no longer in this line item");
+      }
+      const decisions = await roundDecisions(db, eventId, lineItemId, state.round);
+      if (decisions.some(d => d.user_id === userId)) {
+        return rejection(409, "ALREADY_DECIDED", "You have already decided this round");
+      }
+
+      let bid = null;
+      if (decision === "stay") {
+        const bidRes = await db.query(
+          `INSERT INTO bids (event_id, user_id, line_item_id, amount, source)
+           VALUES ($1, $2, $3, $4, 'japanese_stay')
+           RETURNING *`,
+          [eventId, userId, lineItemId, state.current_price]
+        );
+        bid = bidRes.rows[0];
+      }
+      await recordDecision(db, state, userId, decision, bid ? bid.id : null);
+
+      // Everyone has decided: no need to wait for the timer
+      const outcomes = [];
+      if (decisions.length + 1 >= active.length) {
+        outcomes.push(await resolveRound(db, state));
+      } else {
+        outcomes.push({ state });
+      }
+
+      return { bid, bidder: bid ? await loadBidder(userId, db) : null, outcomes };
+    });
+    if (outcome.rejection) return outcome;
+
+    let bid = null;
+    if (outcome.bid) {
+      bid = enrichBid(outcome.bid, outcome.bidder);
+      await bidService.announceBids(eventId, userId, [bid], outcome.bidder);
+    }
+    await announce(eventId, outcome.outcomes);
+
+    const [state] = await loadPublicStates(eventId, [Number(lineItemId)]);
+    return { state, bid };
+  }
+
+  /**
+   * Current rounds for an event. Managers see who is still in and the winners;
+   * bidders see their assigned line items and their own standing only.
+   * @param {number} eventId - The event ID
+   * @param {object} user - `req.user`
+   * @returns {Promise<Array<object>>} - One entry per line item
+   */
+  async function getState(eventId, user) {
+    const isManager = user.role === "manager";
+    const states = await loadPublicStates(eventId, null);
+    const rows = await pool.query(
+      `SELECT s.line_item_id, s.winner_user_id, s.winning_bid_id, s.resolved_at,
+              EXISTS (
+                SELECT 1 FROM bidder_item_assignments bia
+                WHERE bia.line_item_id = s.line_item_id AND bia.user_id = $2
+              ) AS assigned,
+              (SELECT d.decision FROM japanese_round_decisions d
+               WHERE d.event_id = s.event_id AND d.line_item_id = s.line_item_id
+                 AND d.round = s.round AND d.user_id = $2) AS my_decision,
+              EXISTS (
+                SELECT 1 FROM japanese_round_decisions d
+                WHERE d.event_id = s.event_id AND d.line_item_id = s.line_item_id
+                  AND d.user_id = $2 AND d.decision <> 'stay'
+              ) AS eliminated
+       FROM japanese_line_item_state s
+       WHERE s.event_id = $1`,
+      [eventId, user.id]
+    );
+    const extra = new Map(rows.rows.map(r => [r.line_item_id, r]));
+
+    return states
+      .filter(state => isManager || extra.get(state.line_item_id).assigned)
+      .map(state => {
+        const row = extra.get(state.line_item_id);
+        if (isManager) {
+          return {
+            ...state,
+            winner_user_id: row.winner_user_id,
+            winning_bid_id: row.winning_bid_id,
+            resolved_at: row.resolved_at,
+          };
+        }
+        return {
+          ...state,
+          my_decision: row.my_decision,
+          eliminated: row.eliminated,
+          won: row.winner_user_id === user.id,
+        };
+      });
+  }
+
+  async function onTick(now, liveEvents) {
+    for (const [eventId, event] of liveEvents) {
+      if (event.type !== "japanese" || event.status !== "live" || resolving.has(eventId)) continue;
+
+      const due = nextRoundEndAt.get(eventId);
+      if (due && due > now) continue;
+
+      resolving.add(eventId);
+      try {
+        if (!due) {
+          // First tick for this event on this instance: make sure its rounds exist
+          await initializeLineItems(eventId);
+          await scheduleNextRound(eventId);
+          const next = nextRoundEndAt.get(eventId);
+          if (!next || next > now) continue;
+        }
+        await resolveDueRounds(eventId);
+      } finally {
+        resolving.delete(eventId);
+      }
+    }
+  }
+
+  /**
+   * Run the round timers from the auction timer's shared loop
+   * @param {object} auctionTimer - From sockets/socket-auction-timer.js
+   */
+  function start(auctionTimer) {
+    auctionTimer.registerTicker(onTick);
+
+    // A pause stops every round timer; the resume gives back the time that was left
+    lifecycleHooks.on("status:paused", ({ event }) => {
+      if (event.type !== "japanese") return;
+      pool.query(
+        `UPDATE japanese_line_item_state
+         SET round_remaining = GREATEST(round_ends_at - NOW(), INTERVAL '0')
+         WHERE event_id = $1 AND status = 'running'`,
+        [event.id]
+      ).catch(err => console.error(`Error pausing Japanese rounds for event ${event.id}:`, err));
+    });
+
+    lifecycleHooks.on("status:live", ({ event, from }) => {
+      if (event.type !== "japanese") return;
+      const eventId = String(event.id);
+      const ready = from === "paused"
+        ? pool.query(
+          `UPDATE japanese_line_item_state
+           SET round_ends_at = NOW() + COALESCE(round_remaining, INTERVAL '0'), round_remaining = NULL
+           WHERE event_id = $1 AND status = 'running'`,
+          [eventId]
+        )
+        : initializeLineItems(eventId);
+      ready
+        .then(() => scheduleNextRound(eventId))
+        .then(async () => {
+          if (from !== "paused") {
+            io.to(eventRoom(eventId)).emit("japanese_started", { event_id: Number(eventId) });
+            return;
+          }
+          for (const state of await loadPublicStates(eventId, null)) {
+            io.to(eventRoom(eventId)).emit("japanese_round", state);
+          }
+        })
+        .catch(err => console.error(`Error starting Japanese rounds for event ${eventId}:`, err));
+    });
+  }
+
+  return {
+    start,
+    initializeLineItems,
+    resolveDueRounds,
+    decide,
+    getState,
+  };
+};
+
+module.exports.parseJapaneseConfig = parseJapaneseConfig;
@@ -0,0 +1,145 @@
+// services/lot-bidding.js
+const pool = require("../db/pool");
+const { getLotRanking } = require("./bid-ranking");
+
+// How bidders compete (events.bidding_mode)
+const BIDDING_MODES = [
+  "line_item", // each line item is ranked on its own
+  "lot_total", // bidders are ranked on their weighted total for the whole lot
+];
+const DEFAULT_BIDDING_MODE = "line_item";
+// Lot totals need typed prices on every line item; the clock formats price one line item at a time
+const LOT_TOTAL_FORMATS = ["open", "sealed"];
+
+/**
+ * Validate the bidding mode sent with an event
+ * @param {object} body - Request body with bidding_mode and type
+ * @returns {object} - `{ error }` or `{ mode }` (null when absent)
+ */
+function parseBiddingMode(body) {
+  const mode = body.bidding_mode || null;
+  if (mode && !BIDDING_MODES.includes(mode)) {
+    return { error: `bidding_mode must be one of ${BIDDING_MODES.join(", ")}` };
+  }
+  if (mode === "lot_total" && !LOT_TOTAL_FORMATS.includes(body.type || "open")) {
+    return { error: `Lot total bidding is only available for ${LOT_TOTAL_FORMATS.join(" and ")} events` };
+  }
+  return { mode };
+}
+
+/**
+ * Get the event's bidding mode
+ * @param {number} eventId - The event ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<string>} - One of BIDDING_MODES
+ */
+async function getBiddingMode(eventId, db = pool) {
+  const result = await db.query(`SELECT bidding_mode FROM events WHERE id = $1`, [eventId]);
+  return result.rows[0]?.bidding_mode || DEFAULT_BIDDING_MODE;
+}
+
+/**
+ * Find the lot of each line item
+ * @param {number} eventId - The event ID
+ * @param {Array<number>} lineItemIds - Line item IDs
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Map<number, number>>} - line_item_id -> lot_id
+ */
+async function getLineItemLots(eventId, lineItemIds, db = pool) {
+  const ids = [...new Set(lineItemIds.filter(Boolean).map(Number))];
+  if (ids.length === 0) return new Map();
+
+  const result = await db.query(
+    `SELECT li.id, li.lot_id
+     FROM line_items li
+     JOIN lots l ON li.lot_id = l.id
+     WHERE l.event_id = $1 AND li.id = ANY($2::int[])`,
+    [eventId, ids]
+  );
+  return new Map(result.rows.map(r => [r.id, r.lot_id]));
+}
+
+/**
+ * Lot total bidding: a batch is only accepted if, once placed, the bidder has a price on every
+ * required line item assigned to them in each lot the batch touches
+ * @param {number} eventId - The event ID
+ * @param {number} userId - The bidder's user ID
+ * @param {Array<object>} bids - The batch, `[{ line_item_id, amount }]`
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Array<object>>} - One rejection per required line item left without a price (empty if every lot is complete)
+ */
+async function checkLotComplete(eventId, userId, bids, db = pool) {
+  const lineItemIds = bids.map(b => Number(b.line_item_id)).filter(Boolean);
+  const lots = await getLineItemLots(eventId, lineItemIds, db);
+  if (lots.size === 0) return [];
+
+  const result = await db.query(
+    `SELECT li.id AS line_item_id, li.lot_id
+     FROM line_items li
+     JOIN bidder_item_assignments bia ON bia.line_item_id = li.id AND bia.user_id = $2
+     WHERE li.lot_id = ANY($3::int[])
+       AND li.required IS TRUE
+       AND li.id <> ALL($4::int[])
+       AND NOT EXISTS (
+         SELECT 1 FROM bids b
+         WHERE b.event_id = $1 AND b.user_id = $2 AND b.line_item_id = li.id
+       )
+     ORDER BY li.id`,
+    [eventId, userId, [...new Set(lots.values())], lineItemIds]
+  );
+
+  return result.rows.map(row => ({
+    status: 400,
+    code: "LOT_INCOMPLETE",
+    error: "This required line item needs a price before the lot can be bid",
+    line_item_id: row.line_item_id,
+    lot_id: row.lot_id,
+  }));
+}
+
+/**
+ * Every lot's ranking by lot total, with the bidders named (managers only; callers mask as needed)
+ * @param {number} eventId - The event ID
+ * @returns {Promise<Array<object>>} - `[{ lot_id, lot_title, ranking: [{ user_id, total, rank, user_name, ... }] }]`
+ */
+async function getLotRankings(eventId) {
+  const lots = await pool.query(`SELECT id, title FROM lots WHERE event_id = $1 ORDER BY id`, [eventId]);
+  const rankings = [];
+  for (const lot of lots.rows) {
+    rankings.push({ lot_id: lot.id, lot_title: lot.title, ranking: await getLotRanking(eventId, lot.id) });
+  }
+
+  const userIds = [...new Set(rankings.flatMap(l => l.ranking.map(r => r.user_id)))];
+  const users = await pool.query(
+    `SELECT u.id, u.first_name, u.last_name, u.email, o.name AS organisation_name
+     FROM users u
+     LEFT JOIN organisations o ON u.organisation_id = o.id
+     WHERE u.id = ANY($1::int[])`,
+    [userIds]
+  );
+  const byId = new Map(users.rows.map(u => [u.id, u]));
+
+  return rankings.map(lot => ({
+    ...lot,
+    ranking: lot.ranking.map(r => {
+      const { id, ...u } = byId.get(r.user_id) || {};
+      return {
+        ...r,
+        total: Number(r.total),
+        ...u,
+        user_name: u.organisation_name || `[NO ORG] ${u.email || r.user_id}`,
+      };
+    }),
+  }));
+}
+
+module.exports = {
+  BIDDING_MODES,
+  DEFAULT_BIDDING_MODE,
+  LOT_TOTAL_FORMATS,
+  parseBiddingMode,
+  getBiddingMode,
+  getLineItemLots,
+  checkLotComplete,
+  getLotRankings,
+};
@@ -0,0 +1,115 @@
+// services/lot-schedule.js
+const pool = require("../db/pool");
+const { lifecycleHooks } = require("./event-lifecycle");
+
+// Formats where bidders type their own prices; the clock formats run their own timing
+const STAGGERED_FORMATS = ["open", "sealed"];
+
+/**
+ * Give every lot its own window when the event needs one: all lots open with the event,
+ * the first closes at the event end and each later lot (by id) one stagger interval after
+ * the previous. Lot and line item soft close need the windows too (with no stagger every
+ * lot ends at the event end), and line item soft close gives each line item its lot's end
+ * (except on lot total events, where a line item extension extends its lot).
+ * The event end moves to the last lot's end so the event closes with it (on the row passed in
+ * too, so the transition announces it). Other events have their windows cleared.
+ * Run it in the transaction that moves the event to live, so the event never goes live without them.
+ * @param {object} event - Events row as returned by the transition to live
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Array<object>>} - The scheduled lots, in closing order
+ */
+async function scheduleLots(event, db = pool) {
+  // The window comes from the transition's row, which may not be committed yet
+  const ownWindows = event.lot_stagger_interval || ["lot", "line_item"].includes(event.extension_scope);
+  if (!ownWindows || !event.auction_end_time || !STAGGERED_FORMATS.includes(event.type)) {
+    await db.query(
+      `UPDATE lots SET start_time = NULL, end_time = NULL WHERE event_id = $1 AND end_time IS NOT NULL`,
+      [event.id]
+    );
+    await clearLineItemWindows(event.id, db);
+    return [];
+  }
+
+  const lots = await db.query(
+    `WITH ordered AS (
+       SELECT id, ROW_NUMBER() OVER (ORDER BY id) - 1 AS position
+       FROM lots WHERE event_id = $1
+     )
+     UPDATE lots l
+     SET start_time = $2,
+         end_time = $3::timestamp + o.position * COALESCE(e.lot_stagger_interval, INTERVAL '0')
+     FROM ordered o, events e
+     WHERE l.id = o.id AND e.id = $1
+     RETURNING l.*`,
+    [event.id, event.auction_start_time || event.auction_time, event.auction_end_time]
+  );
+  if (lots.rows.length === 0) return [];
+
+  // Lot total events rank whole lots, so their line items never close on their own
+  if (event.extension_scope === "line_item" && event.bidding_mode !== "lot_total") {
+    await db.query(
+      `UPDATE line_items li SET end_time = l.end_time
+       FROM lots l WHERE li.lot_id = l.id AND l.event_id = $1`,
+      [event.id]
+    );
+  } else {
+    await clearLineItemWindows(event.id, db);
+  }
+
+  lots.rows.sort((a, b) => a.end_time - b.end_time);
+  event.auction_end_time = lots.rows[lots.rows.length - 1].end_time;
+  await db.query(
+    `UPDATE events SET auction_end_time = $2 WHERE id = $1`,
+    [event.id, event.auction_end_time]
+  );
+  return lots.rows;
+}
+
+function clearLineItemWindows(eventId, db) {
+  return db.query(
+    `UPDATE line_items li SET end_time = NULL
+     FROM lots l WHERE li.lot_id = l.id AND l.event_id = $1 AND li.end_time IS NOT NULL`,
+    [eventId]
+  );
+}
+
+/**
+ * Push back the lots and line items that were still open when the event was paused
+ * @param {number} eventId - The event ID
+ * @param {Date} pausedAt - When the pause began
+ * @param {number} pausedMs - How long the pause lasted
+ * @param {object} db - Pool or transaction client
+ */
+async function shiftLots(eventId, pausedAt, pausedMs, db = pool) {
+  await db.query(
+    `UPDATE lots SET end_time = end_time + $3 * INTERVAL '1 millisecond'
+     WHERE event_id = $1 AND end_time > $2`,
+    [eventId, pausedAt, pausedMs]
+  );
+  await db.query(
+    `UPDATE line_items li SET end_time = li.end_time + $3 * INTERVAL '1 millisecond'
+     FROM lots l
+     WHERE li.lot_id = l.id AND l.event_id = $1 AND li.end_time > $2`,
+    [eventId, pausedAt, pausedMs]
+  );
+}
+
+/**
+ * Refresh the timer whenever an event starts a new run (not on resume), so the lot
+ * countdowns scheduled with it go out straight away.
+ * @param {object} auctionTimer - The shared auction timer
+ */
+function start(auctionTimer) {
+  lifecycleHooks.on("status:live", ({ event, from }) => {
+    if (from === "paused") return;
+    auctionTimer.refreshEvent(event.id)
+      .catch(err => console.error(`Error refreshing lot windows for event ${event.id}:`, err));
+  });
+}
+
+module.exports = {
+  STAGGERED_FORMATS,
+  scheduleLots,
+  shiftLots,
+  start,
+};
@@ -0,0 +1,215 @@
+// services/proxy-bids.js
+const pool = require("../db/pool");
+const { FINISHED_STATUSES } = require("./event-lifecycle");
+const { maxAllowedAmount, validateBid, loadBidContext } = require("./bid-rules");
+const { getLineItemRanking } = require("./bid-ranking");
+const { getTransforms, evaluatePrice, toRawPrice } = require("./bid-transform");
+const { getLineItemAttributes } = require("./bid-attributes");
+
+// Proxy bids only make sense where bidders see their position and prices are typed
+const PROXY_FORMATS = ["open"];
+// Upper bound on counter-bids per line item per placement, so two proxies can never loop
+const MAX_PROXY_ROUNDS = 50;
+// Statuses in which a bidder can still withdraw a floor
+const CANCELLABLE_STATUSES = ["scheduled", "live"];
+const EPSILON = 1e-9;
+
+// Proxy amounts sit on the line item's decimal grid (2 places unless the sheet says otherwise)
+function decimalsOf(lineItem) {
+  return lineItem.decimals !== null && lineItem.decimals !== undefined ? Number(lineItem.decimals) : 2;
+}
+
+function roundDown(amount, lineItem) {
+  const factor = Math.pow(10, decimalsOf(lineItem));
+  return Math.floor(amount * factor + EPSILON) / factor;
+}
+
+// The highest amount that beats `amount` by the line item decrement (one unit on the grid if there is none)
+function beat(amount, lineItem) {
+  const value = Number(amount);
+  return roundDown(Math.min(maxAllowedAmount(value, lineItem), value - Math.pow(10, -decimalsOf(lineItem))), lineItem);
+}
+
+/**
+ * Register or change a bidder's floor on a line item. A changed floor reactivates an exhausted proxy.
+ * @param {object} db - Transaction client
+ * @param {number} eventId - The event ID
+ * @param {number} userId - The bidder's user ID
+ * @param {number} lineItemId - The line item ID
+ * @param {number} floorAmount - Lowest amount the system may bid for them
+ * @returns {Promise<object>} - The proxy_bids row
+ */
+async function upsertProxyBid(db, eventId, userId, lineItemId, floorAmount) {
+  const result = await db.query(
+    `INSERT INTO proxy_bids (event_id, line_item_id, user_id, floor_amount)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (event_id, line_item_id, user_id)
+     DO UPDATE SET floor_amount = EXCLUDED.floor_amount, status = 'active', updated_at = NOW()
+     RETURNING *`,
+    [eventId, lineItemId, userId, floorAmount]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Stop bidding for a bidder on a line item. Floors stay as they were once the auction is over,
+ * so this is only allowed while the event is scheduled or live (the event is locked to check).
+ * @param {number} eventId - The event ID
+ * @param {number} userId - The bidder's user ID
+ * @param {number} lineItemId - The line item ID
+ * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ proxy_bid }`, the cancelled row
+ */
+async function cancelProxyBid(eventId, userId, lineItemId) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const locked = await client.query(`SELECT status FROM events WHERE id = $1 FOR UPDATE`, [eventId]);
+    let outcome;
+    if (locked.rows.length === 0) {
+      outcome = { rejection: { status: 404, code: "EVENT_NOT_FOUND", error: "Event not found" } };
+    } else if (!CANCELLABLE_STATUSES.includes(locked.rows[0].status)) {
+      outcome = {
+        rejection: {
+          status: 409,
+          code: "PROXY_BID_LOCKED",
+          error: `Auto-bid floors can only be cancelled while the auction is scheduled or live (it is ${locked.rows[0].status})`,
+        },
+      };
+    } else {
+      const result = await client.query(
+        `UPDATE proxy_bids SET status = 'cancelled', updated_at = NOW()
+         WHERE event_id = $1 AND user_id = $2 AND line_item_id = $3 AND status = 'active'
+         RETURNING *`,
+        [eventId, userId, lineItemId]
+      );
+      outcome = result.rows[0]
+        ? { proxy_bid: result.rows[0] }
+        : { rejection: { status: 404, code: "PROXY_BID_NOT_FOUND", error: "No active proxy bid on this line item" } };
+    }
+    await client.query(outcome.rejection ? "ROLLBACK" : "COMMIT");
+    return outcome;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Answer competing bids with proxy counter-bids until no proxy can improve its position.
+ * Each round the strongest proxy (lowest evaluated floor) that is not leading bids just enough
+ * to lead: the leader's amount less the decrement, or straight past the leader's own floor when
+ * the leader has a proxy too, never below its own floor. Positions are compared on evaluated
+ * prices, translated into the challenger's raw price. A proxy that reaches its floor, or can
+ * make no valid bid, is exhausted. Line items scored on attributes are left alone, since price
+ * alone does not decide them. Runs inside the placement transaction with the line items locked.
+ * @param {object} db - Transaction client
+ * @param {number} eventId - The event ID
+ * @param {Array<number>} lineItemIds - Line items that just received bids
+ * @returns {Promise<Array<object>>} - The inserted bids (source 'proxy'), in order
+ */
+async function runProxies(db, eventId, lineItemIds) {
+  const generated = [];
+  const exhaust = (proxy) => db.query(
+    `UPDATE proxy_bids SET status = 'exhausted', updated_at = NOW() WHERE id = $1`,
+    [proxy.id]
+  );
+
+  const ids = [...new Set(lineItemIds.map(Number))];
+  const scored = await getLineItemAttributes(ids, db);
+  for (const lineItemId of ids.filter(id => !scored.has(id))) {
+    for (let round = 0; round < MAX_PROXY_ROUNDS; round++) {
+      const proxies = await db.query(
+        `SELECT * FROM proxy_bids
+         WHERE event_id = $1 AND line_item_id = $2 AND status = 'active'
+         ORDER BY evaluated_price(floor_amount, event_id, line_item_id, user_id) ASC, created_at ASC, id ASC`,
+        [eventId, lineItemId]
+      );
+      if (proxies.rows.length === 0) break;
+
+      // Nothing to answer until someone has bid
+      const ranking = await getLineItemRanking(eventId, lineItemId, db);
+      const leader = ranking[0];
+      if (!leader) break;
+      const challenger = proxies.rows.find(p => p.user_id !== leader.user_id);
+      if (!challenger) break;
+
+      const context = await loadBidContext(eventId, challenger.user_id, lineItemId, db);
+      const { lineItem, previousAmount } = context;
+      const floor = Number(challenger.floor_amount);
+      const leaderProxy = proxies.rows.find(p => p.user_id === leader.user_id);
+
+      // What the leader's price and floor are worth in the challenger's raw terms
+      const challengerTransform = (await getTransforms(eventId, challenger.user_id, [lineItemId], db)).get(lineItemId);
+      const leaderTransform = (await getTransforms(eventId, leader.user_id, [lineItemId], db)).get(lineItemId);
+      const asChallenger = (raw) => toRawPrice(evaluatePrice(raw, leaderTransform), challengerTransform);
+
+      let target = beat(asChallenger(leader.amount), lineItem);
+      if (leaderProxy && Number(leaderProxy.floor_amount) < Number(leader.amount)) {
+        target = Math.min(target, beat(asChallenger(leaderProxy.floor_amount), lineItem));
+      }
+      let amount = Math.max(target, floor);
+      if (previousAmount !== null) {
+        amount = Math.min(amount, roundDown(maxAllowedAmount(Number(previousAmount), lineItem), lineItem));
+      }
+
+      const rejection = amount < floor - EPSILON ||
+        validateBid({ ...context, amount: amount.toFixed(decimalsOf(lineItem)) });
+      if (rejection) {
+        await exhaust(challenger);
+        continue;
+      }
+
+      const bid = await db.query(
+        `INSERT INTO bids (event_id, user_id, line_item_id, amount, source)
+         VALUES ($1, $2, $3, $4, 'proxy')
+         RETURNING *`,
+        [eventId, challenger.user_id, lineItemId, amount]
+      );
+      generated.push(bid.rows[0]);
+      if (amount <= floor + EPSILON) await exhaust(challenger);
+    }
+  }
+  return generated;
+}
+
+/**
+ * Proxy bids on an event. Bidders see their own; managers see everyone's,
+ * but the floors stay hidden until the event has finished.
+ * @param {number} eventId - The event ID
+ * @param {object} user - `req.user`
+ * @returns {Promise<object>} - `{ floors_visible, proxy_bids }`
+ */
+async function getProxyBids(eventId, user) {
+  const isManager = user.role === "manager";
+  const eventRes = await pool.query(`SELECT status FROM events WHERE id = $1`, [eventId]);
+  const floorsVisible = !isManager || FINISHED_STATUSES.includes(eventRes.rows[0]?.status);
+
+  const result = await pool.query(
+    `SELECT p.id, p.line_item_id, li.item_name AS line_item_name, p.user_id,
+            u.first_name, u.last_name, o.name AS organisation_name,
+            p.floor_amount, p.status, p.created_at, p.updated_at
+     FROM proxy_bids p
+     JOIN line_items li ON li.id = p.line_item_id
+     JOIN users u ON u.id = p.user_id
+     LEFT JOIN organisations o ON o.id = u.organisation_id
+     WHERE p.event_id = $1 AND ($2 OR p.user_id = $3)
+     ORDER BY p.line_item_id, p.user_id`,
+    [eventId, isManager, user.id]
+  );
+  return {
+    floors_visible: floorsVisible,
+    proxy_bids: result.rows.map(({ floor_amount, ...row }) =>
+      floorsVisible ? { ...row, floor_amount } : row
+    ),
+  };
+}
+
+module.exports = {
+  PROXY_FORMATS,
+  upsertProxyBid,
+  cancelProxyBid,
+  runProxies,
+  getProxyBids,
+};
@@ -0,0 +1,155 @@
+// services/reserve.js
+const pool = require("../db/pool");
+const { scoredLatest, RANK_ORDER } = require("./bid-ranking");
+
+// A line item meets reserve when its leading bid (by RANK_ORDER, so by score where it is scored)
+// costs the buyer no more than line_items.reserve_value, at its evaluated price. Lot total events
+// are judged per line item the same way. Line items without a reserve_value have no reserve.
+
+// Leading latest bid per line item ($1 event, `lineItemFilter` picks the line items)
+const leaders = (lineItemFilter) => `
+  ${scoredLatest(lineItemFilter)},
+  leader AS (
+    SELECT DISTINCT ON (line_item_id) line_item_id, user_id, amount, evaluated_amount
+    FROM scored
+    ORDER BY line_item_id, ${RANK_ORDER}
+  )`;
+
+/**
+ * Each line item's leading bid against its reserve
+ * @param {number} eventId - The event ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Array<object>>} - Line items in lot order with `leader_id`, `leader_amount`, `best_amount` (evaluated),
+ *   `reserve_met` (null without a reserve) and `reserve_shortfall` (per unit, 0 once met, null without a bid or reserve)
+ */
+async function getReserveStatus(eventId, db = pool) {
+  const result = await db.query(
+    `WITH ${leaders("TRUE")}
+     SELECT li.id AS line_item_id, li.lot_id, l.title AS lot_title, li.item_number, li.item_name,
+            li.ext_quantity, li.baseline, li.ext_baseline, li.reserve_value, li.reserve_met_at,
+            leader.user_id AS leader_id, leader.amount AS leader_amount, leader.evaluated_amount AS best_amount
+     FROM line_items li
+     JOIN lots l ON l.id = li.lot_id
+     LEFT JOIN leader ON leader.line_item_id = li.id
+     WHERE l.event_id = $1
+     ORDER BY l.id, li.id`,
+    [eventId]
+  );
+
+  return result.rows.map(row => {
+    const hasReserve = row.reserve_value !== null;
+    const hasBid = row.best_amount !== null;
+    const over = hasReserve && hasBid ? Number(row.best_amount) - Number(row.reserve_value) : null;
+    return {
+      ...row,
+      reserve_met: hasReserve ? hasBid && over <= 0 : null,
+      reserve_shortfall: over !== null ? Math.max(0, over) : null,
+    };
+  });
+}
+
+/**
+ * Stamp reserve_met_at on line items whose leading bid has just met reserve. Only the first
+ * time counts: a line item already stamped is skipped, so each is reported once.
+ * @param {number} eventId - The event ID
+ * @param {Array<number>} lineItemIds - Line items that just received bids
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Array<object>>} - `[{ line_item_id, reserve_met_at }]` for line items that met reserve now
+ */
+async function markReserveMet(eventId, lineItemIds, db = pool) {
+  const ids = [...new Set(lineItemIds.filter(Boolean).map(Number))];
+  if (ids.length === 0) return [];
+
+  const result = await db.query(
+    `WITH ${leaders("line_item_id = ANY($2::int[])")}
+     UPDATE line_items li SET reserve_met_at = NOW()
+     FROM leader
+     WHERE leader.line_item_id = li.id
+       AND li.reserve_met_at IS NULL
+       AND li.reserve_value IS NOT NULL
+       AND leader.evaluated_amount <= li.reserve_value
+     RETURNING li.id AS line_item_id, li.reserve_met_at`,
+    [eventId, ids]
+  );
+  return result.rows;
+}
+
+/**
+ * On events that enforce reserve, refuse to close while a line item is above reserve
+ * (or has no bid at all). Closing at the scheduled end time is not held back.
+ * Awards are checked line by line with checkAwardReserve.
+ * @param {number} eventId - The event ID
+ * @param {string} to - The requested status
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object|null>} - Rejection `{ status, code, error, line_items }`, or null if allowed
+ */
+async function checkReserveEnforced(eventId, to, db = pool) {
+  if (to !== "closed") return null;
+
+  const event = await db.query(`SELECT reserve_enforced FROM events WHERE id = $1`, [eventId]);
+  if (!event.rows[0] || !event.rows[0].reserve_enforced) return null;
+
+  const unmet = (await getReserveStatus(eventId, db)).filter(li => li.reserve_met === false);
+  if (unmet.length === 0) return null;
+
+  return {
+    status: 409,
+    code: "RESERVE_NOT_MET",
+    error: `${unmet.length} line item(s) have not met reserve`,
+    line_items: unmet.map(li => ({
+      line_item_id: li.line_item_id,
+      item_number: li.item_number,
+      item_name: li.item_name,
+      reserve_value: li.reserve_value,
+      best_amount: li.best_amount,
+      reserve_shortfall: li.reserve_shortfall,
+    })),
+  };
+}
+
+/**
+ * On events that enforce reserve, refuse an award that buys any line item above reserve.
+ * Each award line is judged at its supplier's evaluated price, whoever is leading.
+ * @param {number} eventId - The event ID
+ * @param {number} awardId - The award being approved
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object|null>} - Rejection `{ status, code, error, line_items }`, or null if allowed
+ */
+async function checkAwardReserve(eventId, awardId, db = pool) {
+  const event = await db.query(`SELECT reserve_enforced FROM events WHERE id = $1`, [eventId]);
+  if (!event.rows[0] || !event.rows[0].reserve_enforced) return null;
+
+  const result = await db.query(
+    `SELECT al.line_item_id, al.supplier_id, li.item_number, li.item_name, li.reserve_value,
+            evaluated_price(al.amount, $1, al.line_item_id, al.supplier_id) AS evaluated_amount
+     FROM award_lines al
+     JOIN line_items li ON li.id = al.line_item_id
+     WHERE al.award_id = $2 AND li.reserve_value IS NOT NULL
+       AND evaluated_price(al.amount, $1, al.line_item_id, al.supplier_id) > li.reserve_value
+     ORDER BY al.line_item_id, al.supplier_id`,
+    [eventId, awardId]
+  );
+  if (result.rows.length === 0) return null;
+
+  return {
+    status: 409,
+    code: "RESERVE_NOT_MET",
+    error: `${result.rows.length} award line(s) are above reserve`,
+    line_items: result.rows.map(row => ({
+      line_item_id: row.line_item_id,
+      supplier_id: row.supplier_id,
+      item_number: row.item_number,
+      item_name: row.item_name,
+      reserve_value: row.reserve_value,
+      awarded_amount: row.evaluated_amount,
+      reserve_shortfall: Number(row.evaluated_amount) - Number(row.reserve_value),
+    })),
+  };
+}
+
+module.exports = {
+  getReserveStatus,
+  markReserveMet,
+  checkReserveEnforced,
+  checkAwardReserve,
+};
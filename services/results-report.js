@@ -0,0 +1,275 @@
+// services/results-report.js
+const ExcelJS = require("exceljs");
+const pool = require("../db/pool");
+const { scoredLatest, RANK_ORDER } = require("./bid-ranking");
+const { getEventSummary } = require("./event-summary");
+
+// Post-auction results workbook for clients:
+//   Summary     - the event, participation and each line item's baseline, best bid and savings
+//   Final Ranks - every supplier's final position on every line item
+//   Extensions  - the soft-close extension log
+//   one sheet per line item with every bid placed on it, oldest first
+// Best bids and savings are at evaluated prices, as in the event summary; bid amounts are as placed.
+
+const MONEY = "#,##0.00";
+const PERCENT = "0.00%";
+const TIMESTAMP = "yyyy-mm-dd hh:mm:ss";
+
+// Excel sheet names: at most 31 characters, none of []:*?/\ and unique within the workbook
+function sheetName(base, used) {
+  const clean = String(base).replace(/[[\]:*?/\\]/g, " ").trim().slice(0, 31) || "Sheet";
+  let name = clean;
+  for (let n = 2; used.has(name.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    name = clean.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(name.toLowerCase());
+  return name;
+}
+
+// Bold header row, frozen, with widths and number formats per column
+function addTable(sheet, columns, rows) {
+  sheet.columns = columns.map(c => ({ key: c.key, width: c.width || 16, style: c.numFmt ? { numFmt: c.numFmt } : {} }));
+  const header = sheet.addRow(columns.map(c => c.header));
+  header.font = { bold: true };
+  header.fill = { type: "pattern", pattern: "solid", fgColor: { argb: "FFE2E8F0" } };
+  rows.forEach(row => sheet.addRow(columns.map(c => row[c.key] ?? null)));
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+}
+
+function num(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function lineItemLabel(li) {
+  return [li.item_number, li.item_name].filter(Boolean).join(" ") || `Line item ${li.line_item_id}`;
+}
+
+/**
+ * Build the results workbook for an event
+ * @param {number} eventId - The event ID
+ * @param {object} [options]
+ * @param {Map<number, string>} [options.aliases] - Supplier user ID -> alias, when suppliers are masked
+ * @returns {Promise<object|null>} - `{ workbook, event }`, or null when the event does not exist
+ */
+async function buildResultsWorkbook(eventId, { aliases = null } = {}) {
+  const eventRes = await pool.query(
+    `SELECT e.id, e.title, e.type, e.status, e.currency, e.auction_time,
+            COALESCE(e.auction_end_time, e.auction_time + e.auction_duration) AS end_time,
+            o.name AS organisation_name
+     FROM events e
+     LEFT JOIN organisations o ON o.id = e.organisation_id
+     WHERE e.id = $1`,
+    [eventId]
+  );
+  const event = eventRes.rows[0];
+  if (!event) return null;
+
+  const summary = await getEventSummary(eventId);
+
+  const bidsRes = await pool.query(
+    `SELECT b.id, b.line_item_id, b.user_id, b.amount, b.source, b.created_at,
+            evaluated_price(b.amount, b.event_id, b.line_item_id, b.user_id) AS evaluated_amount,
+            CONCAT(u.first_name, ' ', u.last_name) AS user_name, o.name AS organisation_name
+     FROM bids b
+     JOIN users u ON u.id = b.user_id
+     LEFT JOIN organisations o ON o.id = u.organisation_id
+     WHERE b.event_id = $1
+     ORDER BY b.line_item_id, b.created_at, b.id`,
+    [eventId]
+  );
+  const ranksRes = await pool.query(
+    `WITH ${scoredLatest("TRUE")}
+     SELECT s.line_item_id, s.user_id, s.amount, s.evaluated_amount, s.score, s.created_at,
+            ROW_NUMBER() OVER (PARTITION BY s.line_item_id ORDER BY ${RANK_ORDER})::int AS rank,
+            CONCAT(u.first_name, ' ', u.last_name) AS user_name, o.name AS organisation_name
+     FROM scored s
+     JOIN users u ON u.id = s.user_id
+     LEFT JOIN organisations o ON o.id = u.organisation_id
+     ORDER BY s.line_item_id, rank`,
+    [eventId]
+  );
+  const extensionsRes = await pool.query(
+    `SELECT x.created_at, x.scope, x.trigger, x.previous_end_time, x.new_end_time,
+            l.title AS lot_title, li.item_number, li.item_name, b.user_id,
+            CONCAT(u.first_name, ' ', u.last_name) AS user_name, o.name AS organisation_name
+     FROM auction_extensions x
+     LEFT JOIN lots l ON l.id = x.lot_id
+     LEFT JOIN line_items li ON li.id = x.line_item_id
+     LEFT JOIN bids b ON b.id = x.bid_id
+     LEFT JOIN users u ON u.id = b.user_id
+     LEFT JOIN organisations o ON o.id = u.organisation_id
+     WHERE x.event_id = $1
+     ORDER BY x.created_at, x.id`,
+    [eventId]
+  );
+  const invitedRes = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM event_members WHERE event_id = $1 AND role = 'bidder'`,
+    [eventId]
+  );
+
+  // Masked suppliers appear under their alias only
+  const supplier = (row) => aliases
+    ? { name: aliases.get(row.user_id) || "Company", organisation: null }
+    : { name: row.user_name, organisation: row.organisation_name };
+
+  const bidsByItem = new Map();
+  for (const bid of bidsRes.rows) {
+    if (!bidsByItem.has(bid.line_item_id)) bidsByItem.set(bid.line_item_id, []);
+    bidsByItem.get(bid.line_item_id).push(bid);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const used = new Set();
+
+  // --- Summary ---
+  const sheet = workbook.addWorksheet(sheetName("Summary", used));
+  const bidders = new Set(bidsRes.rows.map(b => b.user_id));
+  const details = [
+    ["Event", event.title],
+    ["Organisation", event.organisation_name],
+    ["Type", event.type],
+    ["Status", event.status],
+    ["Currency", event.currency],
+    ["Start", event.auction_time],
+    ["End", event.end_time],
+    ["Report generated", new Date()],
+    [],
+    ["Invited bidders", invitedRes.rows[0].count],
+    ["Bidders who bid", bidders.size],
+    ["Bids placed", bidsRes.rows.length],
+    ["Extensions", extensionsRes.rows.length],
+    [],
+    ["Total baseline", summary.totals.baseline],
+    ["Total best bid", summary.totals.best],
+    ["Total savings", summary.totals.savings],
+    ["Savings %", summary.totals.baseline ? summary.totals.savings / summary.totals.baseline : null],
+    [],
+  ];
+  details.forEach(row => {
+    const added = sheet.addRow(row);
+    added.getCell(1).font = { bold: true };
+    if (row[1] instanceof Date) added.getCell(2).numFmt = TIMESTAMP;
+    if (String(row[0]).startsWith("Total")) added.getCell(2).numFmt = MONEY;
+    if (row[0] === "Savings %") added.getCell(2).numFmt = PERCENT;
+  });
+
+  const columns = [
+    { header: "Lot", width: 24 },
+    { header: "Item #", width: 10 },
+    { header: "Line item", width: 32 },
+    { header: "Ext qty", width: 10 },
+    { header: "Ext baseline", width: 16, numFmt: MONEY },
+    { header: "Best bid (ext)", width: 16, numFmt: MONEY },
+    { header: "Savings", width: 16, numFmt: MONEY },
+    { header: "Savings %", width: 12, numFmt: PERCENT },
+    { header: "Leader", width: 24 },
+    { header: "Bids", width: 8 },
+    { header: "Bidders", width: 10 },
+  ];
+  const header = sheet.addRow(columns.map(c => c.header));
+  header.font = { bold: true };
+  header.fill = { type: "pattern", pattern: "solid", fgColor: { argb: "FFE2E8F0" } };
+  columns.forEach((c, i) => { sheet.getColumn(i + 1).width = c.width; });
+  // The second column also holds the event details above the table
+  sheet.getColumn(2).width = 28;
+  for (const li of summary.line_items) {
+    const bids = bidsByItem.get(li.line_item_id) || [];
+    const row = sheet.addRow([
+      li.lot_title,
+      li.item_number,
+      li.item_name,
+      num(li.ext_quantity),
+      li.ext_baseline,
+      li.ext_best_amount,
+      li.savings,
+      li.savings !== null && li.ext_baseline ? li.savings / li.ext_baseline : null,
+      li.leader ? supplier(li.leader).name : null,
+      bids.length,
+      new Set(bids.map(b => b.user_id)).size,
+    ]);
+    columns.forEach((c, i) => { if (c.numFmt) row.getCell(i + 1).numFmt = c.numFmt; });
+  }
+
+  // --- Final Ranks ---
+  const items = new Map(summary.line_items.map(li => [li.line_item_id, li]));
+  addTable(workbook.addWorksheet(sheetName("Final Ranks", used)), [
+    { key: "lot", header: "Lot", width: 24 },
+    { key: "line_item", header: "Line item", width: 32 },
+    { key: "rank", header: "Rank", width: 8 },
+    { key: "supplier", header: "Supplier", width: 24 },
+    { key: "organisation", header: "Organisation", width: 24 },
+    { key: "amount", header: "Final bid", numFmt: MONEY },
+    { key: "evaluated", header: "Evaluated", numFmt: MONEY },
+    { key: "ext_value", header: "Ext value", numFmt: MONEY },
+    { key: "score", header: "Score", width: 10 },
+    { key: "placed", header: "Placed at", width: 20, numFmt: TIMESTAMP },
+  ], ranksRes.rows.map(r => {
+    const li = items.get(r.line_item_id) || { line_item_id: r.line_item_id };
+    const who = supplier(r);
+    return {
+      lot: li.lot_title,
+      line_item: lineItemLabel(li),
+      rank: r.rank,
+      supplier: who.name,
+      organisation: who.organisation,
+      amount: num(r.amount),
+      evaluated: num(r.evaluated_amount),
+      ext_value: num(r.evaluated_amount) * (li.ext_quantity !== null && li.ext_quantity !== undefined ? Number(li.ext_quantity) : 1),
+      score: num(r.score),
+      placed: r.created_at,
+    };
+  }));
+
+  // --- Extensions ---
+  addTable(workbook.addWorksheet(sheetName("Extensions", used)), [
+    { key: "at", header: "Extended at", width: 20, numFmt: TIMESTAMP },
+    { key: "scope", header: "Scope", width: 10 },
+    { key: "lot", header: "Lot", width: 24 },
+    { key: "line_item", header: "Line item", width: 32 },
+    { key: "trigger", header: "Trigger", width: 14 },
+    { key: "supplier", header: "Triggered by", width: 24 },
+    { key: "previous", header: "Previous end", width: 20, numFmt: TIMESTAMP },
+    { key: "next", header: "New end", width: 20, numFmt: TIMESTAMP },
+    { key: "seconds", header: "Extended by (s)", width: 14 },
+  ], extensionsRes.rows.map(x => ({
+    at: x.created_at,
+    scope: x.scope,
+    lot: x.lot_title,
+    line_item: x.item_number || x.item_name ? [x.item_number, x.item_name].filter(Boolean).join(" ") : null,
+    trigger: x.trigger,
+    supplier: x.user_id ? supplier(x).name : null,
+    previous: x.previous_end_time,
+    next: x.new_end_time,
+    seconds: Math.round((new Date(x.new_end_time) - new Date(x.previous_end_time)) / 1000),
+  })));
+
+  // --- One sheet per line item ---
+  for (const li of summary.line_items) {
+    addTable(workbook.addWorksheet(sheetName(lineItemLabel(li), used)), [
+      { key: "placed", header: "Placed at", width: 20, numFmt: TIMESTAMP },
+      { key: "supplier", header: "Supplier", width: 24 },
+      { key: "organisation", header: "Organisation", width: 24 },
+      { key: "amount", header: "Bid", numFmt: MONEY },
+      { key: "evaluated", header: "Evaluated", numFmt: MONEY },
+      { key: "source", header: "Source", width: 12 },
+    ], (bidsByItem.get(li.line_item_id) || []).map(b => {
+      const who = supplier(b);
+      return {
+        placed: b.created_at,
+        supplier: who.name,
+        organisation: who.organisation,
+        amount: num(b.amount),
+        evaluated: num(b.evaluated_amount),
+        source: b.source,
+      };
+    }));
+  }
+
+  return { workbook, event };
+}
+
+module.exports = {
+  buildResultsWorkbook,
+};
@@ -0,0 +1,424 @@
+// services/sealed-tender.js
+const pool = require("../db/pool");
+const { transitionEvent, announceTransition } = require("./event-lifecycle");
+const { recordAudit } = require("./audit-log");
+
+// Statuses after which a round's submissions are final and it may be opened
+const OPENABLE_STATUSES = ["closed", "awarded", "archived"];
+
+/**
+ * Get the event's latest tender round
+ * @param {number} eventId - The event ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object|null>} - tender_rounds row, or null before the first round
+ */
+async function getCurrentRound(eventId, db = pool) {
+  const result = await db.query(
+    `SELECT * FROM tender_rounds WHERE event_id = $1 ORDER BY round_number DESC LIMIT 1`,
+    [eventId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Create round 1 for a sealed event if it has none: every invited bidder on every line item
+ * @param {number} eventId - The event ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object>} - The current round
+ */
+async function ensureFirstRound(eventId, db = pool) {
+  const created = await db.query(
+    `INSERT INTO tender_rounds (event_id, round_number, opening_time)
+     SELECT id, 1, tender_opening_time FROM events WHERE id = $1 AND type = 'sealed'
+     ON CONFLICT (event_id, round_number) DO NOTHING
+     RETURNING id`,
+    [eventId]
+  );
+  if (created.rows.length > 0) {
+    const roundId = created.rows[0].id;
+    await db.query(
+      `INSERT INTO tender_round_members (round_id, user_id)
+       SELECT $1, user_id FROM event_members WHERE event_id = $2 AND role = 'bidder'`,
+      [roundId, eventId]
+    );
+    await db.query(
+      `INSERT INTO tender_round_line_items (round_id, line_item_id)
+       SELECT $1, li.id FROM line_items li JOIN lots l ON li.lot_id = l.id WHERE l.event_id = $2`,
+      [roundId, eventId]
+    );
+  }
+  return getCurrentRound(eventId, db);
+}
+
+/**
+ * Check that a bidder may submit sealed bids on these line items in the current round.
+ * Call after checkCanBid, which already covers invitation and the submission window.
+ * @param {number} eventId - The event ID
+ * @param {number} userId - The bidder's user ID
+ * @param {Array<number>} lineItemIds - Line items in the submission
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ round }`
+ */
+async function checkCanSubmit(eventId, userId, lineItemIds, db = pool) {
+  const round = await ensureFirstRound(eventId, db);
+  if (round.opened_at) {
+    return { rejection: { status: 409, code: "ROUND_OPENED", error: "This tender round has already been opened" } };
+  }
+
+  const member = await db.query(
+    `SELECT 1 FROM tender_round_members WHERE round_id = $1 AND user_id = $2`,
+    [round.id, userId]
+  );
+  if (member.rows.length === 0) {
+    return {
+      rejection: {
+        status: 403,
+        code: "NOT_SHORTLISTED",
+        error: `You are not shortlisted for tender round ${round.round_number}`,
+      },
+    };
+  }
+
+  const inRound = await db.query(
+    `SELECT line_item_id FROM tender_round_line_items WHERE round_id = $1 AND line_item_id = ANY($2::int[])`,
+    [round.id, lineItemIds]
+  );
+  const included = new Set(inRound.rows.map(r => r.line_item_id));
+  const excluded = lineItemIds.filter(id => !included.has(Number(id)));
+  if (excluded.length > 0) {
+    return {
+      rejection: {
+        status: 400,
+        code: "BIDS_REJECTED",
+        error: "One or more bids were rejected",
+        rejections: excluded.map(id => ({
+          code: "LINE_ITEM_NOT_IN_ROUND",
+          error: `This line item is not part of tender round ${round.round_number}`,
+          line_item_id: Number(id),
+        })),
+      },
+    };
+  }
+
+  return { round };
+}
+
+/**
+ * Check whether an event currently has sealed bids nobody may see yet
+ * @param {number} eventId - The event ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<boolean>} - True while a round of a sealed event is unopened
+ */
+async function hasSealedBids(eventId, db = pool) {
+  const result = await db.query(
+    `SELECT 1 FROM tender_rounds WHERE event_id = $1 AND opened_at IS NULL LIMIT 1`,
+    [eventId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * IDs of the event's rounds that have not been opened; their bids stay hidden from everyone
+ * @param {number} eventId - The event ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Set<number>>} - tender_rounds ids
+ */
+async function getSealedRoundIds(eventId, db = pool) {
+  const result = await db.query(
+    `SELECT id FROM tender_rounds WHERE event_id = $1 AND opened_at IS NULL`,
+    [eventId]
+  );
+  return new Set(result.rows.map(r => r.id));
+}
+
+// Sealed tenders: bids are hidden from everyone, managers included, until the round is
+// opened, and bidders may revise them until the round closes. After an opening the buyer
+// can shortlist suppliers into a further round, with new line items or revised quantities.
+module.exports = (io) => {
+  /**
+   * Mark closed rounds and open every round whose opening time has passed.
+   * Opening is final: the database refuses any later change to opened_at.
+   * @returns {Promise<Array<object>>} - The rounds opened
+   */
+  async function openDueRounds() {
+    // Sealed events that ran without a single bid still get their round 1
+    const missing = await pool.query(
+      `SELECT id FROM events e
+       WHERE e.type = 'sealed'
+         AND e.status IN ('live', 'paused', 'closed')
+         AND NOT EXISTS (SELECT 1 FROM tender_rounds r WHERE r.event_id = e.id)`
+    );
+    for (const { id } of missing.rows) {
+      await ensureFirstRound(id);
+    }
+
+    // A round closes with its event; record when, so "open at close" has a time to wait for
+    await pool.query(
+      `UPDATE tender_rounds r
+       SET closed_at = NOW()
+       FROM events e
+       WHERE e.id = r.event_id
+         AND r.closed_at IS NULL
+         AND e.status = ANY($1::text[])
+         AND r.round_number = (SELECT MAX(round_number) FROM tender_rounds WHERE event_id = r.event_id)`,
+      [OPENABLE_STATUSES]
+    );
+
+    // Each opening is on its event's audit trail, written with the opening itself
+    const client = await pool.connect();
+    let opened;
+    try {
+      await client.query("BEGIN");
+      opened = await client.query(
+        `UPDATE tender_rounds
+         SET opened_at = NOW()
+         WHERE opened_at IS NULL
+           AND closed_at IS NOT NULL
+           AND GREATEST(opening_time, closed_at) <= NOW()
+         RETURNING *`
+      );
+      for (const round of opened.rows) {
+        const submitted = await client.query(
+          `SELECT COUNT(*)::int AS bids, COUNT(DISTINCT user_id)::int AS suppliers
+           FROM bids WHERE tender_round_id = $1`,
+          [round.id]
+        );
+        await recordAudit(client, {
+          eventId: round.event_id,
+          actor: { actorRole: "system" },
+          action: "tender_round.opened",
+          entityType: "tender_round",
+          entityId: round.id,
+          before: { opened_at: null },
+          after: {
+            round_number: round.round_number,
+            opening_time: round.opening_time,
+            closed_at: round.closed_at,
+            opened_at: round.opened_at,
+            ...submitted.rows[0],
+          },
+        });
+      }
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    for (const round of opened.rows) {
+      console.log(`📬 Tender round ${round.round_number} opened (Event ID: ${round.event_id})`);
+      io.to(`event_${round.event_id}`).emit("tender_round_opened", {
+        event_id: round.event_id,
+        round_number: round.round_number,
+        opened_at: round.opened_at,
+      });
+    }
+    return opened.rows;
+  }
+
+  /**
+   * Shortlist suppliers from the latest (opened) round into a new round and schedule it
+   * @param {number} eventId - The event ID
+   * @param {number} userId - Manager creating the round
+   * @param {object} options
+   * @param {Array<number>} options.shortlist - User IDs from the previous round
+   * @param {Array<object>} [options.lineItems] - `[{ line_item_id, quantity?, ext_quantity? }]`; defaults to the previous round's
+   * @param {string} [options.startTime] - When submissions open (default now)
+   * @param {number} options.durationMinutes - How long submissions stay open
+   * @param {string} [options.openingTime] - Scheduled opening (default when the round closes)
+   * @returns {Promise<object>} - `{ rejection }` (with `status`) or `{ round }`
+   */
+  async function createNextRound(eventId, userId, options) {
+    const { shortlist, lineItems, startTime, durationMinutes, openingTime } = options;
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const eventRes = await client.query(
+        `SELECT type, status FROM events WHERE id = $1 FOR UPDATE`,
+        [eventId]
+      );
+      const event = eventRes.rows[0];
+      const fail = async (status, code, error) => {
+        await client.query("ROLLBACK");
+        return { rejection: { status, code, error } };
+      };
+
+      if (!event) return fail(404, "EVENT_NOT_FOUND", "Event not found");
+      if (event.type !== "sealed") return fail(409, "NOT_SEALED_TENDER", "This event is not a sealed tender");
+
+      const previous = await getCurrentRound(eventId, client);
+      if (!previous || !previous.opened_at) {
+        return fail(409, "ROUND_NOT_OPENED", "The current tender round must be opened before the next one");
+      }
+      if (event.status !== "closed") {
+        return fail(409, "INVALID_TRANSITION", `Event is ${event.status}, expected closed`);
+      }
+
+      const ids = [...new Set((shortlist || []).map(Number).filter(Boolean))];
+      if (ids.length === 0) return fail(400, "SHORTLIST_REQUIRED", "Shortlist at least one supplier");
+      const members = await client.query(
+        `SELECT m.user_id
+         FROM tender_round_members m
+         JOIN event_members em ON em.user_id = m.user_id AND em.event_id = $2 AND em.role = 'bidder'
+         WHERE m.round_id = $1 AND m.user_id = ANY($3::int[])`,
+        [previous.id, eventId, ids]
+      );
+      if (members.rows.length !== ids.length) {
+        return fail(400, "NOT_IN_PREVIOUS_ROUND", "Only suppliers from the previous round can be shortlisted");
+      }
+
+      let items = lineItems;
+      if (!Array.isArray(items) || items.length === 0) {
+        const carried = await client.query(
+          `SELECT line_item_id, quantity, ext_quantity FROM tender_round_line_items WHERE round_id = $1`,
+          [previous.id]
+        );
+        items = carried.rows;
+      }
+      const itemIds = items.map(i => Number(i.line_item_id));
+      const owned = await client.query(
+        `SELECT li.id FROM line_items li JOIN lots l ON li.lot_id = l.id
+         WHERE l.event_id = $1 AND li.id = ANY($2::int[])`,
+        [eventId, itemIds]
+      );
+      if (owned.rows.length !== new Set(itemIds).size) {
+        return fail(400, "LINE_ITEM_NOT_FOUND", "Every line item must belong to this event");
+      }
+
+      const minutes = Number(durationMinutes);
+      if (!minutes || minutes <= 0) return fail(400, "INVALID_DURATION", "durationMinutes must be a positive number");
+      const start = startTime ? new Date(startTime) : new Date();
+      const end = new Date(start.getTime() + minutes * 60000);
+      const opening = openingTime ? new Date(openingTime) : null;
+      if (isNaN(start) || (opening && isNaN(opening))) return fail(400, "INVALID_TIME", "Invalid start or opening time");
+      if (opening && opening < end) return fail(400, "OPENING_BEFORE_CLOSE", "The opening time must be after the round closes");
+
+      const roundRes = await client.query(
+        `INSERT INTO tender_rounds (event_id, round_number, opening_time, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [eventId, previous.round_number + 1, opening, userId]
+      );
+      const round = roundRes.rows[0];
+      await client.query(
+        `INSERT INTO tender_round_members (round_id, user_id) SELECT $1, unnest($2::int[])`,
+        [round.id, ids]
+      );
+      for (const item of items) {
+        await client.query(
+          `INSERT INTO tender_round_line_items (round_id, line_item_id, quantity, ext_quantity)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT DO NOTHING`,
+          [round.id, item.line_item_id, item.quantity ?? null, item.ext_quantity ?? null]
+        );
+      }
+      // Shortlisted suppliers can bid on every line item of the round, including new ones
+      await client.query(
+        `INSERT INTO bidder_item_assignments (user_id, line_item_id)
+         SELECT u, li FROM unnest($1::int[]) AS u CROSS JOIN unnest($2::int[]) AS li
+         ON CONFLICT DO NOTHING`,
+        [ids, itemIds]
+      );
+
+      // The event runs again for the new round's submission window
+      const change = await transitionEvent(eventId, "scheduled", {
+        io,
+        userId,
+        reason: `Tender round ${round.round_number} scheduled`,
+        from: ["closed"],
+        force: true,
+        db: client,
+        fields: {
+          auction_time: start,
+          auction_start_time: null,
+          auction_end_time: end,
+          paused_at: null,
+          total_paused_seconds: 0,
+        },
+      });
+
+      await client.query("COMMIT");
+      announceTransition(change, io);
+      io.to(`event_${eventId}_managers`).emit("tender_round_created", { event_id: Number(eventId), round_number: round.round_number });
+      return { round };
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Rounds of an event. Managers see every round with its shortlist and how many
+   * suppliers have submitted; bidders see the rounds they are in and their line items.
+   * @param {number} eventId - The event ID
+   * @param {object} user - `req.user`
+   * @returns {Promise<Array<object>>} - Rounds, oldest first
+   */
+  async function getRounds(eventId, user) {
+    const isManager = user.role === "manager";
+    const rounds = await pool.query(
+      `SELECT r.*,
+              (SELECT COUNT(DISTINCT b.user_id) FROM bids b WHERE b.tender_round_id = r.id)::int AS submissions
+       FROM tender_rounds r
+       WHERE r.event_id = $1
+         AND ($2 OR EXISTS (SELECT 1 FROM tender_round_members m WHERE m.round_id = r.id AND m.user_id = $3))
+       ORDER BY r.round_number`,
+      [eventId, isManager, user.id]
+    );
+    const roundIds = rounds.rows.map(r => r.id);
+    const members = await pool.query(
+      `SELECT m.round_id, m.user_id, u.first_name, u.last_name, u.email, o.name AS organisation_name
+       FROM tender_round_members m
+       JOIN users u ON u.id = m.user_id
+       LEFT JOIN organisations o ON u.organisation_id = o.id
+       WHERE m.round_id = ANY($1::int[])`,
+      [roundIds]
+    );
+    const items = await pool.query(
+      `SELECT t.round_id, t.line_item_id, li.item_name AS name,
+              COALESCE(t.quantity, li.quantity) AS quantity,
+              COALESCE(t.ext_quantity, li.ext_quantity) AS ext_quantity
+       FROM tender_round_line_items t
+       JOIN line_items li ON li.id = t.line_item_id
+       WHERE t.round_id = ANY($1::int[])
+       ORDER BY t.line_item_id`,
+      [roundIds]
+    );
+
+    return rounds.rows.map(r => {
+      const round = {
+        round_number: r.round_number,
+        opening_time: r.opening_time,
+        closed_at: r.closed_at,
+        opened_at: r.opened_at,
+        line_items: items.rows.filter(i => i.round_id === r.id).map(({ round_id, ...i }) => i),
+      };
+      if (!isManager) return round;
+      return {
+        ...round,
+        id: r.id,
+        created_by: r.created_by,
+        created_at: r.created_at,
+        submissions: r.submissions,
+        members: members.rows.filter(m => m.round_id === r.id).map(({ round_id, ...m }) => m),
+      };
+    });
+  }
+
+  return {
+    openDueRounds,
+    createNextRound,
+    getRounds,
+  };
+};
+
+module.exports.OPENABLE_STATUSES = OPENABLE_STATUSES;
+module.exports.getCurrentRound = getCurrentRound;
+module.exports.ensureFirstRound = ensureFirstRound;
+module.exports.checkCanSubmit = checkCanSubmit;
+module.exports.hasSealedBids = hasSealedBids;
+module.exports.getSealedRoundIds = getSealedRoundIds;
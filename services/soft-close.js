@@ -0,0 +1,238 @@
+// services/soft-close.js
+const pool = require("../db/pool");
+const { getTopBidders, getTopLotBidders } = require("./bid-ranking");
+const { getLineItemLots } = require("./lot-bidding");
+
+// Which bids extend the deadline
+const EXTENSION_TRIGGERS = [
+  "any_bid",     // every bid inside the threshold
+  "new_leader",  // only a bid that leads its line item once placed
+  "rank_change", // only a bid that changes who holds the top extension_rank_depth ranks
+];
+// What an extension moves: the whole event, the lot bid on, or only the line item bid on
+const EXTENSION_SCOPES = ["event", "lot", "line_item"];
+
+/**
+ * Validate the soft close rules sent with an event. Trigger, depth and scope keep their
+ * stored (or default) value when absent; the cap and hard stop are cleared when absent.
+ * @param {object} body - Request body with any of extension_trigger, extension_rank_depth,
+ *   extension_scope, max_extensions, extension_hard_stop
+ * @returns {object} - `{ error }` or `{ config }`
+ */
+function parseExtensionRules(body) {
+  const config = {
+    extension_trigger: body.extension_trigger || null,
+    extension_rank_depth: null,
+    extension_scope: body.extension_scope || null,
+    max_extensions: null,
+    extension_hard_stop: body.extension_hard_stop || null,
+  };
+  if (config.extension_trigger && !EXTENSION_TRIGGERS.includes(config.extension_trigger)) {
+    return { error: `extension_trigger must be one of ${EXTENSION_TRIGGERS.join(", ")}` };
+  }
+  if (config.extension_scope && !EXTENSION_SCOPES.includes(config.extension_scope)) {
+    return { error: `extension_scope must be one of ${EXTENSION_SCOPES.join(", ")}` };
+  }
+
+  for (const field of ["extension_rank_depth", "max_extensions"]) {
+    const value = body[field];
+    if (value === undefined || value === null || value === "") continue;
+    const num = Number(value);
+    const min = field === "max_extensions" ? 0 : 1;
+    if (!Number.isInteger(num) || num < min) {
+      return { error: `${field} must be a whole number of at least ${min}` };
+    }
+    config[field] = num;
+  }
+
+  if (config.extension_hard_stop && isNaN(new Date(config.extension_hard_stop))) {
+    return { error: "extension_hard_stop must be a valid date" };
+  }
+  return { config };
+}
+
+/**
+ * Load an event's soft close settings
+ * @param {number} eventId - The event ID
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<object|null>} - Events columns needed by applyExtension
+ */
+async function getExtensionRules(eventId, db = pool) {
+  const result = await db.query(
+    `SELECT auction_end_time, status,
+            EXTRACT(EPOCH FROM extension_time)::int AS extension_time,
+            EXTRACT(EPOCH FROM extension_threshold)::int AS extension_threshold,
+            extension_trigger, extension_rank_depth, extension_scope,
+            max_extensions, extension_hard_stop, bidding_mode
+     FROM events WHERE id = $1`,
+    [eventId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record the top ranks before a batch is inserted, for the rank_change trigger
+ * @param {object} rules - From getExtensionRules
+ * @param {number} eventId - The event ID
+ * @param {Array<number>} lineItemIds - Line items about to be bid on
+ * @param {object} db - Pool or transaction client
+ * @returns {Promise<Map|null>} - line_item_id -> top user IDs, or null if the trigger doesn't need it
+ */
+async function snapshotRanks(rules, eventId, lineItemIds, db = pool) {
+  if (!rules || rules.extension_trigger !== "rank_change") return null;
+  return topBidders(rules, eventId, lineItemIds, rules.extension_rank_depth, db);
+}
+
+// Top bidders per line item; on lot total events each line item takes its lot's ranking
+async function topBidders(rules, eventId, lineItemIds, depth, db) {
+  if (rules.bidding_mode !== "lot_total") return getTopBidders(eventId, lineItemIds, depth, db);
+
+  const lots = await getLineItemLots(eventId, lineItemIds, db);
+  const top = await getTopLotBidders(eventId, [...lots.values()], depth, db);
+  return new Map([...lots].map(([lineItemId, lotId]) => [lineItemId, top.get(lotId) || []]));
+}
+
+// The bids in a batch that meet the event's trigger
+async function triggeringBids(rules, eventId, placed, before, db) {
+  if (rules.extension_trigger === "any_bid") return placed;
+
+  const lineItemIds = placed.map(b => Number(b.line_item_id));
+  const depth = rules.extension_trigger === "new_leader" ? 1 : rules.extension_rank_depth;
+  const after = await topBidders(rules, eventId, lineItemIds, depth, db);
+  return placed.filter(bid => {
+    const top = after.get(Number(bid.line_item_id)) || [];
+    if (rules.extension_trigger === "new_leader") return top[0] === bid.user_id;
+    const previous = (before && before.get(Number(bid.line_item_id))) || [];
+    return top.join(",") !== previous.join(",");
+  });
+}
+
+/**
+ * Soft close: a triggering bid inside the threshold moves its deadline to now + extension_time,
+ * unless the cap on extensions is reached or it would pass the hard stop (the end is then
+ * capped there). The deadline is the line item's, the lot's or the event's by extension_scope;
+ * staggered lots always extend on their own. The event end follows the latest deadline.
+ * Every extension is logged in auction_extensions with the bid that triggered it.
+ * Runs inside the placement transaction, so the event row is already locked.
+ * @param {object} db - Transaction client
+ * @param {number} eventId - The event ID
+ * @param {object} rules - From getExtensionRules, read before the bids were inserted
+ * @param {Array<object>} placed - The inserted bids
+ * @param {Map|null} before - From snapshotRanks
+ * @returns {Promise<object|null>} - `{ newEndTime, extensionTime, lots?, lineItems? }` or null if nothing was extended
+ */
+async function applyExtension(db, eventId, rules, placed, before) {
+  if (!rules || !rules.auction_end_time || rules.status !== "live") return null;
+
+  const bids = await triggeringBids(rules, eventId, placed, before, db);
+  if (bids.length === 0) return null;
+
+  const windows = await db.query(
+    `SELECT li.id AS line_item_id, l.id AS lot_id, li.end_time AS item_end, l.end_time AS lot_end
+     FROM line_items li
+     JOIN lots l ON li.lot_id = l.id
+     WHERE l.event_id = $1 AND li.id = ANY($2::int[])`,
+    [eventId, bids.map(b => Number(b.line_item_id))]
+  );
+  const byLineItem = new Map(windows.rows.map(w => [w.line_item_id, w]));
+
+  // One deadline per line item, lot or event, with the first bid that reached it
+  const targets = new Map();
+  for (const bid of bids) {
+    const w = byLineItem.get(Number(bid.line_item_id));
+    let target;
+    if (w && rules.extension_scope === "line_item" && w.item_end) {
+      target = { scope: "line_item", key: `line_item:${w.line_item_id}`, lot_id: w.lot_id, line_item_id: w.line_item_id, end: w.item_end };
+    } else if (w && w.lot_end) {
+      target = { scope: "lot", key: `lot:${w.lot_id}`, lot_id: w.lot_id, line_item_id: null, end: w.lot_end };
+    } else {
+      target = { scope: "event", key: "event", lot_id: null, line_item_id: null, end: rules.auction_end_time };
+    }
+    if (!targets.has(target.key)) targets.set(target.key, { ...target, bid_id: bid.id });
+  }
+
+  const now = new Date();
+  const extensionThreshold = rules.extension_threshold || 60;
+  const extensionTime = rules.extension_time || 120;
+  const hardStop = rules.extension_hard_stop ? new Date(rules.extension_hard_stop) : null;
+  let newEndTime = new Date(now.getTime() + (extensionTime * 1000));
+  if (hardStop && newEndTime > hardStop) newEndTime = hardStop;
+
+  const extended = [];
+  for (const target of targets.values()) {
+    const end = new Date(target.end);
+    const timeRemaining = (end - now) / 1000; // in seconds
+    if (timeRemaining <= 0 || timeRemaining > extensionThreshold || newEndTime <= end) continue;
+
+    if (rules.max_extensions !== null) {
+      const count = await db.query(
+        `SELECT COUNT(*)::int AS n FROM auction_extensions
+         WHERE event_id = $1 AND scope = $2
+           AND lot_id IS NOT DISTINCT FROM $3 AND line_item_id IS NOT DISTINCT FROM $4`,
+        [eventId, target.scope, target.lot_id, target.line_item_id]
+      );
+      if (count.rows[0].n >= rules.max_extensions) continue;
+    }
+
+    if (target.scope === "line_item") {
+      await db.query(`UPDATE line_items SET end_time = $1 WHERE id = $2`, [newEndTime, target.line_item_id]);
+      await db.query(`UPDATE lots SET end_time = GREATEST(end_time, $1) WHERE id = $2`, [newEndTime, target.lot_id]);
+    } else if (target.scope === "lot") {
+      await db.query(`UPDATE lots SET end_time = $1 WHERE id = $2`, [newEndTime, target.lot_id]);
+    }
+    await db.query(
+      `INSERT INTO auction_extensions
+         (event_id, scope, lot_id, line_item_id, bid_id, trigger, previous_end_time, new_end_time)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [eventId, target.scope, target.lot_id, target.line_item_id, target.bid_id, rules.extension_trigger, end, newEndTime]
+    );
+    extended.push(target);
+  }
+  if (extended.length === 0) return null;
+
+  const eventEnd = new Date(Math.max(new Date(rules.auction_end_time), newEndTime));
+  await db.query(`UPDATE events SET auction_end_time = $1 WHERE id = $2`, [eventEnd, eventId]);
+
+  const extension = { newEndTime: eventEnd.toISOString(), extensionTime };
+  const lots = extended.filter(t => t.scope === "lot");
+  const lineItems = extended.filter(t => t.scope === "line_item");
+  if (lots.length > 0) {
+    extension.lots = lots.map(t => ({ lot_id: t.lot_id, newEndTime: newEndTime.toISOString() }));
+  }
+  if (lineItems.length > 0) {
+    extension.lineItems = lineItems.map(t => ({ line_item_id: t.line_item_id, lot_id: t.lot_id, newEndTime: newEndTime.toISOString() }));
+  }
+  return extension;
+}
+
+/**
+ * The extension log of an event, oldest first
+ * @param {number} eventId - The event ID
+ * @returns {Promise<Array<object>>} - auction_extensions rows with the lot, line item and bidder named
+ */
+async function getExtensions(eventId) {
+  const result = await pool.query(
+    `SELECT x.*, l.title AS lot_title, li.item_name AS line_item_name,
+            b.user_id, b.amount, u.first_name, u.last_name, o.name AS organisation_name
+     FROM auction_extensions x
+     LEFT JOIN lots l ON l.id = x.lot_id
+     LEFT JOIN line_items li ON li.id = x.line_item_id
+     LEFT JOIN bids b ON b.id = x.bid_id
+     LEFT JOIN users u ON u.id = b.user_id
+     LEFT JOIN organisations o ON o.id = u.organisation_id
+     WHERE x.event_id = $1
+     ORDER BY x.created_at ASC, x.id ASC`,
+    [eventId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  EXTENSION_TRIGGERS,
+  EXTENSION_SCOPES,
+  parseExtensionRules,
+  getExtensionRules,
+  snapshotRanks,
+  applyExtension,
+  getExtensions,
+};
@@ -1,140 +1,257 @@
 // sockets/socket-auction-timer.js
 const pool = require("../db/pool");
+const { lifecycleHooks, FINISHED_STATUSES } = require("../services/event-lifecycle");
 
-// Track active timers by event_id
-const activeTimers = new Map();
-// Track if we've already logged the live notification for this event
-const liveNotificationSent = new Map();
+// One shared loop ticks for every live event; the DB is only read to refresh the cache
+const TICK_INTERVAL_MS = Number(process.env.AUCTION_TIMER_TICK_MS) || 1000;
+const REFRESH_INTERVAL_MS = Number(process.env.AUCTION_TIMER_REFRESH_MS) || 30000;
+// Clients count down locally; a resync is pushed this often to correct any drift
+const RESYNC_INTERVAL_MS = Number(process.env.AUCTION_TIMER_RESYNC_MS) || 15000;
+
+// Lots with their own window carry it, in closing order, along with any line items
+// that close before their lot (line item soft close)
+const TIMER_COLUMNS = `id, title, type, status, auction_time, auction_start_time, auction_end_time,
+                       paused_at, total_paused_seconds,
+                       (SELECT json_agg(json_build_object(
+                                 'id', l.id, 'title', l.title, 'start_time', l.start_time, 'end_time', l.end_time,
+                                 'line_items', (SELECT json_agg(json_build_object('id', li.id, 'end_time', li.end_time)
+                                                                ORDER BY li.id)
+                                                FROM line_items li
+                                                WHERE li.lot_id = l.id AND li.end_time < l.end_time))
+                               ORDER BY l.end_time, l.id)
+                        FROM lots l
+                        WHERE l.event_id = events.id AND l.end_time IS NOT NULL) AS lots`;
+
+// Live and paused events by event_id, so ticks never touch the DB
+const liveEvents = new Map();
+// Callbacks run on every tick (auction formats that move on their own clock)
+const tickers = new Set();
+
+/**
+ * Derive the timer state of an event from its stored timestamps
+ * @param {object} event - Events row with the timer columns
+ * @param {Date} now - Server time to measure against
+ * @returns {object} - The `time_sync` payload
+ */
+function getTimerState(event, now = new Date()) {
+  const isPaused = event.status === "paused";
+  const startTime = event.auction_start_time || event.auction_time;
+  const endTime = event.auction_end_time;
+  // While paused the clock is frozen at the moment of the pause
+  const clock = isPaused && event.paused_at ? new Date(event.paused_at) : now;
+
+  let secondsRemaining = null;
+  let elapsedSeconds = null;
+  if (event.status === "live" || isPaused) {
+    if (endTime) {
+      secondsRemaining = Math.max(0, Math.floor((new Date(endTime) - clock) / 1000));
+    }
+    if (startTime) {
+      const runSeconds = Math.floor((clock - new Date(startTime)) / 1000);
+      elapsedSeconds = Math.max(0, runSeconds - (event.total_paused_seconds || 0));
+    }
+  } else if (FINISHED_STATUSES.includes(event.status)) {
+    secondsRemaining = 0;
+  }
+
+  // Each lot (and line item closing early) counts down to its own end on the same (possibly frozen) clock
+  const remainingUntil = (end) => {
+    if (event.status === "live" || isPaused) {
+      return Math.max(0, Math.floor((new Date(end) - clock) / 1000));
+    }
+    return FINISHED_STATUSES.includes(event.status) ? 0 : null;
+  };
+  const lots = (event.lots || []).map(lot => ({
+    lotId: Number(lot.id),
+    title: lot.title,
+    startTime: lot.start_time ? new Date(lot.start_time).toISOString() : null,
+    endTime: new Date(lot.end_time).toISOString(),
+    secondsRemaining: remainingUntil(lot.end_time),
+    lineItems: (lot.line_items || []).map(item => ({
+      lineItemId: Number(item.id),
+      endTime: new Date(item.end_time).toISOString(),
+      secondsRemaining: remainingUntil(item.end_time),
+    })),
+  }));
+
+  return {
+    eventId: Number(event.id),
+    status: event.status,
+    serverTime: now.toISOString(),
+    secondsRemaining,
+    isPaused,
+    startTime: startTime ? new Date(startTime).toISOString() : null,
+    endTime: endTime ? new Date(endTime).toISOString() : null,
+    elapsedSeconds,
+    lots,
+  };
+}
 
 module.exports = (io) => {
-  
-  // Start broadcasting time for an event
-  function startAuctionTimer(eventId) {
-    // Don't start if already running
-    if (activeTimers.has(eventId)) {
-      return;
+  let tickInterval = null;
+  let refreshInterval = null;
+
+  function broadcast(event, now = new Date()) {
+    io.to(`event_${event.id}`).emit("time_sync", getTimerState(event, now));
+    event.lastSyncAt = now;
+  }
+
+  // Put an events row into the cache (or drop it once it is no longer running) and push the new state.
+  // Transition rows have no lots, so the cached lot windows are kept until the next read.
+  function cacheEvent(row) {
+    const eventId = String(row.id);
+    const cached = liveEvents.get(eventId);
+    const lots = row.lots !== undefined ? row.lots : (cached ? cached.lots : null);
+    if (row.status === "live" || row.status === "paused") {
+      const event = { ...row, lots, timeUp: false, closedLots: cached ? cached.closedLots : new Set() };
+      liveEvents.set(eventId, event);
+      broadcast(event);
+    } else if (cached) {
+      liveEvents.delete(eventId);
+      broadcast({ ...row, lots });
     }
+  }
 
-    console.log(`⏱️  Starting auction timer broadcast for event ${eventId}`);
+  // Re-read one event, e.g. after its end time was extended
+  async function refreshEvent(eventId) {
+    const result = await pool.query(
+      `SELECT ${TIMER_COLUMNS} FROM events WHERE id = $1`,
+      [eventId]
+    );
+    if (result.rows.length === 0) {
+      liveEvents.delete(String(eventId));
+      return null;
+    }
+    cacheEvent(result.rows[0]);
+    return result.rows[0];
+  }
 
-    const interval = setInterval(async () => {
-      try {
-        // Query the current auction state from DB
-        const result = await pool.query(
-          `SELECT auction_end_time, auction_time, type, paused_time_remaining, elapsed_seconds, title FROM events WHERE id = $1`,
-          [eventId]
-        );
-        
-        if (result.rows.length === 0) {
-          console.log(`Event ${eventId} not found, stopping timer`);
-          stopAuctionTimer(eventId);
-          return;
-        }
+  // Re-read every running event in one query, picking up changes made by other instances
+  async function refreshLiveEvents() {
+    const result = await pool.query(
+      `SELECT ${TIMER_COLUMNS} FROM events WHERE status IN ('live', 'paused')`
+    );
+    const running = new Set();
+    for (const row of result.rows) {
+      const eventId = String(row.id);
+      const cached = liveEvents.get(eventId);
+      running.add(eventId);
+      liveEvents.set(eventId, {
+        ...row,
+        timeUp: cached ? cached.timeUp : false,
+        closedLots: cached ? cached.closedLots : new Set(),
+        lastSyncAt: cached ? cached.lastSyncAt : null,
+      });
+    }
+    for (const eventId of liveEvents.keys()) {
+      if (!running.has(eventId)) liveEvents.delete(eventId);
+    }
+    return liveEvents.size;
+  }
 
-        const event = result.rows[0];
-        const isPaused = event.type === 'paused';
-        const endTime = event.auction_end_time;
-        const startTime = event.auction_time;
-        const eventTitle = event.title || `Event ${eventId}`;
-
-        if (!endTime) {
-          // No end time set, broadcast null
-          io.to(`event_${eventId}`).emit("time_sync", {
-            secondsRemaining: null,
-            isPaused: isPaused,
-            endTime: null,
-            elapsedSeconds: null
-          });
-          return;
-        }
+  function tick() {
+    const now = new Date();
 
-        let secondsRemaining;
-        let elapsedSeconds = event.elapsed_seconds || 0;
-        
-        // If paused, use the frozen values from database
-        if (isPaused) {
-          secondsRemaining = event.paused_time_remaining;
-        } else {
-          // Not paused - increment elapsed seconds by 1 and update DB
-          elapsedSeconds = elapsedSeconds + 1;
-          
-          await pool.query(
-            `UPDATE events SET elapsed_seconds = $1 WHERE id = $2`,
-            [elapsedSeconds, eventId]
-          );
-          
-          // Calculate actual time remaining
-          const now = new Date();
-          const end = new Date(endTime);
-          const msRemaining = end - now;
-          secondsRemaining = Math.max(0, Math.floor(msRemaining / 1000));
-          
-          // Check if auction just went live (has positive time remaining and hasn't been notified)
-          if (secondsRemaining > 0 && !liveNotificationSent.get(eventId)) {
-            console.log(`🚀 Auction is now LIVE: "${eventTitle}" (Event ID: ${eventId})`);
-            liveNotificationSent.set(eventId, true);
-          }
-        }
+    for (const [eventId, event] of liveEvents) {
+      const state = getTimerState(event, now);
 
-        // Broadcast to all clients in this event room
-        io.to(`event_${eventId}`).emit("time_sync", {
-          secondsRemaining: secondsRemaining,
-          isPaused: isPaused,
-          endTime: endTime ? new Date(endTime).toISOString() : null,
-          elapsedSeconds: elapsedSeconds
-        });
-
-        // If auction is over (and not paused), stop the timer
-        if (secondsRemaining === 0 && !isPaused) {
-          console.log(`🏁 Auction ended: "${eventTitle}" (Event ID: ${eventId})`);
-          stopAuctionTimer(eventId);
-        }
+      // Staggered lots stop taking bids at their own end; announce each one as it closes
+      const lotsUp = state.isPaused ? [] : state.lots.filter(lot =>
+        lot.secondsRemaining === 0 && !event.closedLots.has(lot.lotId)
+      );
+      for (const lot of lotsUp) {
+        event.closedLots.add(lot.lotId);
+        console.log(`⏱️  Time up for lot "${lot.title || `Lot ${lot.lotId}`}" (Event ID: ${eventId})`);
+      }
 
-      } catch (err) {
-        console.error(`Error in auction timer for event ${eventId}:`, err);
+      // The scheduler closes the event; the timer only announces that time is up
+      if (!state.isPaused && state.secondsRemaining === 0 && !event.timeUp) {
+        event.timeUp = true;
+        console.log(`⏱️  Time up for "${event.title || `Event ${eventId}`}" (Event ID: ${eventId})`);
+        broadcast(event, now);
+      } else if (lotsUp.length > 0) {
+        broadcast(event, now);
+      } else if (!event.lastSyncAt || now - event.lastSyncAt >= RESYNC_INTERVAL_MS) {
+        broadcast(event, now);
       }
-    }, 1000); // Broadcast every second
+    }
 
-    activeTimers.set(eventId, interval);
+    for (const ticker of tickers) {
+      Promise.resolve()
+        .then(() => ticker(now, liveEvents))
+        .catch(err => console.error("Error in auction ticker:", err));
+    }
   }
 
-  // Stop broadcasting time for an event
-  function stopAuctionTimer(eventId) {
-    const interval = activeTimers.get(eventId);
-    if (interval) {
-      clearInterval(interval);
-      activeTimers.delete(eventId);
-      liveNotificationSent.delete(eventId); // Clear notification flag so it can trigger again if restarted
-      console.log(`⏱️  Stopped auction timer broadcast for event ${eventId}`);
-    }
+  /**
+   * Register a callback to run on every tick of the shared loop
+   * @param {function} ticker - Called with `(now, liveEvents)`; may be async
+   * @returns {function} - Call to unregister
+   */
+  function registerTicker(ticker) {
+    tickers.add(ticker);
+    return () => tickers.delete(ticker);
+  }
+
+  // Load every running event and start the shared loop
+  async function start() {
+    if (tickInterval) return;
+    const count = await refreshLiveEvents();
+    console.log(`♻️  Timer tracking ${count} in-flight auction(s)`);
+
+    tickInterval = setInterval(tick, TICK_INTERVAL_MS);
+    refreshInterval = setInterval(() => {
+      refreshLiveEvents().catch(err => console.error("Error refreshing auction timers:", err));
+    }, REFRESH_INTERVAL_MS);
   }
 
-  // When a user joins an event, start the timer if needed
+  function stop() {
+    clearInterval(tickInterval);
+    clearInterval(refreshInterval);
+    tickInterval = null;
+    refreshInterval = null;
+  }
+
+  // Every status change carries the updated row, so the cache follows it without a query
+  lifecycleHooks.on("transition", ({ event }) => cacheEvent(event));
+
+  // When a user joins an event, send them the current state so they can count down locally
   io.on("connection", (socket) => {
-    socket.on("join_event", (eventId) => {
+    socket.on("join_event", async (eventId) => {
       socket.join(`event_${eventId}`);
       console.log(`User joined event room: event_${eventId}`);
-      
-      // Start timer for this event if not already running
-      startAuctionTimer(eventId);
+
+      try {
+        let event = liveEvents.get(String(eventId));
+        if (!event) {
+          const result = await pool.query(
+            `SELECT ${TIMER_COLUMNS} FROM events WHERE id = $1`,
+            [eventId]
+          );
+          event = result.rows[0];
+        }
+        if (event) {
+          socket.emit("time_sync", getTimerState(event));
+        }
+      } catch (err) {
+        console.error(`Error sending timer state for event ${eventId}:`, err);
+      }
     });
 
     socket.on("leave_event", (eventId) => {
       socket.leave(`event_${eventId}`);
       console.log(`User left event room: event_${eventId}`);
-      
-      // Optionally: stop timer if no one is in the room anymore
-      // (We'll keep it running for simplicity)
     });
   });
 
-  // Expose functions for manual control
   return {
-    startAuctionTimer,
-    stopAuctionTimer,
-    restartAuctionTimer: (eventId) => {
-      stopAuctionTimer(eventId);
-      startAuctionTimer(eventId);
-    }
+    start,
+    stop,
+    tick,
+    refreshEvent,
+    refreshLiveEvents,
+    registerTicker,
+    getTimerState,
+    liveEvents,
   };
 };
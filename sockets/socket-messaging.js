@@ -1,9 +1,12 @@
 // sockets/socket-messaging.js
 const jwt = require("jsonwebtoken");
 const pool = require("../db/pool");
+const { checkTeamMembership } = require("../middleware/team-access");
+const { eventRoom, managersRoom } = require("../services/bid-broadcast");
 
 module.exports = (io) => {
   const SECRET = process.env.JWT_SECRET || "supersecret";
+  const bidService = require("../services/bid-service")(io);
 
   io.on("connection", (socket) => {
     console.log("🔌 User connected to messaging");
@@ -57,11 +60,21 @@ module.exports = (io) => {
       });
 
       // --- Auction / Event Real-Time Events ---
-      socket.on("join_event", (eventId) => {
+      socket.on("join_event", async (eventId) => {
         if (!eventId) return;
-        socket.join(`event_${eventId}`);
+        socket.join(eventRoom(eventId));
         console.log(`👥 ${socket.user.email} joined event ${eventId}`);
-        io.to(`event_${eventId}`).emit("bidders_count_update");
+
+        // Only the event's manager team receives full bid data
+        try {
+          if (socket.user.role === "manager" && await checkTeamMembership(eventId, socket.user.id)) {
+            socket.join(managersRoom(eventId));
+          }
+        } catch (err) {
+          console.error("💥 Error joining managers room:", err);
+        }
+
+        io.to(eventRoom(eventId)).emit("bidders_count_update");
       });
 
       socket.on("join_lot", (lotId) => {
@@ -70,33 +83,25 @@ module.exports = (io) => {
         console.log(`📦 ${socket.user.email} joined lot ${lotId}`);
       });
 
-      socket.on("new_bid", async (data) => {
+      // Same bid service as the REST routes; the optional ack gets the outcome
+      socket.on("new_bid", async (data, ack) => {
+        const reply = typeof ack === "function" ? ack : () => {};
         try {
-          const { event_id, line_item_id, amount } = data || {};
-          if (!event_id || !amount || isNaN(Number(amount))) return;
-          const user_id = socket.user.id;
-
-          const insert = await pool.query(
-            `INSERT INTO bids (event_id, user_id, line_item_id, amount)
-             VALUES ($1, $2, $3, $4)
-             RETURNING id, event_id, user_id, line_item_id, amount, created_at`,
-            [event_id, user_id, line_item_id || null, amount]
-          );
-          const bid = insert.rows[0];
-
-          const ures = await pool.query(
-            `SELECT first_name, last_name, email FROM users WHERE id=$1`,
-            [user_id]
-          );
-          const u = ures.rows[0] || {};
-          bid.display_name =
-            `${(u.first_name || "").trim()} ${(u.last_name || "").trim()}`.trim() ||
-            u.email ||
-            `User ${user_id}`;
+          const { event_id, line_item_id, amount, attributes, idempotency_key } = data || {};
+          if (!event_id) return reply({ error: "event_id is required" });
 
-          io.to(`event_${event_id}`).emit("bid_update", bid);
+          const result = await bidService.placeBid(event_id, socket.user.id, { line_item_id, amount, attributes }, {
+            idempotencyKey: idempotency_key,
+          });
+          if (result.rejection) {
+            const { status, ...rejection } = result.rejection;
+            socket.emit("bid_rejected", rejection);
+            return reply(rejection);
+          }
+          reply({ bid: result.bid, extensionTriggered: result.extensionTriggered, replayed: result.replayed });
         } catch (err) {
           console.error("💥 Error saving bid:", err);
+          reply({ error: "Failed to submit bid" });
         }
       });
 